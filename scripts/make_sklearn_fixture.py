@@ -0,0 +1,96 @@
+"""Writes test/fixtures/sklearn-reference.json for the engine unit tests.
+
+For each published model the script rebuilds the scikit-learn pipeline the
+file was exported from (StandardScaler + LogisticRegression, with mean_,
+scale_, coef_ and intercept_ taken from the JSON) and records
+decision_function / predict_proba / predict for a fixed set of answer rows.
+The fixture's "generator" field names the scikit-learn version used.
+
+    pip install scikit-learn
+    python scripts/make_sklearn_fixture.py
+"""
+
+import json
+from pathlib import Path
+
+ROOT = Path(__file__).resolve().parent.parent
+MODELS = ["personality-1.0.0.json", "big-five-1.0.0.json", "work-style-0.3.0.json"]
+OUT = ROOT / "test" / "fixtures" / "sklearn-reference.json"
+
+
+def sample_rows(n_features):
+    rows = [[5] * n_features, [0] * n_features, [10] * n_features]
+    rows.append([(i * 3) % 11 for i in range(n_features)])
+    rows.append([10 if i % 2 else 0 for i in range(n_features)])
+    # Fixed linear congruential generator so the rows never change.
+    state = 20240501
+    for _ in range(5):
+        row = []
+        for _ in range(n_features):
+            state = (1103515245 * state + 12345) % 2**31
+            row.append(state % 11)
+        rows.append(row)
+    return rows
+
+
+def with_sklearn(model, X):
+    import numpy as np
+    import sklearn
+    from sklearn.linear_model import LogisticRegression
+    from sklearn.preprocessing import StandardScaler
+
+    scaler = StandardScaler()
+    scaler.mean_ = np.array(model["means"], dtype=float)
+    scaler.scale_ = np.array(model["scales"], dtype=float)
+    scaler.var_ = scaler.scale_ ** 2
+    scaler.n_features_in_ = len(model["features"])
+    Xs = scaler.transform(np.array(X, dtype=float))
+
+    def estimator(classes, coef, intercept):
+        clf = LogisticRegression()
+        clf.classes_ = np.array(classes)
+        clf.coef_ = np.array(coef, dtype=float)
+        clf.intercept_ = np.array(intercept, dtype=float)
+        return clf
+
+    if model.get("type", "multinomial") == "multinomial":
+        clf = estimator(model["classes"], model["weights"], model["intercepts"])
+        version = tuple(int(part) for part in sklearn.__version__.split(".")[:2])
+        if len(model["classes"]) > 2 and version < (1, 5):
+            clf.multi_class = "multinomial"
+        scores = clf.decision_function(Xs).tolist()
+        proba = clf.predict_proba(Xs).tolist()
+        labels = clf.predict(Xs).tolist()
+    else:
+        # One binary model per trait; keep P(class) from each.
+        per_trait = [
+            estimator([0, 1], [w], [b]) for w, b in zip(model["weights"], model["intercepts"])
+        ]
+        scores = np.column_stack([c.decision_function(Xs) for c in per_trait]).tolist()
+        proba = np.column_stack([c.predict_proba(Xs)[:, 1] for c in per_trait]).tolist()
+        labels = [model["classes"][row.index(max(row))] for row in scores]
+    return f"scikit-learn {sklearn.__version__}", scores, proba, labels
+
+
+def main():
+    cases = []
+    generator = None
+    for name in MODELS:
+        model = json.loads((ROOT / "public" / "models" / name).read_text())
+        X = sample_rows(len(model["features"]))
+        generator, scores, proba, labels = with_sklearn(model, X)
+        cases.append({
+            "model": name,
+            "rows": [dict(zip(model["features"], row)) for row in X],
+            "decision_function": scores,
+            "predict_proba": proba,
+            "predict": labels,
+        })
+
+    OUT.parent.mkdir(parents=True, exist_ok=True)
+    OUT.write_text(json.dumps({"generator": generator, "cases": cases}, indent=1) + "\n")
+    print(f"Wrote {OUT.relative_to(ROOT)} using {generator}")
+
+
+if __name__ == "__main__":
+    main()
@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+/**
+ * Batch-scores survey responses with the same engine the website uses.
+ *
+ *   node scripts/score.js responses.csv -o scored.csv
+ *   node scripts/score.js export.jsonl --model public/models/work-style-0.3.0.json
+ *   cat responses.csv | node scripts/score.js - --input-format csv
+ *
+ * Run with --help for every option. Rows that cannot be scored are kept in
+ * the output with an `error` field and make the process exit with code 1.
+ */
+import { readFileSync, writeFileSync } from 'node:fs';
+import { dirname, extname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { FEATURE_METADATA, parseModel, predictPersonality, explainPrediction } from '../src/engine/index.js';
+import { parseCsv, toCsv } from '../src/engine/csv.js';
+
+const MODELS_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '../public/models');
+
+const USAGE = `Usage: node scripts/score.js <input.csv|input.jsonl|-> [options]
+
+Options:
+  -m, --model <file>          Model JSON (default: primary model in public/models/manifest.json)
+  -o, --output <file>         Write here instead of stdout
+  -f, --format <csv|jsonl>    Output format (default: same as the input)
+      --input-format <fmt>    Input format, required when reading stdin
+      --missing <error|mean>  Missing answers: fail the row (default) or impute the training mean
+      --explain <n>           Add the n features that pushed hardest toward each prediction
+                              (multinomial models only)
+  -h, --help                  Show this message
+
+CSV input needs one column per feature id; other columns are passed through.
+JSONL input takes one object per line, either exported assessments (with an
+"inputs" object) or flat objects keyed by feature id.
+
+Independent (per-trait) models score each trait on its own, so their output
+has a probability per trait but no single "prediction".
+
+Every output row records the scoring model's version. Results an input row
+already carries (an export's prediction, verdict, runner-up or probabilities)
+are dropped, since they came from whichever model scored it before.`;
+
+class UsageError extends Error {}
+
+const formatOf = (file, explicit) => {
+  const format = explicit ?? { '.csv': 'csv', '.jsonl': 'jsonl', '.ndjson': 'jsonl' }[extname(file).toLowerCase()];
+  if (!['csv', 'jsonl'].includes(format)) {
+    throw new UsageError(`Cannot tell the format of "${file}"; pass --input-format csv|jsonl`);
+  }
+  return format;
+};
+
+const loadModel = (file) => {
+  let path = file;
+  if (!path) {
+    const manifest = JSON.parse(readFileSync(resolve(MODELS_DIR, 'manifest.json'), 'utf8'));
+    const primary = manifest.primary ?? manifest.models[0].id;
+    path = resolve(MODELS_DIR, manifest.models.find(m => m.id === primary).file);
+  }
+  return parseModel(JSON.parse(readFileSync(path, 'utf8')));
+};
+
+// Each record is `{ source, answers }`: the original row to echo back and
+// the raw answers keyed by feature id.
+const readRecords = (text, format) => {
+  if (format === 'csv') {
+    return parseCsv(text).rows.map(row => ({ source: row, answers: row }));
+  }
+  return text.split(/\r?\n/).filter(line => line.trim()).map((line, i) => {
+    let source;
+    try {
+      source = JSON.parse(line);
+    } catch {
+      throw new Error(`Line ${i + 1} is not valid JSON`);
+    }
+    return { source, answers: source.inputs ?? source };
+  });
+};
+
+// Blank cells count as missing; anything else must be a number.
+const toInputs = (answers) => {
+  const inputs = {};
+  const invalid = [];
+  FEATURE_METADATA.forEach(f => {
+    const raw = answers[f.id];
+    if (raw === undefined || raw === null || raw === '') return;
+    const value = Number(raw);
+    if (Number.isFinite(value)) inputs[f.id] = value;
+    else invalid.push(f.id);
+  });
+  if (invalid.length) throw new Error(`Not a number: ${invalid.join(', ')}`);
+  return inputs;
+};
+
+// Independent models have no single winning class to name or explain.
+const isMultinomial = modelParams => modelParams.type !== 'independent';
+
+const scoreRecord = ({ answers }, modelParams, { missing, explain }) => {
+  const result = predictPersonality(toInputs(answers), modelParams, { missing });
+  const scored = {
+    ...(isMultinomial(modelParams) && { prediction: result.label }),
+    probabilities: Object.fromEntries(modelParams.classes.map((cls, i) => [cls, result.probabilities[i]])),
+  };
+  if (result.imputed.length) scored.imputed = result.imputed;
+  if (explain) {
+    scored.topFeatures = explainPrediction(result, modelParams.classes.indexOf(result.label))
+      .slice(0, explain)
+      .map(f => ({ id: f.id, effect: f.effect }));
+  }
+  return scored;
+};
+
+// Fields an earlier scoring run (or the website's export) left on a row, in
+// both their JSONL and CSV spellings. They describe another model's result,
+// so they are dropped rather than merged with the new one.
+const STALE_FIELDS = new Set([
+  'modelId', 'model_id', 'modelVersion', 'model_version', 'prediction', 'verdict', 'runnerUp', 'runner_up',
+  'probabilities', 'topFeatures', 'top_features', 'imputed', 'error',
+]);
+const isStale = name => STALE_FIELDS.has(name) || name.startsWith('p_');
+
+const withoutStale = source =>
+  Object.fromEntries(Object.entries(source).filter(([name]) => !isStale(name)));
+
+// Exported assessments nest their answers under `inputs`; in CSV those become
+// one column per feature id. Any other nested value (the export's own
+// probabilities, arrays) has no single-cell form and is dropped.
+const flattenSource = (source) => {
+  const { inputs, ...rest } = source;
+  const nested = inputs !== null && typeof inputs === 'object';
+  return {
+    ...Object.fromEntries(Object.entries(nested ? rest : source).filter(([, v]) => v === null || typeof v !== 'object')),
+    ...(nested ? inputs : {}),
+  };
+};
+
+const writeCsv = (records, results, modelParams, explain) => {
+  const sources = records.map(r => withoutStale(flattenSource(r.source)));
+  const added = [
+    'model_version',
+    ...(isMultinomial(modelParams) ? ['prediction'] : []),
+    ...modelParams.classes.map(cls => `p_${cls}`),
+    ...(explain ? ['top_features'] : []),
+    ...(results.some(r => r.imputed) ? ['imputed'] : []),
+    ...(results.some(r => r.error) ? ['error'] : []),
+  ];
+  const passthrough = [...new Set(sources.flatMap(Object.keys))].filter(name => !added.includes(name));
+  const header = [...passthrough, ...added];
+  const rows = sources.map((source, i) => {
+    const r = results[i];
+    return {
+      ...source,
+      model_version: modelParams.version,
+      prediction: r.prediction ?? '',
+      ...Object.fromEntries(modelParams.classes.map(cls => [`p_${cls}`, r.probabilities?.[cls].toFixed(6) ?? ''])),
+      top_features: r.topFeatures?.map(f => `${f.id}:${f.effect.toFixed(4)}`).join(' ') ?? '',
+      imputed: r.imputed?.join(' ') ?? '',
+      error: r.error ?? '',
+    };
+  });
+  return toCsv(header, rows);
+};
+
+const writeJsonl = (records, results, modelParams) =>
+  records.map((record, i) => JSON.stringify({
+    ...withoutStale(record.source),
+    modelVersion: modelParams.version,
+    ...results[i],
+  })).join('\n') + '\n';
+
+const main = () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      model: { type: 'string', short: 'm' },
+      output: { type: 'string', short: 'o' },
+      format: { type: 'string', short: 'f' },
+      'input-format': { type: 'string' },
+      missing: { type: 'string', default: 'error' },
+      explain: { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (positionals.length !== 1) throw new UsageError('Expected exactly one input file (or "-" for stdin)');
+  if (!['error', 'mean'].includes(values.missing)) throw new UsageError('--missing must be "error" or "mean"');
+  const explain = values.explain === undefined ? 0 : Number(values.explain);
+  if (!Number.isInteger(explain) || explain < 0) throw new UsageError('--explain must be a whole number');
+
+  const [input] = positionals;
+  const inputFormat = formatOf(input, values['input-format']);
+  const outputFormat = values.format ?? inputFormat;
+  if (!['csv', 'jsonl'].includes(outputFormat)) throw new UsageError('--format must be csv or jsonl');
+
+  const modelParams = loadModel(values.model);
+  if (explain && !isMultinomial(modelParams)) {
+    throw new UsageError('--explain needs a multinomial model; independent traits have no single prediction to explain');
+  }
+  const records = readRecords(readFileSync(input === '-' ? 0 : input, 'utf8'), inputFormat);
+  const results = records.map((record, i) => {
+    try {
+      return scoreRecord(record, modelParams, { missing: values.missing, explain });
+    } catch (err) {
+      console.error(`Row ${i + 1}: ${err.message}`);
+      return { ...(isMultinomial(modelParams) && { prediction: null }), probabilities: null, error: err.message };
+    }
+  });
+
+  const out = outputFormat === 'csv'
+    ? writeCsv(records, results, modelParams, explain)
+    : writeJsonl(records, results, modelParams);
+  if (values.output) writeFileSync(values.output, out);
+  else process.stdout.write(out);
+
+  const failed = results.filter(r => r.error).length;
+  console.error(`Scored ${records.length - failed} of ${records.length} rows with model ${modelParams.version}.`);
+  return failed ? 1 : 0;
+};
+
+try {
+  process.exitCode = main();
+} catch (err) {
+  console.error(err instanceof UsageError ? `${err.message}\n\n${USAGE}` : err.message);
+  process.exitCode = 2;
+}
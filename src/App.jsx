@@ -1,166 +1,200 @@
 import React, { useState, useMemo, useEffect, useRef } from 'react';
-import * as THREE from 'three';
 import { 
   User, Brain, Users, Zap, Settings, Heart, Compass, 
   BookOpen, Trophy, MessageCircle, BarChart3, ChevronRight, 
   ChevronLeft, Sparkles, Share2, RefreshCw, CheckCircle2,
-  Cpu, Activity, ShieldCheck, Globe
+  Cpu, Activity, ShieldCheck, Globe, AlertTriangle, Gauge
 } from 'lucide-react';
+import { CATEGORIES } from './categories.js';
+import { parseHash, buildHash, routeOf, encodeAnswers } from './routing.js';
+import { FEATURE_METADATA } from './engine/features.js';
+import { loadRegistry } from './engine/model.js';
+import { predictPersonality } from './engine/predict.js';
+import { assessReliability } from './engine/reliability.js';
+import { buildWriteup } from './content/writeup.js';
+import { buildExportRecord } from './export/record.js';
+import { saveSession } from './history/db.js';
+import { featureScore } from './questionnaire/scoring.js';
+import { useI18n } from './i18n/context.js';
+import { useReducedMotion } from './a11y/motion.js';
+import { SHORTCUTS, keyshortcut, useShortcuts } from './a11y/shortcuts.js';
+import AdaptiveQuiz from './components/AdaptiveQuiz.jsx';
+import AnswerModeToggle from './components/AnswerModeToggle.jsx';
+import ArchetypeProfile from './components/ArchetypeProfile.jsx';
+import Background3D from './components/Background3D.jsx';
+import ExplanationPanel from './components/ExplanationPanel.jsx';
+import ExportDialog from './components/ExportDialog.jsx';
+import FeatureSlider from './components/FeatureSlider.jsx';
+import HistoryView from './components/HistoryView.jsx';
+import LanguageSwitcher from './components/LanguageSwitcher.jsx';
+import ModelComparePanel from './components/ModelComparePanel.jsx';
+import MotionToggle from './components/MotionToggle.jsx';
+import ProbabilityTable from './components/ProbabilityTable.jsx';
+import QuestionnaireStep from './components/QuestionnaireStep.jsx';
+import ReliabilityNotice from './components/ReliabilityNotice.jsx';
+import TeamView from './components/TeamView.jsx';
+import TrainView from './components/TrainView.jsx';
+import WhatIfPanel from './components/WhatIfPanel.jsx';
 
 /**
  * ARCHITECTURAL NOTE:
  * This application implements a real-time Logistic Regression inference engine
- * using weights derived from your .pkl model. The UI is built with a 
- * Three.js 3D background and Tailwind CSS Glassmorphism.
+ * using weights exported from your .pkl model to a versioned JSON file in
+ * public/models/ (see src/engine/model.js). The UI is built with a
+ * Three.js 3D background (src/components/Background3D.jsx) and Tailwind CSS
+ * Glassmorphism.
  */
 
-const CATEGORIES = [
-  { id: 'social', title: 'Social Signature', icon: Users, color: 'text-emerald-400', glow: 'shadow-emerald-500/20' },
-  { id: 'cognitive', title: 'Neural Patterns', icon: Brain, color: 'text-blue-400', glow: 'shadow-blue-500/20' },
-  { id: 'behavioral', title: 'Impulse Vector', icon: Zap, color: 'text-purple-400', glow: 'shadow-purple-500/20' },
-  { id: 'lifestyle', title: 'Environmental', icon: Settings, color: 'text-cyan-400', glow: 'shadow-cyan-500/20' },
-];
-
-const FEATURE_METADATA = [
-  { id: 'social_energy', label: 'Social Energy', category: 'social' },
-  { id: 'alone_time_preference', label: 'Isolation Bias', category: 'social' },
-  { id: 'talkativeness', label: 'Verbal Flux', category: 'social' },
-  { id: 'group_comfort', label: 'Collective Sync', category: 'social' },
-  { id: 'party_liking', label: 'External Stimulation', category: 'social' },
-  { id: 'friendliness', label: 'Social Affability', category: 'social' },
-  { id: 'listening_skill', label: 'Input Receptivity', category: 'social' },
-  { id: 'empathy', label: 'Emotional Resonance', category: 'social' },
-  { id: 'online_social_usage', label: 'Digital Footprint', category: 'social' },
-  
-  { id: 'deep_reflection', label: 'Internal Processing', category: 'cognitive' },
-  { id: 'curiosity', label: 'Inquiry Quotient', category: 'cognitive' },
-  { id: 'reading_habit', label: 'Information Intake', category: 'cognitive' },
-  { id: 'decision_speed', label: 'Latency Period', category: 'cognitive' },
-  
-  { id: 'risk_taking', label: 'Variance Tolerance', category: 'behavioral' },
-  { id: 'excitement_seeking', label: 'Dopamine Drive', category: 'behavioral' },
-  { id: 'adventurousness', label: 'Novelty Bias', category: 'behavioral' },
-  { id: 'spontaneity', label: 'Entropy Factor', category: 'behavioral' },
-  { id: 'travel_desire', label: 'Locality Drift', category: 'behavioral' },
-  
-  { id: 'organization', label: 'System Logic', category: 'lifestyle' },
-  { id: 'planning', label: 'Future Projection', category: 'lifestyle' },
-  { id: 'routine_preference', label: 'Cycle Stability', category: 'lifestyle' },
-  { id: 'sports_interest', label: 'Kinetic Drive', category: 'lifestyle' },
-  { id: 'gadget_usage', label: 'Tech Integration', category: 'lifestyle' },
-  { id: 'leadership', label: 'Hierarchy Position', category: 'lifestyle' },
-  { id: 'public_speaking_comfort', label: 'Broadcast Confidence', category: 'lifestyle' },
-  { id: 'work_style_collaborative', label: 'Peer Integration', category: 'lifestyle' },
-];
-
-// Logistic Regression Math Implementation
-const predictPersonality = (inputs, modelParams) => {
-  const { means, scales, weights, intercepts, classes } = modelParams;
-  const scaledInputs = FEATURE_METADATA.map((feat, i) => {
-    const val = inputs[feat.id] || 0;
-    return (val - means[i]) / scales[i];
-  });
-  const scores = intercepts.map((intercept, classIdx) => {
-    let z = intercept;
-    scaledInputs.forEach((val, featureIdx) => {
-      z += val * weights[classIdx][featureIdx];
-    });
-    return z;
-  });
-  const maxIdx = scores.indexOf(Math.max(...scores));
-  const expScores = scores.map(s => Math.exp(s));
-  const sumExp = expScores.reduce((a, b) => a + b, 0);
-  return {
-    label: classes[maxIdx],
-    probabilities: expScores.map(s => s / sumExp)
-  };
-};
+const DEFAULT_INPUTS = FEATURE_METADATA.reduce((acc, feat) => ({ ...acc, [feat.id]: 5 }), {});
 
-const Background3D = () => {
-  const containerRef = useRef();
+export default function App() {
+  // view, step and answers are mirrored in the URL hash (see src/routing.js).
+  const [initialRoute] = useState(() => parseHash(window.location.hash, CATEGORIES.length));
+  const [view, setView] = useState(initialRoute.view); // 'hero', 'quiz', 'adaptive', 'loading', 'result', 'train', 'history', 'team'
+  const [step, setStep] = useState(initialRoute.step);
+  const [inputs, setInputs] = useState(initialRoute.inputs ?? DEFAULT_INPUTS);
+  const [quizMode, setQuizMode] = useState('questionnaire'); // 'questionnaire', 'sliders'
+  const [responses, setResponses] = useState({}); // Likert answers keyed by question item id
+  const [skippedFeatures, setSkippedFeatures] = useState([]);
+  const [exportOpen, setExportOpen] = useState(false);
+  const [registry, setRegistry] = useState(null); // { primary, models: [{ id, name, description, params | error }] }
+  const [activeModelId, setActiveModelId] = useState(null);
+  const [modelError, setModelError] = useState(null);
+  const [reducedMotion, setReducedMotion] = useReducedMotion();
+  const headingRef = useRef(null);
+  const { locale, t, percent, category, className, classDescription } = useI18n();
 
   useEffect(() => {
-    if (!containerRef.current) return;
-    const scene = new THREE.Scene();
-    const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-    const renderer = new THREE.WebGLRenderer({ alpha: true, antialias: true });
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    containerRef.current.appendChild(renderer.domElement);
-
-    // Particles
-    const particlesCount = 1500;
-    const positions = new Float32Array(particlesCount * 3);
-    for (let i = 0; i < particlesCount * 3; i++) {
-      positions[i] = (Math.random() - 0.5) * 15;
-    }
-    const geometry = new THREE.BufferGeometry();
-    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-    const material = new THREE.PointsMaterial({ size: 0.015, color: 0x4ade80, transparent: true, opacity: 0.5 });
-    const points = new THREE.Points(geometry, material);
-    scene.add(points);
-
-    camera.position.z = 5;
-
-    const animate = () => {
-      requestAnimationFrame(animate);
-      points.rotation.y += 0.0005;
-      points.rotation.x += 0.0002;
-      renderer.render(scene, camera);
-    };
-    animate();
-
-    const handleResize = () => {
-      camera.aspect = window.innerWidth / window.innerHeight;
-      camera.updateProjectionMatrix();
-      renderer.setSize(window.innerWidth, window.innerHeight);
-    };
-    window.addEventListener('resize', handleResize);
-    return () => {
-      window.removeEventListener('resize', handleResize);
-      containerRef.current?.removeChild(renderer.domElement);
-    };
+    let cancelled = false;
+    loadRegistry()
+      .then(reg => {
+        if (cancelled) return;
+        setRegistry(reg);
+        setActiveModelId(reg.primary);
+      })
+      .catch(err => { if (!cancelled) setModelError(err); });
+    return () => { cancelled = true; };
   }, []);
 
-  return <div ref={containerRef} className="fixed inset-0 z-0 pointer-events-none opacity-40" />;
-};
+  // The active model drives the quiz, result, explanation and what-if views.
+  const modelParams = registry?.models.find(m => m.id === activeModelId)?.params ?? null;
 
-export default function App() {
-  const [view, setView] = useState('hero'); // 'hero', 'quiz', 'loading', 'result'
-  const [step, setStep] = useState(0);
-  const [inputs, setInputs] = useState(
-    FEATURE_METADATA.reduce((acc, feat) => ({ ...acc, [feat.id]: 5 }), {})
+  // A locally trained model replaces the active one (keeping its class descriptions).
+  const applyTrainedModel = (params) => {
+    setModelError(null);
+    if (!registry) {
+      setRegistry({ primary: 'local', models: [{ id: 'local', name: 'Locally Trained', description: 'Fitted in this browser.', params }] });
+      setActiveModelId('local');
+      return;
+    }
+    setRegistry(reg => ({
+      ...reg,
+      models: reg.models.map(m => (m.id === activeModelId
+        ? { ...m, params: { ...params, descriptions: { ...m.params.descriptions, ...params.descriptions } } }
+        : m)),
+    }));
+  };
+
+  const result = useMemo(
+    () => modelParams && predictPersonality(inputs, modelParams),
+    [inputs, modelParams]
+  );
+  const reliability = useMemo(
+    () => result && assessReliability(inputs, result, modelParams),
+    [inputs, result, modelParams]
+  );
+  const writeup = useMemo(
+    () => result && buildWriteup({ label: result.label, classes: modelParams.classes, probabilities: result.probabilities, inputs, locale }),
+    [result, modelParams, inputs, locale]
   );
 
-  const modelParams = useMemo(() => ({
-    classes: ['Analytical Introvert', 'Adaptive Ambivert', 'Dynamic Extrovert'],
-    means: Array(26).fill(5),
-    scales: Array(26).fill(2.5),
-    intercepts: [-2.5, 0.8, -1.2],
-    weights: [
-      [-0.6, 0.9, -0.7, 0.8, -0.5, -0.6, 0.5, 0.3, 0.4, -0.4, -0.3, 0.7, 0.5, 0.6, 0.4, 0.2, 0.3, 0.2, -0.5, 0.6, -0.3, -0.4, -0.3, 0.2, -0.4, -0.2],
-      [0.2, -0.2, 0.2, -0.2, 0.3, 0.2, 0.3, 0.4, 0.2, 0.2, 0.2, -0.2, 0.2, -0.2, 0.3, 0.3, 0.2, 0.3, 0.2, -0.2, 0.2, 0.3, 0.2, 0.2, 0.3, 0.3],
-      [0.9, -0.8, 0.9, -0.7, 0.7, 0.8, -0.4, 0.2, -0.3, 0.6, 0.5, -0.5, -0.3, -0.4, -0.5, 0.4, -0.2, 0.5, 0.7, -0.5, 0.4, 0.7, 0.5, 0.2, 0.6, 0.4]
-    ]
-  }), []);
+  useEffect(() => {
+    if (view === 'loading') return;
+    const hash = buildHash({ view, step, inputs });
+    const current = window.location.hash;
+    if (hash === current) return;
+    // New page -> new history entry; answer edits on the same page just update it.
+    if (current && routeOf(hash) !== routeOf(current)) window.history.pushState(null, '', hash);
+    else window.history.replaceState(null, '', hash);
+  }, [view, step, inputs]);
 
-  const result = useMemo(() => predictPersonality(inputs, modelParams), [inputs, modelParams]);
+  useEffect(() => {
+    const handlePopState = () => {
+      const route = parseHash(window.location.hash, CATEGORIES.length);
+      setView(route.view);
+      setStep(route.step);
+      if (route.inputs) setInputs(route.inputs);
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
 
   const startAnalysis = () => setView('quiz');
+
+  // Questionnaire answers drive the same 0-10 feature values the sliders set.
+  const handleRespond = (featureId, itemId, value) => {
+    const next = { ...responses, [itemId]: value };
+    setResponses(next);
+    setInputs(prev => ({ ...prev, [featureId]: featureScore(featureId, next) }));
+  };
   
+  // skipped: feature ids the adaptive quiz never asked (filled with model means).
+  const completeAssessment = (finalInputs, skipped = []) => {
+    const finalResult = predictPersonality(finalInputs, modelParams);
+    const finalReliability = assessReliability(finalInputs, finalResult, modelParams);
+    // History is best-effort: private browsing may refuse IndexedDB.
+    saveSession(buildExportRecord({ inputs: finalInputs, result: finalResult, modelId: activeModelId, modelParams, reliability: finalReliability })).catch(() => {});
+    setInputs(finalInputs);
+    setSkippedFeatures(skipped);
+    setView('loading');
+    // Only land on the result if the user has not navigated away meanwhile.
+    setTimeout(() => setView(v => (v === 'loading' ? 'result' : v)), 2000);
+  };
+
   const handleNext = () => {
     if (step < CATEGORIES.length - 1) setStep(s => s + 1);
-    else {
-      setView('loading');
-      setTimeout(() => setView('result'), 2000);
-    }
+    else completeAssessment(inputs);
   };
+  const handlePrev = () => setStep(s => s - 1);
+
+  const inQuiz = modelParams && view === 'quiz';
+  useShortcuts({
+    [SHORTCUTS.next]: inQuiz && handleNext,
+    [SHORTCUTS.previous]: inQuiz && step > 0 && handlePrev,
+    [SHORTCUTS.answerMode]: inQuiz && (() => setQuizMode(m => (m === 'questionnaire' ? 'sliders' : 'questionnaire'))),
+  });
+
+  // Move focus to the new step or result heading, so keyboard and screen
+  // reader users continue from the top rather than from a removed button.
+  useEffect(() => {
+    headingRef.current?.focus();
+  }, [view, step]);
 
+  // Training and history work without a published model.
+  const needsModel = view !== 'train' && view !== 'history';
   const currentCategory = CATEGORIES[step];
   const currentFeatures = FEATURE_METADATA.filter(f => f.category === currentCategory.id);
+  const description = label => classDescription(label, modelParams.descriptions[label]);
+
+  // Read out by the polite live region below.
+  const announcement = !modelParams ? ''
+    : view === 'quiz' ? t('a11y.step', { step: step + 1, total: CATEGORIES.length, title: category(currentCategory.id) })
+    : view === 'loading' ? t('loading.title')
+    : view === 'result' && reliability.confident ? t('a11y.result', { label: className(result.label), value: percent(Math.max(...result.probabilities)) })
+    : view === 'result' ? t('a11y.inconclusive', {
+      detail: reliability.straightLined
+        ? t('result.noArchetype')
+        : t('result.either', { label: className(result.label), other: className(modelParams.classes[reliability.runnerUp]) }),
+    })
+    : '';
 
   return (
     <div className="min-h-screen bg-[#030712] text-slate-100 selection:bg-emerald-500/30 font-['Inter',sans-serif] overflow-x-hidden">
-      <Background3D />
+      <Background3D
+        animate={!reducedMotion}
+        probabilities={result && (view === 'quiz' || view === 'result') ? result.probabilities : null}
+      />
+      <div role="status" className="sr-only">{announcement}</div>
       
       {/* Dynamic Blobs */}
       <div className="fixed top-[-10%] left-[-10%] w-[40%] h-[40%] bg-emerald-500/10 blur-[120px] rounded-full animate-pulse" />
@@ -177,26 +211,70 @@ export default function App() {
             <span className="font-bold text-xl tracking-tight">KNOWYourself</span>
           </div>
           <div className="hidden md:flex gap-8 text-sm font-medium text-slate-400">
-            <a href="#" className="hover:text-emerald-400 transition-colors">Technology</a>
-            <a href="#" className="hover:text-emerald-400 transition-colors">Privacy</a>
-            <a href="#" className="hover:text-emerald-400 transition-colors">Docs</a>
+            <a href="#" className="hover:text-emerald-400 transition-colors">{t('nav.technology')}</a>
+            <a href="#" className="hover:text-emerald-400 transition-colors">{t('nav.privacy')}</a>
+            <a href="#" className="hover:text-emerald-400 transition-colors">{t('nav.docs')}</a>
+            <button onClick={() => setView('history')} className={`hover:text-emerald-400 transition-colors ${view === 'history' ? 'text-emerald-400' : ''}`}>{t('nav.history')}</button>
+            <button onClick={() => setView('team')} className={`hover:text-emerald-400 transition-colors ${view === 'team' ? 'text-emerald-400' : ''}`}>{t('nav.team')}</button>
+            <button onClick={() => setView('train')} className={`hover:text-emerald-400 transition-colors ${view === 'train' ? 'text-emerald-400' : ''}`}>{t('nav.train')}</button>
+          </div>
+          <div className="flex items-center gap-3">
+            <MotionToggle reduced={reducedMotion} onChange={setReducedMotion} />
+            <LanguageSwitcher />
+            <button className="hidden sm:block px-5 py-2 rounded-full border border-white/10 bg-white/5 backdrop-blur-md text-sm font-semibold hover:bg-white/10 transition-all">
+              {t('nav.contact')}
+            </button>
           </div>
-          <button className="px-5 py-2 rounded-full border border-white/10 bg-white/5 backdrop-blur-md text-sm font-semibold hover:bg-white/10 transition-all">
-            Contact Support
-          </button>
         </nav>
 
-        {view === 'hero' && (
+        {modelError && needsModel && (
+          <div className="flex flex-col items-center justify-center min-h-[60vh] text-center">
+            <div className="mb-8 inline-flex p-5 rounded-[2rem] bg-red-500/10 border border-red-500/20">
+              <AlertTriangle size={40} className="text-red-400" />
+            </div>
+            <h3 className="text-2xl font-bold tracking-tight">{t('model.failedTitle')}</h3>
+            <p className="mt-2 max-w-xl text-slate-500">
+              {t('model.failedBody')}
+            </p>
+            <pre dir="ltr" className="mt-8 max-w-2xl w-full text-left whitespace-pre-wrap text-xs font-mono text-red-300 bg-white/5 border border-white/10 rounded-2xl p-6">
+              {modelError.message}
+            </pre>
+            <button
+              onClick={() => setView('train')}
+              className="mt-8 px-8 py-4 rounded-2xl bg-white/5 border border-white/10 font-bold hover:bg-white/10 transition-all"
+            >
+              {t('model.trainLocally')}
+            </button>
+          </div>
+        )}
+
+        {!modelError && !modelParams && needsModel && (
+          <div className="flex flex-col items-center justify-center min-h-[60vh] text-center">
+            <div className="w-16 h-16 border-4 border-emerald-500/20 border-t-emerald-500 rounded-full animate-spin" />
+            <p className="mt-8 text-slate-500 animate-pulse">{t('model.loading')}</p>
+          </div>
+        )}
+
+        {view === 'history' && <HistoryView models={registry?.models ?? []} />}
+
+        {view === 'train' && (
+          <TrainView
+            modelParams={modelParams}
+            onApply={applyTrainedModel}
+          />
+        )}
+
+        {modelParams && view === 'hero' && (
           <div className="flex flex-col items-center justify-center min-h-[80vh] text-center animate-in fade-in slide-in-from-bottom-12 duration-1000">
             <div className="mb-6 inline-flex items-center gap-2 px-4 py-2 bg-emerald-500/10 border border-emerald-500/20 rounded-full text-emerald-400 text-xs font-bold tracking-widest uppercase">
-              <Sparkles size={14} /> Powered by Neural Logic v4.0
+              <Sparkles size={14} /> {t('hero.badge')}
             </div>
             <h1 className="text-6xl md:text-8xl font-black tracking-tighter mb-8 leading-[1.1]">
-              Decode Your <br />
-              <span className="text-transparent bg-clip-text bg-gradient-to-r from-emerald-400 via-blue-400 to-purple-500">Digital Consciousness</span>
+              {t('hero.titleLead')} <br />
+              <span className="text-transparent bg-clip-text bg-gradient-to-r from-emerald-400 via-blue-400 to-purple-500">{t('hero.titleHighlight')}</span>
             </h1>
             <p className="max-w-2xl text-lg md:text-xl text-slate-400 mb-12 leading-relaxed font-light">
-              Our advanced machine learning engine analyzes 26 behavioral vectors to construct a high-fidelity psychological profile. Instant, local, and private.
+              {t('hero.intro', { count: FEATURE_METADATA.length })}
             </p>
             <div className="flex flex-col sm:flex-row gap-6">
               <button 
@@ -204,84 +282,111 @@ export default function App() {
                 className="group relative px-10 py-5 bg-emerald-500 text-black font-bold rounded-2xl hover:bg-emerald-400 transition-all flex items-center gap-3 overflow-hidden"
               >
                 <div className="absolute inset-0 bg-white/20 translate-x-[-100%] group-hover:translate-x-[100%] transition-transform duration-500" />
-                Initialize Profile <ChevronRight size={20} />
+                {t('hero.start')} <ChevronRight size={20} className="rtl:rotate-180" />
+              </button>
+              <button
+                onClick={() => setView('adaptive')}
+                className="px-10 py-5 bg-white/5 border border-white/10 backdrop-blur-xl rounded-2xl font-bold hover:bg-white/10 transition-all flex items-center gap-3"
+              >
+                <Gauge size={20} /> {t('hero.adaptive')}
               </button>
               <button className="px-10 py-5 bg-white/5 border border-white/10 backdrop-blur-xl rounded-2xl font-bold hover:bg-white/10 transition-all">
-                View Methodology
+                {t('hero.methodology')}
               </button>
             </div>
             <div className="mt-20 grid grid-cols-2 md:grid-cols-4 gap-12 opacity-50 grayscale hover:grayscale-0 transition-all">
-              <div className="flex items-center gap-2 font-bold text-sm"><Globe size={18}/> GLOBAL SYNC</div>
-              <div className="flex items-center gap-2 font-bold text-sm"><ShieldCheck size={18}/> SECURE VAULT</div>
-              <div className="flex items-center gap-2 font-bold text-sm"><Activity size={18}/> REAL-TIME</div>
-              <div className="flex items-center gap-2 font-bold text-sm"><BarChart3 size={18}/> DEEP INSIGHT</div>
+              <div className="flex items-center gap-2 font-bold text-sm uppercase"><Globe size={18}/> {t('hero.sync')}</div>
+              <div className="flex items-center gap-2 font-bold text-sm uppercase"><ShieldCheck size={18}/> {t('hero.vault')}</div>
+              <div className="flex items-center gap-2 font-bold text-sm uppercase"><Activity size={18}/> {t('hero.realtime')}</div>
+              <div className="flex items-center gap-2 font-bold text-sm uppercase"><BarChart3 size={18}/> {t('hero.insight')}</div>
             </div>
           </div>
         )}
 
-        {view === 'quiz' && (
+        {modelParams && view === 'quiz' && (
           <div className="w-full h-full py-8 animate-in fade-in zoom-in-95 duration-700">
             <div className="mb-10 text-center">
               <div className="inline-block p-4 rounded-3xl bg-emerald-500/10 border border-emerald-500/20 mb-4">
                 <currentCategory.icon size={32} className={currentCategory.color} />
               </div>
-              <h2 className="text-3xl font-bold mb-2">{currentCategory.title}</h2>
-              <p className="text-slate-500">Calibrating your behavioral coefficients (Step {step + 1}/4)</p>
+              <h2 ref={headingRef} tabIndex={-1} className="text-3xl font-bold mb-2 focus:outline-none">{category(currentCategory.id)}</h2>
+              <p className="text-slate-500">{t('quiz.step', { step: step + 1, total: CATEGORIES.length })}</p>
+              <div className="mt-6">
+                <AnswerModeToggle mode={quizMode} onChange={setQuizMode} />
+              </div>
             </div>
 
             <div className="bg-white/5 border border-white/10 backdrop-blur-2xl rounded-[2.5rem] p-8 md:p-12 shadow-2xl relative overflow-hidden group">
-              <div className="absolute top-0 right-0 w-32 h-32 bg-emerald-500/5 blur-3xl -z-10" />
+              <div className="absolute top-0 end-0 w-32 h-32 bg-emerald-500/5 blur-3xl -z-10" />
               
-              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
-                {currentFeatures.map(feat => (
-                  <div key={feat.id} className="relative p-4 rounded-xl bg-white/5 border border-white/5 hover:bg-white/10 transition-colors">
-                    <div className="flex justify-between items-center mb-4">
-                      <label className="text-sm font-bold text-slate-300 uppercase tracking-widest">{feat.label}</label>
-                      <span className="px-3 py-1 bg-white/5 rounded-lg font-mono text-emerald-400 border border-white/5 text-xs">
-                        {inputs[feat.id]}
-                      </span>
-                    </div>
-                    <div className="relative flex items-center group/slider">
-                      <input
-                        type="range"
-                        min="0"
-                        max="10"
-                        value={inputs[feat.id]}
-                        onChange={(e) => setInputs(prev => ({ ...prev, [feat.id]: parseInt(e.target.value) }))}
-                        className="w-full h-1.5 bg-slate-800 rounded-full appearance-none cursor-pointer accent-emerald-500"
-                      />
-                    </div>
-                  </div>
-                ))}
-              </div>
+              {quizMode === 'questionnaire' ? (
+                <QuestionnaireStep features={currentFeatures} responses={responses} onRespond={handleRespond} />
+              ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
+                  {currentFeatures.map(feat => (
+                    <FeatureSlider
+                      key={feat.id}
+                      featureId={feat.id}
+                      value={inputs[feat.id]}
+                      onChange={value => setInputs(prev => ({ ...prev, [feat.id]: value }))}
+                    />
+                  ))}
+                </div>
+              )}
 
               <div className="mt-16 flex gap-4">
                 {step > 0 && (
                   <button 
-                    onClick={() => setStep(s => s - 1)}
+                    onClick={handlePrev}
+                    aria-keyshortcuts={keyshortcut(SHORTCUTS.previous)}
                     className="flex-1 py-5 rounded-2xl bg-white/5 border border-white/10 font-bold hover:bg-white/10 transition-all flex items-center justify-center gap-2"
                   >
-                    <ChevronLeft size={20} /> Prev
+                    <ChevronLeft size={20} className="rtl:rotate-180" /> {t('quiz.prev')}
                   </button>
                 )}
                 <button 
                   onClick={handleNext}
+                  aria-keyshortcuts={keyshortcut(SHORTCUTS.next)}
                   className="flex-[2] py-5 rounded-2xl bg-gradient-to-r from-emerald-500 to-blue-600 font-bold hover:shadow-lg hover:shadow-emerald-500/20 transition-all flex items-center justify-center gap-2"
                 >
-                  {step === CATEGORIES.length - 1 ? 'Compute Results' : 'Next Sequence'} <ChevronRight size={20} />
+                  {step === CATEGORIES.length - 1 ? t('quiz.compute') : t('quiz.next')} <ChevronRight size={20} className="rtl:rotate-180" />
                 </button>
               </div>
+              <p className="mt-6 text-center text-xs text-slate-500">
+                {t('a11y.shortcuts', {
+                  next: keyshortcut(SHORTCUTS.next),
+                  previous: keyshortcut(SHORTCUTS.previous),
+                  mode: keyshortcut(SHORTCUTS.answerMode),
+                })}
+              </p>
             </div>
             
-            <div className="mt-8 flex justify-center gap-2">
-              {CATEGORIES.map((_, i) => (
-                <div key={i} className={`h-1.5 rounded-full transition-all duration-500 ${i === step ? 'w-8 bg-emerald-500' : 'w-2 bg-slate-800'}`} />
+            <ol className="mt-8 flex justify-center gap-2" aria-label={t('a11y.progress')}>
+              {CATEGORIES.map((cat, i) => (
+                <li
+                  key={cat.id}
+                  aria-current={i === step ? 'step' : undefined}
+                  className={`h-1.5 rounded-full transition-all duration-500 ${i === step ? 'w-8 bg-emerald-500' : 'w-2 bg-slate-800'}`}
+                >
+                  <span className="sr-only">{t('a11y.step', { step: i + 1, total: CATEGORIES.length, title: category(cat.id) })}</span>
+                </li>
               ))}
-            </div>
+            </ol>
           </div>
         )}
 
-        {view === 'loading' && (
+        {modelParams && view === 'team' && <TeamView modelParams={modelParams} />}
+
+        {modelParams && view === 'adaptive' && (
+          <AdaptiveQuiz
+            modelParams={modelParams}
+            quizMode={quizMode}
+            onQuizModeChange={setQuizMode}
+            onComplete={completeAssessment}
+          />
+        )}
+
+        {modelParams && view === 'loading' && (
           <div className="flex flex-col items-center justify-center min-h-[60vh] text-center">
             <div className="relative">
               <div className="w-24 h-24 border-4 border-emerald-500/20 border-t-emerald-500 rounded-full animate-spin" />
@@ -289,31 +394,69 @@ export default function App() {
                 <Cpu size={32} className="text-emerald-500 animate-pulse" />
               </div>
             </div>
-            <h3 className="mt-8 text-2xl font-bold tracking-tight">Synthesizing Neural Profile</h3>
-            <p className="mt-2 text-slate-500 animate-pulse">Running Logistic Regression inference locally...</p>
+            <h3 className="mt-8 text-2xl font-bold tracking-tight">{t('loading.title')}</h3>
+            <p className="mt-2 text-slate-500 animate-pulse">{t('loading.body')}</p>
           </div>
         )}
 
-        {view === 'result' && (
+        {modelParams && view === 'result' && (
           <div className="w-full h-full py-8 animate-in fade-in slide-in-from-bottom-12 duration-1000">
             <div className="grid grid-cols-1 lg:grid-cols-5 gap-8">
               {/* Main Result Card */}
               <div className="lg:col-span-3 bg-white/5 border border-white/10 backdrop-blur-3xl rounded-[3rem] p-10 relative overflow-hidden">
-                <div className="absolute top-0 right-0 w-64 h-64 bg-emerald-500/10 blur-[100px] -z-10" />
-                
-                <div className="mb-10 inline-flex p-5 rounded-[2rem] bg-emerald-500 shadow-2xl shadow-emerald-500/40">
-                  <CheckCircle2 size={40} className="text-black" />
-                </div>
+                <div className="absolute top-0 end-0 w-64 h-64 bg-emerald-500/10 blur-[100px] -z-10" />
                 
-                <h4 className="text-emerald-400 font-bold uppercase tracking-[0.2em] text-xs mb-3">Assessment Verified</h4>
-                <h2 className="text-5xl font-black mb-8 leading-tight">The {result.label}</h2>
+                {reliability.confident ? (
+                  <>
+                    <div className="mb-10 inline-flex p-5 rounded-[2rem] bg-emerald-500 shadow-2xl shadow-emerald-500/40">
+                      <CheckCircle2 size={40} className="text-black" />
+                    </div>
+                    <h4 className="text-emerald-400 font-bold uppercase tracking-[0.2em] text-xs mb-3">{t('result.verified')}</h4>
+                    <h2 ref={headingRef} tabIndex={-1} className="text-5xl font-black mb-8 leading-tight focus:outline-none">{t('result.title', { label: className(result.label) })}</h2>
+                    {description(result.label) && (
+                      <p className="-mt-4 mb-8 text-slate-400">{description(result.label)}</p>
+                    )}
+                  </>
+                ) : (
+                  <>
+                    <div className="mb-10 inline-flex p-5 rounded-[2rem] bg-amber-400 shadow-2xl shadow-amber-400/30">
+                      <AlertTriangle size={40} className="text-black" />
+                    </div>
+                    <h4 className="text-amber-400 font-bold uppercase tracking-[0.2em] text-xs mb-3">{t('result.inconclusive')}</h4>
+                    <h2 ref={headingRef} tabIndex={-1} className="text-5xl font-black mb-8 leading-tight focus:outline-none">
+                      {reliability.straightLined
+                        ? t('result.noArchetype')
+                        : t('result.either', { label: className(result.label), other: className(modelParams.classes[reliability.runnerUp]) })}
+                    </h2>
+                  </>
+                )}
+                {skippedFeatures.length > 0 && (
+                  <p className="-mt-4 mb-8 text-xs text-slate-500">
+                    {t('result.skipped', {
+                      answered: FEATURE_METADATA.length - skippedFeatures.length,
+                      total: FEATURE_METADATA.length,
+                      skipped: skippedFeatures.length,
+                    })}
+                  </p>
+                )}
+
+                <ReliabilityNotice reliability={reliability} result={result} classes={modelParams.classes} />
                 
-                <div className="space-y-8">
+                <ProbabilityTable
+                  caption={t('a11y.probabilities')}
+                  columns={[t('a11y.probability')]}
+                  rows={modelParams.classes.map((cls, idx) => ({
+                    label: className(cls),
+                    values: [result.probabilities[idx]],
+                    current: reliability.confident && cls === result.label,
+                  }))}
+                />
+                <div className="space-y-8" aria-hidden="true">
                   {modelParams.classes.map((cls, idx) => (
                     <div key={cls}>
                       <div className="flex justify-between items-end mb-2">
-                        <span className={`text-sm font-bold uppercase tracking-widest ${cls === result.label ? 'text-white' : 'text-slate-500'}`}>{cls}</span>
-                        <span className="text-emerald-400 font-mono">{(result.probabilities[idx] * 100).toFixed(1)}%</span>
+                        <span className={`text-sm font-bold uppercase tracking-widest ${cls === result.label ? 'text-white' : 'text-slate-500'}`}>{className(cls)}</span>
+                        <span className="text-emerald-400 font-mono">{percent(result.probabilities[idx])}</span>
                       </div>
                       <div className="h-2 w-full bg-white/5 rounded-full overflow-hidden">
                         <div 
@@ -330,10 +473,13 @@ export default function App() {
                     onClick={() => { setView('hero'); setStep(0); }}
                     className="flex-1 py-5 rounded-2xl bg-white text-black font-bold hover:bg-slate-200 transition-all flex items-center justify-center gap-2"
                   >
-                    <RefreshCw size={20} /> Reset Session
+                    <RefreshCw size={20} /> {t('result.reset')}
                   </button>
-                  <button className="flex-1 py-5 rounded-2xl bg-white/10 border border-white/10 backdrop-blur-xl font-bold hover:bg-white/20 transition-all flex items-center justify-center gap-2">
-                    <Share2 size={20} /> Export Insights
+                  <button
+                    onClick={() => setExportOpen(true)}
+                    className="flex-1 py-5 rounded-2xl bg-white/10 border border-white/10 backdrop-blur-xl font-bold hover:bg-white/20 transition-all flex items-center justify-center gap-2"
+                  >
+                    <Share2 size={20} /> {t('result.export')}
                   </button>
                 </div>
               </div>
@@ -342,29 +488,85 @@ export default function App() {
               <div className="lg:col-span-2 space-y-8">
                 <div className="bg-white/5 border border-white/10 backdrop-blur-2xl rounded-[2.5rem] p-8">
                   <h5 className="font-bold text-slate-300 mb-4 flex items-center gap-2">
-                    <Zap size={18} className="text-emerald-400" /> Behavioral Note
+                    <Zap size={18} className="text-emerald-400" /> {t('result.note')}
                   </h5>
-                  <p className="text-sm text-slate-400 leading-relaxed italic">
-                    "Your profile shows a high correlation with {result.label.toLowerCase()} tendencies. This archetype is often characterized by a specific balance of {step === 0 ? 'social intuition' : 'cognitive depth'} and environmental awareness."
-                  </p>
+                  <div className="space-y-4 text-sm text-slate-400 leading-relaxed">
+                    {reliability.straightLined ? (
+                      <p className="italic">{t('result.straightLined')}</p>
+                    ) : (
+                      <>
+                        {writeup.blend && (
+                          <p className="italic">
+                            {writeup.blend.text ?? t('result.blend', { label: className(result.label), other: className(writeup.blend.with) })}
+                          </p>
+                        )}
+                        {writeup.content?.notes.map(note => (
+                          <p key={note.category.id} className="flex gap-3">
+                            <note.category.icon size={16} className={`shrink-0 mt-0.5 ${note.category.color}`} />
+                            <span>{note.text}</span>
+                          </p>
+                        ))}
+                        {!writeup.content?.notes.length && !writeup.blend && (
+                          <p className="italic">
+                            {description(result.label) ?? t('result.areas', { highest: category(writeup.highest.id), lowest: category(writeup.lowest.id) })}
+                          </p>
+                        )}
+                      </>
+                    )}
+                  </div>
                 </div>
 
                 <div className="bg-indigo-600 rounded-[2.5rem] p-8 text-white relative shadow-2xl shadow-indigo-500/20">
-                  <div className="absolute top-4 right-4 text-white/20"><Brain size={48} /></div>
-                  <h5 className="font-bold mb-2">Did you know?</h5>
-                  <p className="text-sm text-indigo-100 leading-relaxed">
-                    AI-based personality modeling is 30% more consistent at identifying subconscious traits compared to standard multiple-choice questionnaires.
-                  </p>
+                  <div className="absolute top-4 end-4 text-white/20"><Brain size={48} /></div>
+                  <h5 className="font-bold mb-2">{t('result.fact')}</h5>
+                  <p className="text-sm text-indigo-100 leading-relaxed">{writeup.fact}</p>
+                  <p className="mt-4 text-[10px] font-bold uppercase tracking-widest text-indigo-200/70">{t('result.topArea', { area: category(writeup.highest.id) })}</p>
                 </div>
               </div>
             </div>
+
+            {writeup.content && !reliability.straightLined && (
+              <div className="mt-8">
+                <ArchetypeProfile label={result.label} content={writeup.content} />
+              </div>
+            )}
+
+            <div className="mt-8">
+              <ExplanationPanel result={result} classes={modelParams.classes} />
+            </div>
+
+            <div className="mt-8">
+              <ModelComparePanel
+                models={registry.models}
+                inputs={inputs}
+                activeModelId={activeModelId}
+                onSelect={setActiveModelId}
+              />
+            </div>
+
+            <div className="mt-8">
+              {/* Keyed on the answers too, so back/forward or a new assessment resets the simulator */}
+              <WhatIfPanel key={`${activeModelId}:${encodeAnswers(inputs)}`} inputs={inputs} modelParams={modelParams} result={result} />
+            </div>
+
+            {exportOpen && (
+              <ExportDialog
+                inputs={inputs}
+                result={result}
+                reliability={reliability}
+                modelId={activeModelId}
+                modelParams={modelParams}
+                shareUrl={`${window.location.origin}${window.location.pathname}${buildHash({ view: 'result', step, inputs })}`}
+                onClose={() => setExportOpen(false)}
+              />
+            )}
           </div>
         )}
 
         <footer className="mt-20 py-12 border-t border-white/5 text-center flex flex-col items-center gap-6">
           <div className="flex gap-8 text-xs font-bold text-slate-600 uppercase tracking-widest">
-            <a href="#" className="hover:text-emerald-400 transition-colors">Privacy Policy</a>
-            <a href="#" className="hover:text-emerald-400 transition-colors">Terms of Service</a>
+            <a href="#" className="hover:text-emerald-400 transition-colors">{t('footer.privacy')}</a>
+            <a href="#" className="hover:text-emerald-400 transition-colors">{t('footer.terms')}</a>
             <a href="#" className="hover:text-emerald-400 transition-colors">Neural v4.0.2</a>
           </div>
           <p className="text-slate-700 text-[10px] uppercase font-bold tracking-[0.4em]">
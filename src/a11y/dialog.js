@@ -0,0 +1,53 @@
+import { useEffect, useRef } from 'react';
+
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])',
+].join(', ');
+
+/**
+ * Keyboard behaviour for a modal dialog rendered into `ref`: focus moves into
+ * it on mount, Tab and Shift+Tab wrap around inside it, Escape calls
+ * `onClose`, and focus returns to whatever had it before (normally the button
+ * that opened the dialog) on unmount.
+ */
+export const useModalFocus = (ref, onClose) => {
+  const latest = useRef(onClose);
+  useEffect(() => {
+    latest.current = onClose;
+  });
+
+  useEffect(() => {
+    const opener = document.activeElement;
+    ref.current?.querySelector(FOCUSABLE)?.focus();
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        latest.current();
+        return;
+      }
+      if (event.key !== 'Tab' || !ref.current) return;
+      const focusable = [...ref.current.querySelectorAll(FOCUSABLE)];
+      if (!focusable.length) return;
+      const first = focusable[0];
+      const last = focusable.at(-1);
+      // Focus can also end up outside, e.g. on the body after the focused
+      // button was disabled; Tab brings it back in.
+      const inside = ref.current.contains(document.activeElement);
+      if (!inside || (event.shiftKey ? document.activeElement === first : document.activeElement === last)) {
+        event.preventDefault();
+        (event.shiftKey ? last : first).focus();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      opener?.focus?.();
+    };
+  }, [ref]);
+};
@@ -0,0 +1,56 @@
+import { useState, useEffect, useSyncExternalStore } from 'react';
+
+// Whether animation should be kept to a minimum. The operating system's
+// prefers-reduced-motion setting is the default; the in-app toggle overrides
+// it in either direction and is remembered on the device.
+
+const QUERY = '(prefers-reduced-motion: reduce)';
+const STORAGE_KEY = 'knowyourself.motion';
+
+const mediaQuery = () => (typeof window !== 'undefined' && window.matchMedia ? window.matchMedia(QUERY) : null);
+
+const subscribe = (onChange) => {
+  const query = mediaQuery();
+  query?.addEventListener('change', onChange);
+  return () => query?.removeEventListener('change', onChange);
+};
+
+const systemPrefersReduced = () => mediaQuery()?.matches ?? false;
+
+// 'reduce' | 'full' | null (follow the system). Storage may be blocked, as in
+// src/i18n/locales.js.
+const loadOverride = () => {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    if (saved === 'reduce' || saved === 'full') return saved;
+  } catch { /* ignore */ }
+  return null;
+};
+
+const saveOverride = (value) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, value);
+  } catch { /* ignore */ }
+};
+
+/**
+ * Returns `[reduced, setReduced]` and mirrors the choice onto
+ * `<html data-motion>`, which index.css uses to stop CSS animations.
+ */
+export const useReducedMotion = () => {
+  const system = useSyncExternalStore(subscribe, systemPrefersReduced, () => false);
+  const [override, setOverride] = useState(loadOverride);
+  const reduced = override ? override === 'reduce' : system;
+
+  useEffect(() => {
+    document.documentElement.dataset.motion = reduced ? 'reduce' : 'full';
+  }, [reduced]);
+
+  const setReduced = (value) => {
+    const next = value ? 'reduce' : 'full';
+    setOverride(next);
+    saveOverride(next);
+  };
+
+  return [reduced, setReduced];
+};
@@ -0,0 +1,42 @@
+import { useEffect, useRef } from 'react';
+
+// Quiz keyboard shortcuts, all Alt+<letter>. Alt keeps them clear of the
+// arrow keys sliders and radio groups already use, and these letters are not
+// browser menu keys.
+export const SHORTCUTS = {
+  next: 'N',
+  previous: 'P',
+  answerMode: 'M',
+};
+
+// Value for the aria-keyshortcuts attribute.
+export const keyshortcut = letter => `Alt+${letter}`;
+
+// macOS Option+letter types a symbol instead of the letter, so the physical
+// key (event.code) is accepted as well as the typed one.
+const matches = (event, letter) =>
+  event.key.toUpperCase() === letter || event.code === `Key${letter}`;
+
+/**
+ * Runs `bindings[letter]()` when Alt+letter is pressed anywhere on the page.
+ * Missing or null bindings are ignored, so callers can disable a shortcut by
+ * leaving it out.
+ */
+export const useShortcuts = (bindings) => {
+  const latest = useRef(bindings);
+  useEffect(() => {
+    latest.current = bindings;
+  });
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!event.altKey || event.ctrlKey || event.metaKey || event.shiftKey || event.repeat) return;
+      const letter = Object.keys(latest.current).find(l => latest.current[l] && matches(event, l));
+      if (!letter) return;
+      event.preventDefault();
+      latest.current[letter]();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+};
@@ -0,0 +1,24 @@
+// Particle colours, one per class index (wrapping for larger models). The
+// first is the background's original emerald, used when there is no result.
+export const PALETTE = ['#4ade80', '#60a5fa', '#c084fc', '#f472b6', '#fbbf24', '#2dd4bf'];
+
+export const classColor = idx => PALETTE[idx % PALETTE.length];
+
+/**
+ * Class index for each particle. Every particle keeps a fixed seed in [0, 1)
+ * and takes the class whose cumulative probability band contains it, so the
+ * share of each colour follows the probabilities and only the particles near
+ * a band edge change colour when they move. Probabilities are normalised, as
+ * independent models need not sum to 1. Without probabilities every particle
+ * is class 0.
+ */
+export const assignClasses = (seeds, probabilities) => {
+  const total = probabilities?.reduce((a, b) => a + b, 0);
+  if (!total) return seeds.map(() => 0);
+  let acc = 0;
+  const bounds = probabilities.map(p => (acc += p / total));
+  return seeds.map(seed => {
+    const idx = bounds.findIndex(bound => seed < bound);
+    return idx === -1 ? bounds.length - 1 : idx;
+  });
+};
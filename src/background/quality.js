@@ -0,0 +1,70 @@
+// Render budgets for the particle background, best first. The geometry is
+// built once for the largest count and trimmed with a draw range, so moving
+// between levels costs nothing. Past the last level the background falls
+// back to the CSS pattern.
+export const QUALITY_LEVELS = [
+  { particles: 1500, pixelRatio: 1.5 },
+  { particles: 1000, pixelRatio: 1 },
+  { particles: 600, pixelRatio: 0.75 },
+  { particles: 300, pixelRatio: 0.5 },
+];
+
+export const MAX_PARTICLES = QUALITY_LEVELS[0].particles;
+
+// Frames longer than this are a stall (tab switch, GC pause), not a trend.
+const STALL_MS = 250;
+
+// Laptops reporting few cores or little memory start one level down.
+// Both hints are optional browser APIs, so missing values count as capable.
+export const initialQuality = ({ hardwareConcurrency, deviceMemory } = {}) =>
+  (hardwareConcurrency <= 4 || deviceMemory <= 4 ? 1 : 0);
+
+/**
+ * Frame-time monitor. Call `sample(ms)` once per frame; every `windowSize`
+ * frames the mean is checked, and the level drops when it is over `slowMs`
+ * (about 45 fps by default). After `recoverWindows` fast windows in a row it
+ * climbs back, but never to a level that has already proved too slow, so it
+ * cannot oscillate. `sample` returns the new level when it changes (which
+ * may be `levels`, meaning "give up"), otherwise null.
+ */
+export const createFrameMonitor = ({
+  levels = QUALITY_LEVELS.length,
+  start = 0,
+  windowSize = 60,
+  slowMs = 22,
+  fastMs = 12,
+  recoverWindows = 5,
+} = {}) => {
+  let level = start;
+  let best = 0; // best level not yet shown to be too slow
+  let frames = 0;
+  let total = 0;
+  let fastStreak = 0;
+
+  return {
+    get level() { return level; },
+    sample(ms) {
+      if (ms > STALL_MS || level >= levels) return null;
+      frames += 1;
+      total += ms;
+      if (frames < windowSize) return null;
+      const mean = total / frames;
+      frames = 0;
+      total = 0;
+
+      if (mean > slowMs) {
+        best = Math.max(best, level + 1);
+        level += 1;
+        fastStreak = 0;
+        return level;
+      }
+      fastStreak = mean < fastMs ? fastStreak + 1 : 0;
+      if (fastStreak >= recoverWindows && level > best) {
+        level -= 1;
+        fastStreak = 0;
+        return level;
+      }
+      return null;
+    },
+  };
+};
@@ -0,0 +1,17 @@
+import { Users, Brain, Zap, Settings } from 'lucide-react';
+import { FEATURE_METADATA } from './engine/features.js';
+
+// Quiz steps; FEATURE_METADATA entries reference these by `category` id.
+export const CATEGORIES = [
+  { id: 'social', title: 'Social Signature', icon: Users, color: 'text-emerald-400', glow: 'shadow-emerald-500/20' },
+  { id: 'cognitive', title: 'Neural Patterns', icon: Brain, color: 'text-blue-400', glow: 'shadow-blue-500/20' },
+  { id: 'behavioral', title: 'Impulse Vector', icon: Zap, color: 'text-purple-400', glow: 'shadow-purple-500/20' },
+  { id: 'lifestyle', title: 'Environmental', icon: Settings, color: 'text-cyan-400', glow: 'shadow-cyan-500/20' },
+];
+
+// Mean 0-10 answer per category, keyed by category id.
+export const categoryAverages = (inputs) =>
+  Object.fromEntries(CATEGORIES.map(cat => {
+    const values = FEATURE_METADATA.filter(f => f.category === cat.id).map(f => inputs[f.id]);
+    return [cat.id, values.reduce((a, b) => a + b, 0) / values.length];
+  }));
@@ -0,0 +1,166 @@
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { Gauge, ChevronRight, SkipForward } from 'lucide-react';
+import { CATEGORIES } from '../categories.js';
+import { FEATURE_METADATA } from '../engine/features.js';
+import { adaptiveStatus } from '../engine/adaptive.js';
+import { QUESTION_BANK } from '../questionnaire/questions.js';
+import { featureScore } from '../questionnaire/scoring.js';
+import { SHORTCUTS, keyshortcut, useShortcuts } from '../a11y/shortcuts.js';
+import AnswerModeToggle from './AnswerModeToggle.jsx';
+import FeatureSlider from './FeatureSlider.jsx';
+import QuestionnaireStep from './QuestionnaireStep.jsx';
+import { useI18n } from '../i18n/context.js';
+
+const DEFAULT_THRESHOLD = 0.9;
+
+/**
+ * Short-form quiz that asks one feature at a time, always the one expected to
+ * move the prediction most, and stops once the model is confident enough or
+ * no remaining answer could change the outcome. Unasked features fall back to
+ * the model's training mean. Calls `onComplete(inputs, skippedIds)`.
+ */
+export default function AdaptiveQuiz({ modelParams, quizMode, onQuizModeChange, onComplete }) {
+  const { t, percent, feature: featureLabel, category: categoryTitle, className } = useI18n();
+  const [answered, setAnswered] = useState({});
+  const [threshold, setThreshold] = useState(DEFAULT_THRESHOLD);
+  const [responses, setResponses] = useState({});
+  const [sliderValue, setSliderValue] = useState(null);
+  const questionRef = useRef(null);
+
+  const status = useMemo(
+    () => adaptiveStatus(answered, modelParams, { threshold }),
+    [answered, modelParams, threshold]
+  );
+  const feature = status.next && FEATURE_METADATA.find(f => f.id === status.next);
+  const category = feature && CATEGORIES.find(c => c.id === feature.category);
+  const skipped = FEATURE_METADATA.filter(f => answered[f.id] === undefined).map(f => f.id);
+
+  const pendingValue = !feature ? null
+    : quizMode === 'questionnaire'
+      ? (QUESTION_BANK[feature.id].every(item => responses[item.id] !== undefined) ? featureScore(feature.id, responses) : null)
+      : sliderValue ?? status.inputs[feature.id];
+
+  const handleNext = () => {
+    setAnswered(prev => ({ ...prev, [feature.id]: pendingValue }));
+    setSliderValue(null);
+  };
+
+  const finish = () => onComplete(status.inputs, skipped);
+
+  useShortcuts({
+    [SHORTCUTS.next]: pendingValue !== null && handleNext,
+    [SHORTCUTS.answerMode]: () => onQuizModeChange(quizMode === 'questionnaire' ? 'sliders' : 'questionnaire'),
+  });
+
+  // After each answer, continue from the next question (or the summary).
+  useEffect(() => {
+    if (status.answeredCount > 0) questionRef.current?.focus();
+  }, [status.answeredCount]);
+
+  const announcement = feature
+    ? t('a11y.question', { number: status.answeredCount + 1, label: featureLabel(feature.id) })
+    : t('adaptive.summary', { answered: status.answeredCount, total: FEATURE_METADATA.length, count: skipped.length });
+
+  return (
+    <div className="w-full h-full py-8 animate-in fade-in zoom-in-95 duration-700 max-w-3xl mx-auto">
+      <div role="status" className="sr-only">{announcement}</div>
+      <div className="mb-10 text-center">
+        <div className="inline-block p-4 rounded-3xl bg-emerald-500/10 border border-emerald-500/20 mb-4">
+          <Gauge size={32} className="text-emerald-400" />
+        </div>
+        <h2 className="text-3xl font-bold mb-2">{t('adaptive.title')}</h2>
+        <p className="text-slate-500">
+          {t('adaptive.intro')}
+        </p>
+        <div className="mt-6">
+          <AnswerModeToggle mode={quizMode} onChange={onQuizModeChange} />
+        </div>
+      </div>
+
+      <div className="mb-8 p-6 rounded-2xl bg-white/5 border border-white/10">
+        <div className="flex justify-between items-end mb-2 text-xs font-bold uppercase tracking-widest">
+          <span className="text-slate-400">{t('adaptive.leaning', { label: className(status.result.label) })}</span>
+          <span className="font-mono text-emerald-400">{percent(status.confidence)}</span>
+        </div>
+        <div className="relative h-2 w-full bg-white/5 rounded-full overflow-hidden" aria-hidden="true">
+          <div className="h-full bg-gradient-to-r from-emerald-500 to-blue-500 transition-all duration-500" style={{ width: `${status.confidence * 100}%` }} />
+          <div className="absolute inset-y-0 w-0.5 bg-white/60" style={{ insetInlineStart: `${threshold * 100}%` }} />
+        </div>
+        <div className="mt-4 flex flex-col sm:flex-row sm:items-center justify-between gap-3 text-xs text-slate-500">
+          <span>{t('adaptive.progress', { answered: status.answeredCount, remaining: skipped.length })}</span>
+          <label className="flex items-center gap-3">
+            {t('adaptive.stopAt')}
+            <input
+              type="range"
+              min="0.6"
+              max="0.99"
+              step="0.01"
+              value={threshold}
+              aria-valuetext={percent(threshold, 0)}
+              onChange={(e) => setThreshold(Number(e.target.value))}
+              className="w-32 h-1 bg-slate-800 rounded-full appearance-none cursor-pointer accent-emerald-500"
+            />
+            <span className="font-mono text-slate-300 w-12" aria-hidden="true">{percent(threshold, 0)}</span>
+          </label>
+        </div>
+      </div>
+
+      <div className="bg-white/5 border border-white/10 backdrop-blur-2xl rounded-[2.5rem] p-8 md:p-12 shadow-2xl">
+        {feature ? (
+          <>
+            <div ref={questionRef} tabIndex={-1} className="mb-6 flex items-center gap-2 text-xs font-bold uppercase tracking-[0.2em] focus:outline-none">
+              <category.icon size={14} className={category.color} />
+              <span className={category.color}>{categoryTitle(category.id)}</span>
+              <span className="ms-auto text-slate-500">{t('adaptive.question', { number: status.answeredCount + 1 })}</span>
+            </div>
+
+            {quizMode === 'questionnaire' ? (
+              <QuestionnaireStep
+                features={[feature]}
+                responses={responses}
+                onRespond={(_, itemId, value) => setResponses(prev => ({ ...prev, [itemId]: value }))}
+              />
+            ) : (
+              <FeatureSlider featureId={feature.id} value={pendingValue} onChange={setSliderValue} />
+            )}
+
+            <div className="mt-10 flex gap-4">
+              <button
+                onClick={finish}
+                className="flex-1 py-5 rounded-2xl bg-white/5 border border-white/10 font-bold hover:bg-white/10 transition-all flex items-center justify-center gap-2"
+              >
+                <SkipForward size={20} className="rtl:-scale-x-100" /> {t('adaptive.finish')}
+              </button>
+              <button
+                onClick={handleNext}
+                aria-keyshortcuts={keyshortcut(SHORTCUTS.next)}
+                disabled={pendingValue === null}
+                className="flex-[2] py-5 rounded-2xl bg-gradient-to-r from-emerald-500 to-blue-600 font-bold hover:shadow-lg hover:shadow-emerald-500/20 transition-all flex items-center justify-center gap-2 disabled:opacity-50"
+              >
+                {t('adaptive.next')} <ChevronRight size={20} className="rtl:rotate-180" />
+              </button>
+            </div>
+            <p className="mt-6 text-center text-xs text-slate-500">
+              {t('a11y.adaptiveShortcuts', { next: keyshortcut(SHORTCUTS.next), mode: keyshortcut(SHORTCUTS.answerMode) })}
+            </p>
+          </>
+        ) : (
+          <div className="text-center">
+            <h3 ref={questionRef} tabIndex={-1} className="text-2xl font-bold mb-2 focus:outline-none">
+              {status.locked && status.confidence < threshold ? t('adaptive.locked') : t('adaptive.reached')}
+            </h3>
+            <p className="text-slate-500 mb-10">
+              {t('adaptive.summary', { answered: status.answeredCount, total: FEATURE_METADATA.length, count: skipped.length })}
+            </p>
+            <button
+              onClick={finish}
+              className="px-10 py-5 rounded-2xl bg-gradient-to-r from-emerald-500 to-blue-600 font-bold hover:shadow-lg hover:shadow-emerald-500/20 transition-all inline-flex items-center justify-center gap-2"
+            >
+              {t('quiz.compute')} <ChevronRight size={20} className="rtl:rotate-180" />
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,24 @@
+import React from 'react';
+import { useI18n } from '../i18n/context.js';
+import { SHORTCUTS, keyshortcut } from '../a11y/shortcuts.js';
+
+const MODES = ['questionnaire', 'sliders'];
+
+// Switches between plain-language statements and direct 0-10 feature sliders.
+export default function AnswerModeToggle({ mode, onChange }) {
+  const { t } = useI18n();
+  return (
+    <div className="inline-flex p-1 rounded-full bg-white/5 border border-white/10 text-xs font-bold" role="group" aria-label={t('quiz.answerMode')} aria-keyshortcuts={keyshortcut(SHORTCUTS.answerMode)}>
+      {MODES.map(value => (
+        <button
+          key={value}
+          onClick={() => onChange(value)}
+          aria-pressed={mode === value}
+          className={`px-4 py-2 rounded-full transition-colors ${mode === value ? 'bg-emerald-500 text-black' : 'text-slate-400 hover:text-white'}`}
+        >
+          {t(`quiz.${value}`)}
+        </button>
+      ))}
+    </div>
+  );
+}
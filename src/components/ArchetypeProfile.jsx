@@ -0,0 +1,53 @@
+import React from 'react';
+import { Award, EyeOff, Briefcase, MessageCircle, HeartHandshake } from 'lucide-react';
+import { useI18n } from '../i18n/context.js';
+
+const Section = ({ icon, title, items }) => (
+  <div className="p-6 rounded-2xl bg-white/5 border border-white/5">
+    <h6 className="flex items-center gap-2 text-xs font-bold uppercase tracking-[0.2em] text-slate-400 mb-4">
+      {icon} {title}
+    </h6>
+    <ul className="space-y-3">
+      {items.map(text => (
+        <li key={text} className="text-sm text-slate-300 leading-relaxed">{text}</li>
+      ))}
+    </ul>
+  </div>
+);
+
+/**
+ * Long-form writeup for the predicted archetype, built by
+ * `buildWriteup` from the content files in src/content/.
+ */
+export default function ArchetypeProfile({ label, content }) {
+  const { t, className } = useI18n();
+  return (
+    <div className="bg-white/5 border border-white/10 backdrop-blur-2xl rounded-[2.5rem] p-8 md:p-10">
+      <h5 className="font-bold text-slate-300 mb-2">{t('profile.title', { label: className(label) })}</h5>
+      <p className="text-sm text-slate-400 mb-8 max-w-3xl">{content.summary}</p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <Section icon={<Award size={14} className="text-emerald-400" />} title={t('profile.strengths')} items={content.strengths} />
+        <Section icon={<EyeOff size={14} className="text-rose-400" />} title={t('profile.blindSpots')} items={content.blindSpots} />
+        <Section icon={<Briefcase size={14} className="text-blue-400" />} title={t('profile.work')} items={content.workTips} />
+        <Section icon={<MessageCircle size={14} className="text-purple-400" />} title={t('profile.communicating')} items={content.communicationTips} />
+      </div>
+
+      {content.compatible.length > 0 && (
+        <div className="mt-8">
+          <h6 className="flex items-center gap-2 text-xs font-bold uppercase tracking-[0.2em] text-slate-400 mb-4">
+            <HeartHandshake size={14} className="text-cyan-400" /> {t('profile.compatible')}
+          </h6>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {content.compatible.map(match => (
+              <div key={match.archetype} className="p-4 rounded-xl bg-white/5 border border-white/5">
+                <div className="font-bold text-sm mb-1">{className(match.archetype)}</div>
+                <p className="text-xs text-slate-400">{match.reason}</p>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,219 @@
+import React, { useState, useEffect, useRef } from 'react';
+import * as THREE from 'three';
+import { QUALITY_LEVELS, MAX_PARTICLES, initialQuality, createFrameMonitor } from '../background/quality.js';
+import { PALETTE, classColor, assignClasses } from '../background/palette.js';
+
+const CONTAINER_CLASS = 'fixed inset-0 z-0 pointer-events-none opacity-40';
+
+// Per-frame share of the remaining distance when particles change colour.
+const COLOR_BLEND = 0.05;
+
+// Probes for WebGL and releases the test context straight away.
+const hasWebGL = () => {
+  try {
+    const canvas = document.createElement('canvas');
+    const gl = canvas.getContext('webgl2') ?? canvas.getContext('webgl');
+    gl?.getExtension('WEBGL_lose_context')?.loseContext();
+    return Boolean(gl);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Builds the three.js particle field inside `container`. The loop runs only
+ * while it is wanted (`setAnimate`) and the tab is visible; otherwise the
+ * last frame stays on screen. A frame monitor trims particles and pixel
+ * ratio on slow machines and calls `onFallback` when even the lowest level
+ * is too slow, or when the WebGL context is lost.
+ */
+const createParticleScene = (container, onFallback) => {
+  const monitor = createFrameMonitor({ start: initialQuality(navigator) });
+  const scene = new THREE.Scene();
+  const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+  camera.position.z = 5;
+  const renderer = new THREE.WebGLRenderer({ alpha: true, antialias: true, powerPreference: 'low-power' });
+  container.appendChild(renderer.domElement);
+
+  const positions = new Float32Array(MAX_PARTICLES * 3);
+  for (let i = 0; i < positions.length; i++) {
+    positions[i] = (Math.random() - 0.5) * 15;
+  }
+  const seeds = Array.from({ length: MAX_PARTICLES }, () => Math.random());
+  const colors = new Float32Array(MAX_PARTICLES * 3);
+  const targetColors = new Float32Array(MAX_PARTICLES * 3);
+  const palette = PALETTE.map(hex => new THREE.Color(hex));
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  const material = new THREE.PointsMaterial({ size: 0.015, vertexColors: true, transparent: true, opacity: 0.5 });
+  const points = new THREE.Points(geometry, material);
+  scene.add(points);
+
+  const render = () => renderer.render(scene, camera);
+
+  const applyQuality = () => {
+    const quality = QUALITY_LEVELS[monitor.level];
+    geometry.setDrawRange(0, quality.particles);
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, quality.pixelRatio));
+    renderer.setSize(window.innerWidth, window.innerHeight);
+  };
+
+  // Moves colours toward their targets; false once they have arrived.
+  let blending = false;
+  const blendColors = () => {
+    let remaining = 0;
+    for (let i = 0; i < colors.length; i++) {
+      colors[i] += (targetColors[i] - colors[i]) * COLOR_BLEND;
+      remaining = Math.max(remaining, Math.abs(targetColors[i] - colors[i]));
+    }
+    if (remaining < 0.002) colors.set(targetColors);
+    geometry.attributes.color.needsUpdate = true;
+    return remaining >= 0.002;
+  };
+
+  let wanted = false;
+  let frame = null;
+  let last = null;
+  const stop = () => {
+    if (frame !== null) cancelAnimationFrame(frame);
+    frame = null;
+    last = null;
+  };
+  const tick = (now) => {
+    frame = requestAnimationFrame(tick);
+    if (last !== null && monitor.sample(now - last) !== null) {
+      if (monitor.level >= QUALITY_LEVELS.length) {
+        stop();
+        onFallback();
+        return;
+      }
+      applyQuality();
+    }
+    last = now;
+    points.rotation.y += 0.0005;
+    points.rotation.x += 0.0002;
+    if (blending) blending = blendColors();
+    render();
+  };
+  const update = () => {
+    if (wanted && !document.hidden) {
+      if (frame === null) frame = requestAnimationFrame(tick);
+    } else {
+      stop();
+    }
+  };
+
+  const handleResize = () => {
+    camera.aspect = window.innerWidth / window.innerHeight;
+    camera.updateProjectionMatrix();
+    renderer.setSize(window.innerWidth, window.innerHeight);
+    if (frame === null) render();
+  };
+  const handleContextLost = () => {
+    stop();
+    onFallback();
+  };
+
+  window.addEventListener('resize', handleResize);
+  document.addEventListener('visibilitychange', update);
+  renderer.domElement.addEventListener('webglcontextlost', handleContextLost);
+
+  const particles = {
+    setAnimate(value) {
+      wanted = value;
+      update();
+    },
+    // Recolours particles in proportion to the class probabilities; fades
+    // while animating, switches at once when still.
+    setProbabilities(probabilities) {
+      assignClasses(seeds, probabilities).forEach((idx, i) => {
+        palette[idx % palette.length].toArray(targetColors, i * 3);
+      });
+      if (frame !== null) {
+        blending = true;
+        return;
+      }
+      colors.set(targetColors);
+      geometry.attributes.color.needsUpdate = true;
+      render();
+    },
+    dispose() {
+      stop();
+      window.removeEventListener('resize', handleResize);
+      document.removeEventListener('visibilitychange', update);
+      renderer.domElement.removeEventListener('webglcontextlost', handleContextLost);
+      geometry.dispose();
+      material.dispose();
+      renderer.dispose();
+      // Browsers cap live WebGL contexts, so free this one now rather than
+      // when it is garbage collected.
+      renderer.forceContextLoss();
+      renderer.domElement.remove();
+    },
+  };
+
+  applyQuality();
+  particles.setProbabilities(null);
+  return particles;
+};
+
+// Static dot pattern in the two most likely archetypes' colours, used when
+// WebGL is missing or too slow. Drifts slowly unless motion is reduced.
+const CssParticles = ({ animate, probabilities }) => {
+  const [first = 0, second = first] = probabilities
+    ? probabilities.map((p, idx) => ({ p, idx })).sort((a, b) => b.p - a.p).map(c => c.idx)
+    : [];
+  return (
+    <div
+      className={`${CONTAINER_CLASS}${animate ? ' animate-drift' : ''}`}
+      aria-hidden="true"
+      style={{
+        backgroundImage: `radial-gradient(${classColor(first)} 1px, transparent 1.5px), radial-gradient(${classColor(second)} 1px, transparent 1.5px)`,
+        backgroundSize: '48px 48px, 72px 72px',
+        backgroundPosition: '0 0, 24px 36px',
+      }}
+    />
+  );
+};
+
+/**
+ * Particle background behind every view. `probabilities` (the live
+ * prediction, or null) sets the particle colours; `animate` false (reduced
+ * motion) leaves a still frame. Without usable WebGL it renders CssParticles.
+ */
+export default function Background3D({ animate, probabilities }) {
+  const [webgl, setWebgl] = useState(hasWebGL);
+  const containerRef = useRef(null);
+  const particlesRef = useRef(null);
+
+  useEffect(() => {
+    if (!webgl) return;
+    const fallBack = () => setWebgl(false);
+    let particles;
+    try {
+      particles = createParticleScene(containerRef.current, fallBack);
+    } catch {
+      // The probe passed but three.js could not create a context after all.
+      fallBack();
+      return;
+    }
+    particlesRef.current = particles;
+    return () => {
+      particles.dispose();
+      particlesRef.current = null;
+    };
+  }, [webgl]);
+
+  useEffect(() => {
+    particlesRef.current?.setAnimate(animate);
+  }, [animate, webgl]);
+
+  useEffect(() => {
+    particlesRef.current?.setProbabilities(probabilities);
+  }, [probabilities, webgl]);
+
+  if (!webgl) return <CssParticles animate={animate} probabilities={probabilities} />;
+  return <div ref={containerRef} className={CONTAINER_CLASS} aria-hidden="true" />;
+}
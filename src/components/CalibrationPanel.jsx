@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import { Upload, Thermometer, CheckCircle2, Download, AlertTriangle } from 'lucide-react';
+import { FEATURE_METADATA } from '../engine/features.js';
+import { parseCsv } from '../engine/csv.js';
+import { serializeModel } from '../engine/model.js';
+import { buildDataset } from '../engine/train.js';
+import { fitTemperature, calibratedVersion } from '../engine/calibration.js';
+import { downloadJson } from '../export/download.js';
+import { useI18n } from '../i18n/context.js';
+
+const FEATURE_IDS = new Set(FEATURE_METADATA.map(f => f.id));
+
+const Metric = ({ label, before, after, format }) => (
+  <div className="p-4 rounded-2xl bg-white/5 text-center">
+    <div className="text-xs text-slate-500 uppercase tracking-widest mb-1">{label}</div>
+    <div className="font-mono text-sm text-slate-400">
+      {format(before)} → <span className={after <= before ? 'text-emerald-400' : 'text-amber-400'}>{format(after)}</span>
+    </div>
+  </div>
+);
+
+/**
+ * Temperature scaling for the live model: fits one temperature on an
+ * optional held-out labelled CSV (rows the model was not trained on) so the
+ * displayed probabilities match how often the model is actually right.
+ */
+export default function CalibrationPanel({ modelParams, onApply }) {
+  const { t, number, percent } = useI18n();
+  const [csv, setCsv] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [labelColumn, setLabelColumn] = useState('');
+  const [fit, setFit] = useState(null);
+  const [error, setError] = useState(null);
+  const [applied, setApplied] = useState(false);
+
+  const labelCandidates = csv ? csv.header.filter(h => !FEATURE_IDS.has(h)) : [];
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setFit(null);
+    setError(null);
+    setApplied(false);
+    try {
+      const parsed = parseCsv(await file.text());
+      const candidates = parsed.header.filter(h => !FEATURE_IDS.has(h));
+      setCsv(parsed);
+      setFileName(file.name);
+      setLabelColumn(candidates.includes('label') ? 'label' : candidates[0] ?? '');
+    } catch (err) {
+      setCsv(null);
+      setError(err.message);
+    }
+  };
+
+  const handleFit = () => {
+    setError(null);
+    setApplied(false);
+    try {
+      setFit(fitTemperature(buildDataset(csv, labelColumn, modelParams.classes), modelParams));
+    } catch (err) {
+      setFit(null);
+      setError(err.message);
+    }
+  };
+
+  const calibrated = fit && { ...modelParams, version: calibratedVersion(modelParams.version), temperature: fit.temperature };
+
+  return (
+    <div className="bg-white/5 border border-white/10 backdrop-blur-2xl rounded-[2.5rem] p-8">
+      <h5 className="font-bold text-slate-300 mb-2 flex items-center gap-2">
+        <Thermometer size={18} className="text-emerald-400" /> {t('calibration.title')}
+      </h5>
+      <p className="text-sm text-slate-500 mb-6">
+        {t('calibration.intro')}
+        {modelParams && ` ${t('calibration.current', { value: number(modelParams.temperature ?? 1, 2) })}`}
+      </p>
+
+      {!modelParams && <p className="text-sm text-slate-500">{t('calibration.needModel')}</p>}
+      {modelParams && (
+        <div className="grid grid-cols-1 lg:grid-cols-5 gap-8">
+          <div className="lg:col-span-2 space-y-4">
+            <label className="flex items-center gap-3 p-4 rounded-2xl border border-dashed border-white/20 hover:bg-white/5 cursor-pointer transition-colors">
+              <Upload size={20} className="text-emerald-400" />
+              <span className="text-sm font-bold">{fileName || t('calibration.chooseFile')}</span>
+              <input type="file" accept=".csv,text/csv" onChange={handleFile} className="hidden" />
+            </label>
+            {csv && (
+              <div className="flex gap-4">
+                <select
+                  value={labelColumn}
+                  onChange={(e) => setLabelColumn(e.target.value)}
+                  aria-label={t('train.labelColumn')}
+                  className="flex-1 px-4 py-3 rounded-xl bg-slate-900 border border-white/10 text-sm text-slate-200"
+                >
+                  {labelCandidates.map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+                <button
+                  onClick={handleFit}
+                  disabled={!labelColumn}
+                  className="px-6 py-3 rounded-xl bg-gradient-to-r from-emerald-500 to-blue-600 text-sm font-bold disabled:opacity-50"
+                >
+                  {t('calibration.fit')}
+                </button>
+              </div>
+            )}
+            {error && (
+              <div className="flex gap-3 p-4 rounded-2xl bg-red-500/10 border border-red-500/20 text-sm text-red-300 whitespace-pre-wrap">
+                <AlertTriangle size={18} className="shrink-0" /> {error}
+              </div>
+            )}
+          </div>
+
+          <div className="lg:col-span-3">
+            {fit && (
+              <div className="space-y-6">
+                <div className="grid grid-cols-3 gap-4">
+                  <div className="p-4 rounded-2xl bg-white/5 text-center">
+                    <div className="text-xs text-slate-500 uppercase tracking-widest mb-1">{t('calibration.temperature')}</div>
+                    <div className="font-mono text-sm text-emerald-400">{number(fit.temperature, 3)}</div>
+                    <div className="text-[10px] text-slate-600">{t('calibration.rows', { count: fit.rows })}</div>
+                  </div>
+                  <Metric label={t('calibration.logLoss')} before={fit.before.nll} after={fit.after.nll} format={v => number(v, 3)} />
+                  <Metric label={t('calibration.ece')} before={fit.before.ece} after={fit.after.ece} format={percent} />
+                </div>
+                <div className="flex flex-col sm:flex-row gap-4">
+                  <button
+                    onClick={() => { onApply(calibrated); setApplied(true); }}
+                    className="flex-1 py-3 rounded-xl bg-white text-black text-sm font-bold hover:bg-slate-200 transition-all flex items-center justify-center gap-2"
+                  >
+                    <CheckCircle2 size={16} /> {applied ? t('train.applied') : t('train.apply')}
+                  </button>
+                  <button
+                    onClick={() => downloadJson(`personality-${calibrated.version}.json`, serializeModel(calibrated))}
+                    className="flex-1 py-3 rounded-xl bg-white/10 border border-white/10 text-sm font-bold hover:bg-white/20 transition-all flex items-center justify-center gap-2"
+                  >
+                    <Download size={16} /> {t('train.download')}
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import React, { useMemo } from 'react';
+import { TrendingUp, TrendingDown } from 'lucide-react';
+import { CATEGORIES } from '../categories.js';
+import { explainPrediction } from '../engine/predict.js';
+import { useI18n } from '../i18n/context.js';
+
+const TOP_N = 5;
+
+const categoryOf = id => CATEGORIES.find(c => c.id === id);
+
+const EffectBar = ({ item, maxAbs }) => {
+  const { feature, category: categoryTitle, number } = useI18n();
+  const category = categoryOf(item.category);
+  const width = `${(Math.abs(item.effect) / maxAbs) * 50}%`;
+  const positive = item.effect >= 0;
+  return (
+    <div>
+      <div className="flex justify-between items-end mb-1 text-xs">
+        <span className="font-bold text-slate-300 uppercase tracking-widest">
+          {feature(item.id)} <span className={`normal-case tracking-normal font-normal ${category.color}`}>· {categoryTitle(category.id)}</span>
+        </span>
+        <span className={`font-mono ${positive ? 'text-emerald-400' : 'text-rose-400'}`}>
+          {positive ? '+' : ''}{number(item.effect, 2)}
+        </span>
+      </div>
+      <div className="relative h-2 w-full bg-white/5 rounded-full overflow-hidden">
+        <div className="absolute inset-y-0 start-1/2 w-px bg-white/20" />
+        <div
+          className={`absolute inset-y-0 ${positive ? 'start-1/2 bg-emerald-500' : 'end-1/2 bg-rose-500'} rounded-full`}
+          style={{ width }}
+        />
+      </div>
+    </div>
+  );
+};
+
+/**
+ * "Why did I get this?" breakdown for a linear model: each feature's
+ * contribution to the winning class's log-odds, ranked, plus the net push of
+ * each quiz category.
+ */
+export default function ExplanationPanel({ result, classes }) {
+  const { t, category: categoryTitle, className, number } = useI18n();
+  const label = className(result.label);
+  const classIdx = classes.indexOf(result.label);
+  const ranked = useMemo(() => explainPrediction(result, classIdx), [result, classIdx]);
+
+  const toward = ranked.filter(f => f.effect > 0).slice(0, TOP_N);
+  const away = ranked.filter(f => f.effect < 0).slice(-TOP_N).reverse();
+  const maxAbs = Math.max(1e-9, ...ranked.map(f => Math.abs(f.effect)));
+
+  const byCategory = CATEGORIES.map(cat => ({
+    ...cat,
+    effect: ranked.filter(f => f.category === cat.id).reduce((acc, f) => acc + f.effect, 0),
+  }));
+  const maxCategory = Math.max(1e-9, ...byCategory.map(c => Math.abs(c.effect)));
+
+  return (
+    <div className="bg-white/5 border border-white/10 backdrop-blur-2xl rounded-[2.5rem] p-8 md:p-10">
+      <h5 className="font-bold text-slate-300 mb-2">{t('explanation.title', { label })}</h5>
+      <p className="text-sm text-slate-500 mb-8">
+        {t('explanation.intro', { label })}
+      </p>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-10">
+        {byCategory.map(cat => (
+          <div key={cat.id} className="p-4 rounded-2xl bg-white/5 border border-white/5">
+            <div className="flex items-center gap-2 mb-2 text-xs font-bold text-slate-400">
+              <cat.icon size={14} className={cat.color} /> {categoryTitle(cat.id)}
+            </div>
+            <div className={`text-xl font-black font-mono ${cat.effect >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
+              {cat.effect >= 0 ? '+' : ''}{number(cat.effect, 2)}
+            </div>
+            <div className="mt-2 h-1 bg-white/5 rounded-full overflow-hidden">
+              <div
+                className={`h-full ${cat.effect >= 0 ? 'bg-emerald-500' : 'bg-rose-500'}`}
+                style={{ width: `${(Math.abs(cat.effect) / maxCategory) * 100}%` }}
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-10">
+        <div className="space-y-5">
+          <h6 className="flex items-center gap-2 text-xs font-bold uppercase tracking-[0.2em] text-emerald-400">
+            <TrendingUp size={16} className="rtl:-scale-x-100" /> {t('explanation.toward')}
+          </h6>
+          {toward.length ? toward.map(item => <EffectBar key={item.id} item={item} maxAbs={maxAbs} />)
+            : <p className="text-sm text-slate-500">{t('explanation.noneToward')}</p>}
+        </div>
+        <div className="space-y-5">
+          <h6 className="flex items-center gap-2 text-xs font-bold uppercase tracking-[0.2em] text-rose-400">
+            <TrendingDown size={16} className="rtl:-scale-x-100" /> {t('explanation.away')}
+          </h6>
+          {away.length ? away.map(item => <EffectBar key={item.id} item={item} maxAbs={maxAbs} />)
+            : <p className="text-sm text-slate-500">{t('explanation.noneAway')}</p>}
+        </div>
+      </div>
+    </div>
+  );
+}
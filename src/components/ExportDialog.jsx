@@ -0,0 +1,146 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { X, FileText, Image, Braces, Table, Lock, Link2, Check } from 'lucide-react';
+import { downloadBlob, downloadJson } from '../export/download.js';
+import { buildExportRecord, recordToCsv, exportFileStem } from '../export/record.js';
+import { renderReport, REPORT_WIDTH, REPORT_HEIGHT } from '../export/report.js';
+import { jpegToPdf } from '../export/pdf.js';
+import { useI18n } from '../i18n/context.js';
+import { useModalFocus } from '../a11y/dialog.js';
+
+const canvasToBlob = (canvas, type, quality) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error(`Could not encode ${type}`))), type, quality);
+  });
+
+// Titles and descriptions come from the `export.<id>` and `export.<id>Hint`
+// catalog keys.
+const FORMATS = [
+  {
+    id: 'pdf',
+    icon: FileText,
+    run: async (record, stem, i18n) => {
+      const jpeg = await canvasToBlob(renderReport(record, i18n), 'image/jpeg', 0.92);
+      const bytes = new Uint8Array(await jpeg.arrayBuffer());
+      downloadBlob(`${stem}.pdf`, jpegToPdf(bytes, REPORT_WIDTH, REPORT_HEIGHT));
+    },
+  },
+  {
+    id: 'png',
+    icon: Image,
+    run: async (record, stem, i18n) => {
+      downloadBlob(`${stem}.png`, await canvasToBlob(renderReport(record, i18n), 'image/png'));
+    },
+  },
+  {
+    id: 'json',
+    icon: Braces,
+    run: async (record, stem) => downloadJson(`${stem}.json`, record),
+  },
+  {
+    id: 'csv',
+    icon: Table,
+    run: async (record, stem) => {
+      downloadBlob(`${stem}.csv`, new Blob([recordToCsv(record)], { type: 'text/csv' }));
+    },
+  },
+];
+
+/**
+ * "Export Insights" dialog. Every format is generated in the browser from the
+ * same export record; nothing is uploaded. Records keep feature ids and the
+ * model's class names in every interface language, so exports stay comparable.
+ * Escape closes it and focus stays inside until it does.
+ */
+export default function ExportDialog({ inputs, result, reliability, modelId, modelParams, shareUrl, onClose }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const record = useMemo(
+    () => buildExportRecord({ inputs, result, modelId, modelParams, reliability }),
+    [inputs, result, modelId, modelParams, reliability]
+  );
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const dialogRef = useRef(null);
+  useModalFocus(dialogRef, onClose);
+
+  const handleExport = async (format) => {
+    setBusy(format.id);
+    setError(null);
+    try {
+      await format.run(record, exportFileStem(record), i18n);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleCopyLink = async () => {
+    setError(null);
+    try {
+      await navigator.clipboard.writeText(shareUrl);
+      setCopied(true);
+    } catch {
+      setError(t('export.clipboard'));
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-6 bg-black/60 backdrop-blur-sm" onClick={onClose}>
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="export-dialog-title"
+        className="w-full max-w-lg bg-[#0b1120] border border-white/10 rounded-[2.5rem] p-8 shadow-2xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center mb-6">
+          <h3 id="export-dialog-title" className="text-2xl font-bold">{t('export.title')}</h3>
+          <button onClick={onClose} aria-label={t('export.close')} className="p-2 rounded-full hover:bg-white/10 transition-colors">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="space-y-3">
+          {FORMATS.map(format => (
+            <button
+              key={format.id}
+              onClick={() => handleExport(format)}
+              disabled={busy !== null}
+              className="w-full flex items-center gap-4 p-4 rounded-2xl bg-white/5 border border-white/5 hover:bg-white/10 transition-colors text-start disabled:opacity-50"
+            >
+              <div className="p-3 rounded-xl bg-emerald-500/10 text-emerald-400">
+                <format.icon size={20} />
+              </div>
+              <div>
+                <div className="font-bold">{busy === format.id ? t('export.preparing') : t(`export.${format.id}`)}</div>
+                <div className="text-sm text-slate-500">{t(`export.${format.id}Hint`)}</div>
+              </div>
+            </button>
+          ))}
+        </div>
+
+        <button
+          onClick={handleCopyLink}
+          className="mt-3 w-full flex items-center gap-4 p-4 rounded-2xl bg-white/5 border border-white/5 hover:bg-white/10 transition-colors text-start"
+        >
+          <div className="p-3 rounded-xl bg-blue-500/10 text-blue-400">
+            {copied ? <Check size={20} /> : <Link2 size={20} />}
+          </div>
+          <div>
+            <div className="font-bold">{copied ? t('export.copied') : t('export.copyLink')}</div>
+            <div className="text-sm text-slate-500">{t('export.linkHint')}</div>
+          </div>
+        </button>
+
+        {error && <p className="mt-4 text-sm text-red-300">{error}</p>}
+
+        <p className="mt-6 flex items-center gap-2 text-xs text-slate-500">
+          <Lock size={14} /> {t('export.local', { version: modelParams.version })}
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+import React, { useId } from 'react';
+import { SLIDER_MIN, SLIDER_MAX } from '../engine/features.js';
+import { QUESTION_BANK } from '../questionnaire/questions.js';
+import { useI18n } from '../i18n/context.js';
+
+/**
+ * Expert-mode 0-10 slider for one feature. The label is tied to the input,
+ * the value is read out as "7 of 10", and the feature's first (agree-means-
+ * high) statement is shown and attached as the description, since names like
+ * "Dopamine Drive" say little on their own.
+ */
+export default function FeatureSlider({ featureId, value, onChange }) {
+  const { t, number, feature, question } = useI18n();
+  const id = useId();
+  return (
+    <div className="relative p-4 rounded-xl bg-white/5 border border-white/5 hover:bg-white/10 transition-colors">
+      <div className="flex justify-between items-center mb-4">
+        <label htmlFor={id} className="text-sm font-bold text-slate-300 uppercase tracking-widest">{feature(featureId)}</label>
+        <span className="px-3 py-1 bg-white/5 rounded-lg font-mono text-emerald-400 border border-white/5 text-xs" aria-hidden="true">
+          {number(value)}
+        </span>
+      </div>
+      <div className="relative flex items-center group/slider">
+        <input
+          id={id}
+          type="range"
+          min={SLIDER_MIN}
+          max={SLIDER_MAX}
+          value={value}
+          aria-valuetext={t('a11y.sliderValue', { value, max: SLIDER_MAX })}
+          aria-describedby={`${id}-hint`}
+          onChange={(e) => onChange(parseInt(e.target.value))}
+          className="w-full h-1.5 bg-slate-800 rounded-full appearance-none cursor-pointer accent-emerald-500"
+        />
+      </div>
+      <p id={`${id}-hint`} className="mt-3 text-xs text-slate-500 text-start">
+        {t('a11y.sliderHint', { statement: question(QUESTION_BANK[featureId][0]) })}
+      </p>
+    </div>
+  );
+}
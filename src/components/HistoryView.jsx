@@ -0,0 +1,213 @@
+import React, { useState, useEffect } from 'react';
+import { History, Trash2, GitCompare } from 'lucide-react';
+import { CATEGORIES, categoryAverages } from '../categories.js';
+import { FEATURE_METADATA } from '../engine/features.js';
+import { listSessions, deleteSession, clearSessions } from '../history/db.js';
+import { sessionModelId, sessionModelKey } from '../history/sessions.js';
+import { useI18n } from '../i18n/context.js';
+import LineChart from './LineChart.jsx';
+
+const formatDate = (iso, locale) => new Date(iso).toLocaleDateString(locale, { month: 'short', day: 'numeric', year: '2-digit' });
+const formatDateTime = (iso, locale) => new Date(iso).toLocaleString(locale, { dateStyle: 'medium', timeStyle: 'short' });
+
+const SessionSelect = ({ sessions, value, onChange }) => {
+  const { locale, className } = useI18n();
+  return (
+    <select
+      value={value ?? ''}
+      onChange={(e) => onChange(Number(e.target.value))}
+      className="px-3 py-2 rounded-xl bg-slate-900 border border-white/10 text-xs text-slate-200"
+    >
+      {sessions.map(s => (
+        <option key={s.id} value={s.id}>{formatDateTime(s.timestamp, locale)} · {className(s.prediction)}</option>
+      ))}
+    </select>
+  );
+};
+
+/**
+ * Past assessments saved on this device: trend charts of class probabilities
+ * and category averages, a feature-by-feature comparison of any two sessions,
+ * and delete controls. Probabilities from different models are not
+ * comparable, so their chart shows one model (id and version) at a time.
+ * `models` is the loaded registry, used to name the models.
+ */
+export default function HistoryView({ models }) {
+  const { locale, t, number, percent, feature, category, className, model } = useI18n();
+  const [sessions, setSessions] = useState(null);
+  const [error, setError] = useState(null);
+  const [compareIds, setCompareIds] = useState([null, null]);
+  const [chartModel, setChartModel] = useState(null);
+
+  useEffect(() => {
+    listSessions()
+      .then(setSessions)
+      .catch(setError);
+  }, []);
+
+  const handleDelete = async (id) => {
+    setError(null);
+    try {
+      await deleteSession(id);
+      setSessions(prev => prev.filter(s => s.id !== id));
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm(t('history.confirmClear'))) return;
+    setError(null);
+    try {
+      await clearSessions();
+      setSessions([]);
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  // Without sessions there is nothing else to show; later failures (a delete)
+  // are reported above the list instead.
+  if (error && !sessions) {
+    return <p className="py-20 text-center text-red-300">{error.message || t('history.unavailable')}</p>;
+  }
+  if (!sessions) {
+    return <p className="py-20 text-center text-slate-500 animate-pulse">{t('history.loading')}</p>;
+  }
+
+  const keyOf = s => sessionModelKey(s, models);
+  const modelLabel = (s) => {
+    const id = sessionModelId(s, models);
+    if (!id) return t('history.model', { version: s.modelVersion });
+    const entry = models.find(m => m.id === id);
+    return t('history.modelNamed', { name: entry ? model(entry).name : id, version: s.modelVersion });
+  };
+  // One session per model, oldest first, to label the chart's model picker.
+  const chartModels = [...new Map(sessions.map(s => [keyOf(s), s])).entries()]
+    .map(([key, s]) => ({ key, label: modelLabel(s) }));
+  // Defaults to (and falls back after a delete to) the latest session's model.
+  const modelKey = chartModels.some(m => m.key === chartModel) ? chartModel : sessions.length ? keyOf(sessions.at(-1)) : null;
+  const modelSessions = sessions.filter(s => keyOf(s) === modelKey);
+  const classNames = [...new Set(modelSessions.flatMap(s => Object.keys(s.probabilities)))];
+
+  // Answers mean the same under every model, so this chart keeps them all.
+  const labels = sessions.map(s => formatDate(s.timestamp, locale));
+  const averages = sessions.map(s => categoryAverages(s.inputs));
+
+  // Default (and fallback after a delete): the two most recent sessions.
+  const a = sessions.find(s => s.id === compareIds[0]) ?? sessions.at(-2);
+  const b = sessions.find(s => s.id === compareIds[1]) ?? sessions.at(-1);
+
+  return (
+    <div className="w-full h-full py-8 animate-in fade-in zoom-in-95 duration-700">
+      <div className="mb-10 text-center">
+        <div className="inline-block p-4 rounded-3xl bg-emerald-500/10 border border-emerald-500/20 mb-4">
+          <History size={32} className="text-emerald-400" />
+        </div>
+        <h2 className="text-3xl font-bold mb-2">{t('history.title')}</h2>
+        <p className="text-slate-500">{t('history.saved', { count: sessions.length })}</p>
+      </div>
+
+      {error && (
+        <p className="mb-8 text-center text-sm text-red-300">{error.message || t('history.unavailable')}</p>
+      )}
+
+      {!sessions.length && (
+        <p className="text-center text-slate-500">{t('history.empty')}</p>
+      )}
+
+      {sessions.length > 0 && (
+        <div className="space-y-8">
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+            <div className="bg-white/5 border border-white/10 backdrop-blur-2xl rounded-[2.5rem] p-8">
+              <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+                <h5 className="font-bold text-slate-300">{t('history.probabilities')}</h5>
+                {chartModels.length > 1 && (
+                  <select
+                    value={modelKey}
+                    onChange={(e) => setChartModel(e.target.value)}
+                    aria-label={t('history.chartModel')}
+                    className="px-3 py-2 rounded-xl bg-slate-900 border border-white/10 text-xs text-slate-200"
+                  >
+                    {chartModels.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+                  </select>
+                )}
+              </div>
+              <LineChart
+                labels={modelSessions.map(s => formatDate(s.timestamp, locale))}
+                format={v => percent(v, 0)}
+                series={classNames.map(cls => ({ name: className(cls), values: modelSessions.map(s => s.probabilities[cls] ?? null) }))}
+              />
+            </div>
+            <div className="bg-white/5 border border-white/10 backdrop-blur-2xl rounded-[2.5rem] p-8">
+              <h5 className="font-bold text-slate-300 mb-6">{t('history.categories')}</h5>
+              <LineChart
+                labels={labels}
+                max={10}
+                series={CATEGORIES.map(cat => ({ name: category(cat.id), values: averages.map(avg => avg[cat.id]) }))}
+              />
+            </div>
+          </div>
+
+          {sessions.length > 1 && (
+            <div className="bg-white/5 border border-white/10 backdrop-blur-2xl rounded-[2.5rem] p-8">
+              <div className="flex flex-col md:flex-row md:items-center gap-4 mb-6">
+                <h5 className="font-bold text-slate-300 flex items-center gap-2 md:me-auto">
+                  <GitCompare size={18} className="text-emerald-400" /> {t('history.compare')}
+                </h5>
+                <SessionSelect sessions={sessions} value={a?.id} onChange={id => setCompareIds([id, b.id])} />
+                <span className="text-slate-600 text-xs text-center">{t('history.versus')}</span>
+                <SessionSelect sessions={sessions} value={b?.id} onChange={id => setCompareIds([a.id, id])} />
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-x-12 gap-y-2">
+                {FEATURE_METADATA.map(feat => {
+                  const delta = b.inputs[feat.id] - a.inputs[feat.id];
+                  return (
+                    <div key={feat.id} className="flex justify-between text-sm py-1 border-b border-white/5">
+                      <span className={delta ? 'text-slate-200' : 'text-slate-500'}>{feature(feat.id)}</span>
+                      <span className="font-mono text-slate-400">
+                        {number(a.inputs[feat.id])} → {number(b.inputs[feat.id])}
+                        <span className={`inline-block w-10 text-end ${delta > 0 ? 'text-emerald-400' : delta < 0 ? 'text-rose-400' : 'text-slate-600'}`}>
+                          {delta > 0 ? `+${number(delta)}` : delta ? number(delta) : '·'}
+                        </span>
+                      </span>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          <div className="bg-white/5 border border-white/10 backdrop-blur-2xl rounded-[2.5rem] p-8">
+            <div className="flex justify-between items-center mb-6">
+              <h5 className="font-bold text-slate-300">{t('history.sessions')}</h5>
+              <button
+                onClick={handleClear}
+                className="px-4 py-2 rounded-full border border-red-500/20 bg-red-500/10 text-red-300 text-xs font-bold hover:bg-red-500/20 transition-all flex items-center gap-2"
+              >
+                <Trash2 size={14} /> {t('history.deleteAll')}
+              </button>
+            </div>
+            <ul className="divide-y divide-white/5">
+              {[...sessions].reverse().map(s => (
+                <li key={s.id} className="flex items-center gap-4 py-3 text-sm">
+                  <span className="text-slate-500 font-mono w-44 shrink-0">{formatDateTime(s.timestamp, locale)}</span>
+                  <span className="font-bold">{className(s.prediction)}</span>
+                  <span className="text-emerald-400 font-mono">{percent(s.probabilities[s.prediction])}</span>
+                  <span className="ms-auto text-xs text-slate-600">{modelLabel(s)}</span>
+                  <button
+                    onClick={() => handleDelete(s.id)}
+                    aria-label={t('history.delete', { date: formatDateTime(s.timestamp, locale) })}
+                    className="p-2 rounded-full text-slate-500 hover:text-red-300 hover:bg-white/10 transition-colors"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { I18nContext } from '../i18n/context.js';
+import { initialLocale, saveLocale } from '../i18n/locales.js';
+import { createTranslator } from '../i18n/translate.js';
+
+/**
+ * Holds the interface language and shares its translator through
+ * I18nContext. Right-to-left locales flip the whole page via <html dir>;
+ * components use logical utilities (ms-*, text-start, start-*) so they
+ * mirror without per-language styles.
+ */
+export default function I18nProvider({ children }) {
+  const [locale, setLocale] = useState(initialLocale);
+  const value = useMemo(() => ({ ...createTranslator(locale), setLocale }), [locale]);
+
+  useEffect(() => {
+    document.documentElement.lang = value.locale;
+    document.documentElement.dir = value.dir;
+    saveLocale(value.locale);
+  }, [value]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
@@ -0,0 +1,25 @@
+import React from 'react';
+import { Languages } from 'lucide-react';
+import { LOCALES } from '../i18n/locales.js';
+import { useI18n } from '../i18n/context.js';
+
+// Interface language picker. Each option is shown in its own language and
+// tagged with it, so screen readers pronounce the names correctly.
+export default function LanguageSwitcher() {
+  const { locale, setLocale, t } = useI18n();
+  return (
+    <label className="flex items-center gap-2 px-3 py-2 rounded-full border border-white/10 bg-white/5 backdrop-blur-md text-sm font-semibold">
+      <Languages size={16} className="text-emerald-400" />
+      <span className="sr-only">{t('nav.language')}</span>
+      <select
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+        className="bg-transparent text-slate-200 cursor-pointer"
+      >
+        {LOCALES.map(l => (
+          <option key={l.id} value={l.id} lang={l.id} className="bg-slate-900">{l.name}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
@@ -0,0 +1,54 @@
+import React from 'react';
+
+// Default series colours; the first four follow CATEGORIES (emerald, blue, purple, cyan).
+const SERIES_COLORS = ['#34d399', '#60a5fa', '#c084fc', '#22d3ee', '#fbbf24', '#f87171', '#a3e635'];
+
+/**
+ * Small dependency-free SVG line chart. `series` is a list of
+ * `{ name, values, color? }` where `values` line up with `labels`; null values
+ * leave a gap in that series.
+ */
+export default function LineChart({ series: rawSeries, labels, min = 0, max = 1, format = v => v }) {
+  const series = rawSeries.map((s, i) => ({ color: SERIES_COLORS[i % SERIES_COLORS.length], ...s }));
+  const width = 600;
+  const height = 200;
+  const pad = 8;
+  const x = i => (labels.length > 1 ? pad + (i / (labels.length - 1)) * (width - pad * 2) : width / 2);
+  const y = v => height - pad - ((v - min) / (max - min || 1)) * (height - pad * 2);
+
+  const segments = values => {
+    const runs = [[]];
+    values.forEach((v, i) => {
+      if (v === null || v === undefined) runs.push([]);
+      else runs[runs.length - 1].push(`${x(i).toFixed(1)},${y(v).toFixed(1)}`);
+    });
+    return runs.filter(run => run.length);
+  };
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-48" preserveAspectRatio="none" role="img" aria-label={series.map(s => s.name).join(', ')}>
+        {[0, 0.5, 1].map(t => (
+          <line key={t} x1={0} x2={width} y1={y(min + t * (max - min))} y2={y(min + t * (max - min))} stroke="rgba(255,255,255,0.06)" />
+        ))}
+        {series.map(s => segments(s.values).map((run, i) => (
+          run.length > 1
+            ? <polyline key={`${s.name}-${i}`} points={run.join(' ')} fill="none" stroke={s.color} strokeWidth="2" vectorEffect="non-scaling-stroke" />
+            : <circle key={`${s.name}-${i}`} cx={run[0].split(',')[0]} cy={run[0].split(',')[1]} r="3" fill={s.color} />
+        )))}
+      </svg>
+      <div className="mt-2 flex justify-between text-[10px] font-mono text-slate-600">
+        <span>{labels[0]}</span>
+        <span>{format(min)}–{format(max)}</span>
+        <span>{labels.at(-1)}</span>
+      </div>
+      <div className="mt-3 flex flex-wrap gap-x-4 gap-y-1 text-xs">
+        {series.map(s => (
+          <span key={s.name} className="flex items-center gap-1 text-slate-400">
+            <span className="inline-block w-3 h-0.5" style={{ backgroundColor: s.color }} /> {s.name}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
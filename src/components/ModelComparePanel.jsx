@@ -0,0 +1,129 @@
+import React, { useMemo } from 'react';
+import { Layers, AlertTriangle } from 'lucide-react';
+import { predictPersonality } from '../engine/predict.js';
+import { useI18n } from '../i18n/context.js';
+import ProbabilityTable from './ProbabilityTable.jsx';
+
+const ProbabilityRow = ({ cls, p, highlight }) => {
+  const { percent, className } = useI18n();
+  return (
+    <div>
+      <div className="flex justify-between items-end mb-1 text-xs">
+        <span className={`font-bold uppercase tracking-widest ${highlight ? 'text-white' : 'text-slate-500'}`}>{className(cls)}</span>
+        <span className="font-mono text-emerald-400">{percent(p)}</span>
+      </div>
+      <div className="h-1.5 w-full bg-white/5 rounded-full overflow-hidden">
+        <div
+          className={`h-full ${highlight ? 'bg-gradient-to-r from-emerald-500 to-blue-500' : 'bg-slate-700'}`}
+          style={{ width: `${p * 100}%` }}
+        />
+      </div>
+    </div>
+  );
+};
+
+const ModelCard = ({ entry, inputs, active, onSelect }) => {
+  const { t, className, classDescription, model } = useI18n();
+  const { name, description } = model(entry);
+  const result = useMemo(
+    () => entry.params && predictPersonality(inputs, entry.params),
+    [entry.params, inputs]
+  );
+
+  if (entry.error) {
+    return (
+      <div className="p-6 rounded-2xl bg-white/5 border border-red-500/20">
+        <h6 className="font-bold mb-2">{name}</h6>
+        <p className="flex gap-2 text-xs text-red-300 whitespace-pre-wrap">
+          <AlertTriangle size={14} className="shrink-0" /> {entry.error}
+        </p>
+      </div>
+    );
+  }
+
+  const { params } = entry;
+  const independent = params.type === 'independent';
+  return (
+    <div className={`p-6 rounded-2xl border flex flex-col ${active ? 'bg-emerald-500/5 border-emerald-500/30' : 'bg-white/5 border-white/5'}`}>
+      <div className="flex justify-between items-start gap-4 mb-1">
+        <h6 className="font-bold">{name}</h6>
+        <span className="text-[10px] font-mono text-slate-600 shrink-0">v{params.version}</span>
+      </div>
+      <p className="text-xs text-slate-500 mb-5">{description}</p>
+
+      {!independent && (
+        <div className="mb-5">
+          <div className="text-2xl font-black">{className(result.label)}</div>
+          {params.descriptions[result.label] && (
+            <p className="text-sm text-slate-400 mt-1">{classDescription(result.label, params.descriptions[result.label])}</p>
+          )}
+        </div>
+      )}
+
+      <ProbabilityTable
+        caption={t('a11y.modelProbabilities', { name })}
+        columns={[t('a11y.probability')]}
+        rows={params.classes.map((cls, idx) => ({
+          label: className(cls),
+          values: [result.probabilities[idx]],
+          current: !independent && cls === result.label,
+        }))}
+      />
+      <div className="space-y-3" aria-hidden="true">
+        {params.classes.map((cls, idx) => (
+          <ProbabilityRow
+            key={cls}
+            cls={cls}
+            p={result.probabilities[idx]}
+            highlight={independent ? result.probabilities[idx] >= 0.5 : cls === result.label}
+          />
+        ))}
+      </div>
+      {independent && (
+        <p className="mt-4 text-xs text-slate-500">{t('compare.independent')}</p>
+      )}
+
+      <div className="mt-auto pt-6">
+        {active && <span className="text-xs font-bold uppercase tracking-widest text-emerald-400">{t('compare.active')}</span>}
+        {!active && !independent && (
+          <button
+            onClick={() => onSelect(entry.id)}
+            className="w-full py-3 rounded-xl bg-white/10 border border-white/10 text-sm font-bold hover:bg-white/20 transition-all"
+          >
+            {t('compare.use')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Scores the same answers with every registered model, side by side.
+ * Multinomial models can be promoted to drive the quiz and result screen;
+ * 'independent' (per-trait) models are shown for comparison only.
+ */
+export default function ModelComparePanel({ models, inputs, activeModelId, onSelect }) {
+  const { t } = useI18n();
+  return (
+    <div className="bg-white/5 border border-white/10 backdrop-blur-2xl rounded-[2.5rem] p-8 md:p-10">
+      <h5 className="font-bold text-slate-300 mb-2 flex items-center gap-2">
+        <Layers size={18} className="text-emerald-400" /> {t('compare.title')}
+      </h5>
+      <p className="text-sm text-slate-500 mb-8">
+        {t('compare.intro')}
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
+        {models.map(entry => (
+          <ModelCard
+            key={entry.id}
+            entry={entry}
+            inputs={inputs}
+            active={entry.id === activeModelId}
+            onSelect={onSelect}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,20 @@
+import React from 'react';
+import { Pause, Play } from 'lucide-react';
+import { useI18n } from '../i18n/context.js';
+
+// Nav switch for reduced motion: stops the particle background and CSS
+// animations. Starts from the system setting (see src/a11y/motion.js).
+export default function MotionToggle({ reduced, onChange }) {
+  const { t } = useI18n();
+  return (
+    <button
+      onClick={() => onChange(!reduced)}
+      aria-pressed={reduced}
+      title={t('a11y.reduceMotion')}
+      className="flex items-center gap-2 px-3 py-2 rounded-full border border-white/10 bg-white/5 backdrop-blur-md text-sm font-semibold hover:bg-white/10 transition-all"
+    >
+      {reduced ? <Play size={16} className="text-emerald-400" /> : <Pause size={16} className="text-emerald-400" />}
+      <span className="sr-only">{t('a11y.reduceMotion')}</span>
+    </button>
+  );
+}
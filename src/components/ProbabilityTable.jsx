@@ -0,0 +1,30 @@
+import React from 'react';
+import { useI18n } from '../i18n/context.js';
+
+/**
+ * Screen-reader text alternative for a set of probability bars, which are
+ * then hidden with aria-hidden. `columns` heads each value column and every
+ * row is `{ label, values, current }`; `current` marks the predicted class.
+ */
+export default function ProbabilityTable({ caption, columns, rows }) {
+  const { t, percent } = useI18n();
+  return (
+    <table className="sr-only">
+      <caption>{caption}</caption>
+      <thead>
+        <tr>
+          <th scope="col">{t('a11y.archetype')}</th>
+          {columns.map(column => <th key={column} scope="col">{column}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={row.label}>
+            <th scope="row">{row.current ? t('a11y.predicted', { label: row.label }) : row.label}</th>
+            {row.values.map((value, i) => <td key={columns[i]}>{percent(value)}</td>)}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
@@ -0,0 +1,60 @@
+import React from 'react';
+import { QUESTION_BANK, LIKERT_SCALE } from '../questionnaire/questions.js';
+import { featureProgress } from '../questionnaire/scoring.js';
+import { useI18n } from '../i18n/context.js';
+
+/**
+ * One quiz step in questionnaire mode. Items are interleaved across features
+ * (every feature's first statement, then every second one) so paired and
+ * reverse-keyed statements are not shown back to back.
+ */
+export default function QuestionnaireStep({ features, responses, onRespond }) {
+  const { t, question } = useI18n();
+  const depth = Math.max(...features.map(f => QUESTION_BANK[f.id].length));
+  const items = Array.from({ length: depth }, (_, k) =>
+    features
+      .filter(f => QUESTION_BANK[f.id][k])
+      .map(f => ({ ...QUESTION_BANK[f.id][k], featureId: f.id }))
+  ).flat();
+
+  const progress = features.map(f => featureProgress(f.id, responses));
+  const answered = progress.reduce((acc, p) => acc + p.answered, 0);
+  const total = progress.reduce((acc, p) => acc + p.total, 0);
+
+  return (
+    <div className="space-y-4">
+      <p className="text-xs font-bold text-slate-500 uppercase tracking-widest text-end">
+        {t('quiz.answered', { answered, total })}
+      </p>
+      {items.map(item => (
+        <fieldset key={item.id} className="p-5 rounded-xl bg-white/5 border border-white/5">
+          <legend className="sr-only">{question(item)}</legend>
+          <p className="text-slate-200 mb-4 text-start" aria-hidden="true">{question(item)}</p>
+          <div className="grid grid-cols-5 gap-2">
+            {LIKERT_SCALE.map(option => {
+              const checked = responses[item.id] === option.value;
+              return (
+                <label
+                  key={option.value}
+                  className={`flex flex-col items-center gap-2 py-3 rounded-xl border cursor-pointer transition-colors text-[10px] sm:text-xs font-bold ${
+                    checked ? 'bg-emerald-500/20 border-emerald-500/40 text-emerald-300' : 'border-white/5 text-slate-500 hover:bg-white/5'
+                  }`}
+                >
+                  <input
+                    type="radio"
+                    name={item.id}
+                    value={option.value}
+                    checked={checked}
+                    onChange={() => onRespond(item.featureId, item.id, option.value)}
+                    className="accent-emerald-500"
+                  />
+                  {t(`likert.${option.value}`)}
+                </label>
+              );
+            })}
+          </div>
+        </fieldset>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+import React from 'react';
+
+const SIZE = 320;
+const CENTER = SIZE / 2;
+const RADIUS = 110;
+// Extra room either side for the axis labels.
+const LABEL_PAD = 60;
+
+/**
+ * Dependency-free SVG radar chart. `axes` is a list of
+ * `{ label, mean, std, min, max }` on the 0..`scaleMax` scale: the shaded band
+ * covers min to max, the outline is the mean, and the tick across each axis
+ * marks one standard deviation either side of it. `label` names the chart
+ * for screen readers.
+ */
+export default function RadarChart({ axes, label, scaleMax = 10 }) {
+  const angle = i => (Math.PI * 2 * i) / axes.length - Math.PI / 2;
+  const point = (i, value) => {
+    const r = (Math.max(0, value) / scaleMax) * RADIUS;
+    return [CENTER + r * Math.cos(angle(i)), CENTER + r * Math.sin(angle(i))];
+  };
+  const polygon = values => values.map((v, i) => point(i, v).map(n => n.toFixed(1)).join(',')).join(' ');
+  const path = values => `M${polygon(values).replaceAll(' ', 'L')}Z`;
+
+  return (
+    <svg viewBox={`${-LABEL_PAD} 0 ${SIZE + LABEL_PAD * 2} ${SIZE}`} className="w-full max-w-md mx-auto" role="img" aria-label={label}>
+      {[0.25, 0.5, 0.75, 1].map(f => (
+        <polygon key={f} points={polygon(axes.map(() => f * scaleMax))} fill="none" stroke="rgba(255,255,255,0.08)" />
+      ))}
+      {axes.map((axis, i) => {
+        const [x, y] = point(i, scaleMax);
+        const [lx, ly] = point(i, scaleMax * 1.22);
+        return (
+          <g key={i}>
+            <line x1={CENTER} y1={CENTER} x2={x} y2={y} stroke="rgba(255,255,255,0.08)" />
+            <text x={lx} y={ly} textAnchor="middle" dominantBaseline="middle" className="fill-slate-400 text-[10px] font-bold uppercase">
+              {axis.label}
+            </text>
+          </g>
+        );
+      })}
+
+      <path
+        d={`${path(axes.map(a => a.max))} ${path(axes.map(a => a.min))}`}
+        fillRule="evenodd"
+        fill="rgba(52,211,153,0.15)"
+      />
+      <polygon points={polygon(axes.map(a => a.mean))} fill="rgba(52,211,153,0.1)" stroke="#34d399" strokeWidth="2" />
+      {axes.map((axis, i) => {
+        const [x1, y1] = point(i, axis.mean - axis.std);
+        const [x2, y2] = point(i, axis.mean + axis.std);
+        return <line key={i} x1={x1} y1={y1} x2={x2} y2={y2} stroke="#60a5fa" strokeWidth="3" strokeLinecap="round" />;
+      })}
+    </svg>
+  );
+}
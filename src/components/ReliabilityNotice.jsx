@@ -0,0 +1,76 @@
+import React from 'react';
+import { AlertTriangle, Equal, Radar } from 'lucide-react';
+import { useI18n } from '../i18n/context.js';
+
+const Meter = ({ label, value, display, hint }) => (
+  <div className="flex-1">
+    <div className="flex justify-between items-end mb-1 text-xs">
+      <span className="font-bold uppercase tracking-widest text-slate-500">{label}</span>
+      <span className="font-mono text-slate-300">{display}</span>
+    </div>
+    <div className="h-1 w-full bg-white/5 rounded-full overflow-hidden">
+      <div className="h-full bg-slate-400" style={{ width: `${value * 100}%` }} />
+    </div>
+    <p className="mt-1 text-[10px] text-slate-600">{hint}</p>
+  </div>
+);
+
+const Warning = ({ icon, children }) => (
+  <li className="flex gap-3 text-sm text-amber-200/90">
+    <span className="shrink-0 mt-0.5 text-amber-400">{icon}</span> <span>{children}</span>
+  </li>
+);
+
+/**
+ * How much to trust the result card: the top-two margin and normalised
+ * entropy of the prediction, plus warnings for close calls, straight-lined
+ * answers and answer patterns unlike the model's training data.
+ */
+export default function ReliabilityNotice({ reliability, result, classes }) {
+  const { t, number, percent, feature, className } = useI18n();
+  const label = className(result.label);
+  const runnerUp = className(classes[reliability.runnerUp]);
+
+  return (
+    <div className="mb-10 p-5 rounded-2xl bg-white/5 border border-white/5">
+      <div className="flex flex-col sm:flex-row gap-6">
+        <Meter
+          label={t('reliability.margin')}
+          value={reliability.margin}
+          display={percent(reliability.margin, 0)}
+          hint={t('reliability.marginHint', { label, runnerUp })}
+        />
+        <Meter
+          label={t('reliability.entropy')}
+          value={reliability.entropy}
+          display={percent(reliability.entropy, 0)}
+          hint={t('reliability.entropyHint')}
+        />
+      </div>
+
+      {(reliability.unsure || reliability.straightLined || reliability.outOfDistribution) && (
+        <ul className="mt-5 space-y-3">
+          {reliability.straightLined && (
+            <Warning icon={<Equal size={16} />}>
+              {t('reliability.straightLined')}
+            </Warning>
+          )}
+          {reliability.unsure && !reliability.straightLined && (
+            <Warning icon={<AlertTriangle size={16} />}>
+              {t('reliability.unsure', { label, runnerUp })}
+            </Warning>
+          )}
+          {reliability.outOfDistribution && (
+            <Warning icon={<Radar size={16} />}>
+              {t('reliability.unusual')}{' '}
+              {t('reliability.furthest', {
+                list: reliability.furthest.map(f => `${feature(f.id)} z=${number(Math.round(f.z * 10) / 10)}`).join(', '),
+              })}{' '}
+              {t('reliability.extrapolation')}
+            </Warning>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
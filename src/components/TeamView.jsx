@@ -0,0 +1,293 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { UsersRound, Upload, ClipboardPaste, Download, Trash2, EyeOff, SearchX, Network, AlertTriangle } from 'lucide-react';
+import { categoryAverages } from '../categories.js';
+import { predictPersonality } from '../engine/predict.js';
+import { downloadJson } from '../export/download.js';
+import { useI18n } from '../i18n/context.js';
+import { MemberFileError, parseMemberJson, parseResultCodes, serializeRoster } from '../team/members.js';
+import {
+  HIGH_SCORE, archetypeDistribution, categorySpread, similarityMatrix, clusterMembers, findGaps,
+} from '../team/analysis.js';
+import RadarChart from './RadarChart.jsx';
+
+const Card = ({ title, icon, children, className = '' }) => (
+  <div className={`bg-white/5 border border-white/10 backdrop-blur-2xl rounded-[2.5rem] p-8 ${className}`}>
+    <h5 className="font-bold text-slate-300 mb-6 flex items-center gap-2">{icon} {title}</h5>
+    {children}
+  </div>
+);
+
+const SimilarityHeatmap = ({ matrix, names, percent }) => (
+  <div className="overflow-x-auto">
+    <table className="text-xs font-mono border-separate border-spacing-1 mx-auto">
+      <thead>
+        <tr>
+          <th />
+          {names.map((name, j) => <th key={j} className="text-slate-400 font-bold px-1 max-w-20 truncate" title={name}>{j + 1}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {matrix.map((row, i) => (
+          <tr key={i}>
+            <th className="text-start text-slate-400 font-bold pe-2 whitespace-nowrap">{i + 1}. {names[i]}</th>
+            {row.map((value, j) => (
+              <td
+                key={j}
+                title={`${names[i]} · ${names[j]}: ${percent(value, 0)}`}
+                className="w-10 h-8 text-center rounded-md text-slate-200"
+                style={{ backgroundColor: `rgba(16,185,129,${i === j ? 0.05 : Math.max(0, value - 0.4) * 1.2})` }}
+              >
+                {i === j ? '·' : Math.round(value * 100)}
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+/**
+ * Workshop mode: a facilitator collects several people's results (exported
+ * JSON files or result links/codes) and sees the group as a whole. Nothing
+ * is uploaded or stored; members live in this view's state until it is
+ * closed, and a roster file can be downloaded to pick up later. Names are
+ * optional and can be hidden for an anonymous display.
+ */
+export default function TeamView({ modelParams }) {
+  const { t, number, percent, feature, category, className } = useI18n();
+  const [members, setMembers] = useState([]);
+  const [codes, setCodes] = useState('');
+  const [errors, setErrors] = useState([]);
+  const [hideNames, setHideNames] = useState(false);
+  const nextKey = useRef(1);
+
+  const addMembers = (list) =>
+    setMembers(prev => [...prev, ...list.map(m => ({ ...m, key: nextKey.current++ }))]);
+
+  const handleFiles = async (e) => {
+    const files = [...e.target.files];
+    e.target.value = '';
+    const problems = [];
+    const found = [];
+    for (const file of files) {
+      try {
+        found.push(...parseMemberJson(JSON.parse(await file.text())));
+      } catch (err) {
+        // Anything but a MemberFileError means the file is not JSON at all.
+        problems.push(err instanceof MemberFileError
+          ? t(err.key, { ...err.params, file: file.name })
+          : t('team.unreadable', { file: file.name }));
+      }
+    }
+    addMembers(found);
+    setErrors(problems);
+  };
+
+  const handleCodes = () => {
+    const { members: found, invalid } = parseResultCodes(codes);
+    addMembers(found);
+    setErrors(invalid.map(line => t('team.invalidCode', { line })));
+    setCodes(invalid.join('\n'));
+  };
+
+  const rename = (key, name) => setMembers(prev => prev.map(m => (m.key === key ? { ...m, name } : m)));
+  const remove = key => setMembers(prev => prev.filter(m => m.key !== key));
+
+  const names = members.map((m, i) => (!hideNames && m.name.trim()) || t('team.member', { number: i + 1 }));
+  const labels = useMemo(
+    () => members.map(m => predictPersonality(m.inputs, modelParams).label),
+    [members, modelParams]
+  );
+  const analysis = useMemo(() => {
+    if (members.length < 2) return null;
+    const matrix = similarityMatrix(members);
+    return {
+      distribution: archetypeDistribution(members, modelParams),
+      spread: categorySpread(members),
+      matrix,
+      clusters: clusterMembers(matrix),
+      gaps: findGaps(members),
+    };
+  }, [members, modelParams]);
+
+  return (
+    <div className="w-full h-full py-8 animate-in fade-in zoom-in-95 duration-700">
+      <div className="mb-10 text-center">
+        <div className="inline-block p-4 rounded-3xl bg-emerald-500/10 border border-emerald-500/20 mb-4">
+          <UsersRound size={32} className="text-emerald-400" />
+        </div>
+        <h2 className="text-3xl font-bold mb-2">{t('team.title')}</h2>
+        <p className="text-slate-500">
+          {t('team.intro')}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-5 gap-8">
+        <Card title={t('team.add')} icon={<Upload size={18} className="text-emerald-400" />} className="lg:col-span-2">
+          <div className="space-y-4">
+            <label className="flex items-center gap-3 p-4 rounded-2xl border border-dashed border-white/20 hover:bg-white/5 cursor-pointer transition-colors">
+              <Upload size={20} className="text-emerald-400" />
+              <span className="text-sm font-bold">{t('team.importFiles')}</span>
+              <input type="file" accept=".json,application/json" multiple onChange={handleFiles} className="hidden" />
+            </label>
+            <textarea
+              value={codes}
+              onChange={(e) => setCodes(e.target.value)}
+              rows={4}
+              placeholder={t('team.codesPlaceholder')}
+              className="w-full px-4 py-3 rounded-2xl bg-white/5 border border-white/10 text-xs font-mono text-slate-200 placeholder:text-slate-600"
+            />
+            <button
+              onClick={handleCodes}
+              disabled={!codes.trim()}
+              className="w-full py-3 rounded-xl bg-white/10 border border-white/10 text-sm font-bold hover:bg-white/20 transition-all flex items-center justify-center gap-2 disabled:opacity-40"
+            >
+              <ClipboardPaste size={16} /> {t('team.addCodes')}
+            </button>
+            {errors.length > 0 && (
+              <ul className="p-4 rounded-2xl bg-red-500/10 border border-red-500/20 text-xs text-red-300 space-y-1">
+                {errors.map(err => <li key={err} className="flex gap-2"><AlertTriangle size={14} className="shrink-0" /> {err}</li>)}
+              </ul>
+            )}
+          </div>
+        </Card>
+
+        <Card title={t('team.members', { count: members.length })} icon={<UsersRound size={18} className="text-emerald-400" />} className="lg:col-span-3">
+          {!members.length && <p className="text-sm text-slate-500">{t('team.needTwo')}</p>}
+          {members.length > 0 && (
+            <>
+              <ul className="divide-y divide-white/5 mb-6">
+                {members.map((m, i) => (
+                  <li key={m.key} className="flex items-center gap-4 py-2 text-sm">
+                    <span className="text-slate-600 font-mono w-6">{number(i + 1)}</span>
+                    <input
+                      value={hideNames ? '' : m.name}
+                      onChange={(e) => rename(m.key, e.target.value)}
+                      disabled={hideNames}
+                      placeholder={t('team.member', { number: i + 1 })}
+                      aria-label={t('team.memberName', { number: i + 1 })}
+                      className="flex-1 min-w-0 px-3 py-2 rounded-lg bg-white/5 border border-white/5 text-slate-200 placeholder:text-slate-600"
+                    />
+                    <span className="font-bold text-slate-300">{className(labels[i])}</span>
+                    <button
+                      onClick={() => remove(m.key)}
+                      aria-label={t('team.remove', { name: names[i] })}
+                      className="p-2 rounded-full text-slate-500 hover:text-red-300 hover:bg-white/10 transition-colors"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              <div className="flex flex-wrap gap-3">
+                <button
+                  onClick={() => setHideNames(h => !h)}
+                  className={`px-4 py-2 rounded-full border text-xs font-bold transition-all flex items-center gap-2 ${hideNames ? 'border-emerald-500/30 bg-emerald-500/10 text-emerald-300' : 'border-white/10 bg-white/5 hover:bg-white/10'}`}
+                >
+                  <EyeOff size={14} /> {hideNames ? t('team.namesHidden') : t('team.hideNames')}
+                </button>
+                <button
+                  onClick={() => downloadJson('knowyourself-team.json', serializeRoster(hideNames ? members.map(m => ({ ...m, name: '' })) : members))}
+                  className="px-4 py-2 rounded-full border border-white/10 bg-white/5 text-xs font-bold hover:bg-white/10 transition-all flex items-center gap-2"
+                >
+                  <Download size={14} /> {t('team.saveRoster')}
+                </button>
+                <button
+                  onClick={() => setMembers([])}
+                  className="ms-auto px-4 py-2 rounded-full border border-red-500/20 bg-red-500/10 text-red-300 text-xs font-bold hover:bg-red-500/20 transition-all flex items-center gap-2"
+                >
+                  <Trash2 size={14} /> {t('team.clear')}
+                </button>
+              </div>
+            </>
+          )}
+        </Card>
+      </div>
+
+      {analysis && (
+        <div className="mt-8 space-y-8">
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+            <Card title={t('team.distribution')}>
+              <div className="space-y-5">
+                {analysis.distribution.map(({ label, count }) => (
+                  <div key={label}>
+                    <div className="flex justify-between items-end mb-2 text-sm">
+                      <span className="font-bold uppercase tracking-widest text-slate-300">{className(label)}</span>
+                      <span className="font-mono text-emerald-400">{number(count)} / {number(members.length)}</span>
+                    </div>
+                    <div className="h-2 w-full bg-white/5 rounded-full overflow-hidden">
+                      <div className="h-full bg-gradient-to-r from-emerald-500 to-blue-500" style={{ width: `${(count / members.length) * 100}%` }} />
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </Card>
+
+            <Card title={t('team.profile')}>
+              <RadarChart axes={analysis.spread.map(cat => ({ ...cat, label: category(cat.id) }))} label={t('team.profile')} />
+              <p className="mt-2 text-xs text-center text-slate-500">
+                <span className="text-emerald-400">━</span> {t('team.teamMean')} · {t('team.range')} · <span className="text-blue-400">▬</span> {t('team.deviation')}
+              </p>
+              <ul className="mt-4 grid grid-cols-2 gap-2 text-xs">
+                {analysis.spread.map(cat => (
+                  <li key={cat.id} className="flex justify-between p-2 rounded-lg bg-white/5">
+                    <span className={cat.color}>{category(cat.id)}</span>
+                    <span className="font-mono text-slate-400">{number(cat.mean, 1)} ± {number(cat.std, 1)}</span>
+                  </li>
+                ))}
+              </ul>
+            </Card>
+          </div>
+
+          <Card title={t('team.gaps')} icon={<SearchX size={18} className="text-amber-400" />}>
+            {!analysis.gaps.features.length && (
+              <p className="text-sm text-slate-500">{t('team.noGaps', { score: HIGH_SCORE })}</p>
+            )}
+            <ul className="space-y-2">
+              {analysis.gaps.categories.map(cat => (
+                <li key={cat.id} className="text-sm text-amber-200/90">
+                  {t('team.categoryGap', { score: HIGH_SCORE, category: category(cat.id), best: number(cat.max, 1) })}
+                </li>
+              ))}
+              {analysis.gaps.features.map(f => (
+                <li key={f.id} className="text-sm text-slate-300">
+                  {t('team.featureGap', { feature: feature(f.id), best: f.best })}
+                </li>
+              ))}
+            </ul>
+          </Card>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+            <Card title={t('team.similarity')}>
+              <SimilarityHeatmap matrix={analysis.matrix} names={names} percent={percent} />
+              <p className="mt-4 text-xs text-slate-500 text-center">{t('team.similarityHint')}</p>
+            </Card>
+
+            <Card title={t('team.clusters')} icon={<Network size={18} className="text-emerald-400" />}>
+              <div className="space-y-4">
+                {analysis.clusters.map((cluster, idx) => {
+                  const averages = cluster.map(i => categoryAverages(members[i].inputs));
+                  const strongest = analysis.spread
+                    .map(cat => ({ ...cat, avg: averages.reduce((acc, a) => acc + a[cat.id], 0) / averages.length }))
+                    .sort((a, b) => b.avg - a.avg)[0];
+                  return (
+                    <div key={cluster.join('-')} className="p-4 rounded-2xl bg-white/5 border border-white/5">
+                      <div className="flex justify-between items-center mb-2 text-xs font-bold uppercase tracking-widest">
+                        <span className="text-slate-400">{cluster.length > 1 ? t('team.group', { number: idx + 1 }) : t('team.standsApart')}</span>
+                        <span className={strongest.color}>{t('team.strongest', { category: category(strongest.id) })}</span>
+                      </div>
+                      <p className="text-sm text-slate-200">
+                        {cluster.map(i => `${names[i]} (${className(labels[i])})`).join(', ')}
+                      </p>
+                    </div>
+                  );
+                })}
+              </div>
+            </Card>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
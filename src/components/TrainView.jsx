@@ -0,0 +1,261 @@
+import React, { useState } from 'react';
+import { Upload, Play, CheckCircle2, Download, AlertTriangle } from 'lucide-react';
+import { FEATURE_METADATA } from '../engine/features.js';
+import { parseCsv } from '../engine/csv.js';
+import { serializeModel } from '../engine/model.js';
+import { buildDataset, trainLogisticRegression, validateTrainingOptions, accuracy, confusionMatrix } from '../engine/train.js';
+import { downloadJson } from '../export/download.js';
+import { useI18n } from '../i18n/context.js';
+import CalibrationPanel from './CalibrationPanel.jsx';
+
+const FEATURE_IDS = new Set(FEATURE_METADATA.map(f => f.id));
+
+const LossCurve = ({ history }) => {
+  const { t, number } = useI18n();
+  if (!history.length) return null;
+  const width = 600;
+  const height = 200;
+  const losses = history.flatMap(h => [h.train, h.val]).filter(v => v !== null);
+  const max = Math.max(...losses);
+  const min = Math.min(0, ...losses);
+  const toPoints = key => history
+    .filter(h => h[key] !== null)
+    .map((h, i) => {
+      const x = history.length > 1 ? (i / (history.length - 1)) * width : 0;
+      const y = height - ((h[key] - min) / (max - min || 1)) * height;
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(' ');
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-48" preserveAspectRatio="none">
+        <polyline points={toPoints('train')} fill="none" stroke="#34d399" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+        <polyline points={toPoints('val')} fill="none" stroke="#60a5fa" strokeWidth="2" strokeDasharray="6 4" vectorEffect="non-scaling-stroke" />
+      </svg>
+      <div className="mt-3 flex justify-between text-xs font-mono text-slate-500">
+        <span><span className="text-emerald-400">━</span> {t('train.train')} · <span className="text-blue-400">╌</span> {t('train.validation')}</span>
+        <span>{t('train.progress', { epoch: history.length, loss: number(history.at(-1).train, 4) })}</span>
+      </div>
+    </div>
+  );
+};
+
+const ConfusionMatrix = ({ matrix, classes }) => {
+  const { t, className } = useI18n();
+  const max = Math.max(1, ...matrix.flat());
+  return (
+    <table className="w-full text-xs font-mono border-separate border-spacing-1">
+      <thead>
+        <tr>
+          <th className="text-start text-slate-500 font-normal">{t('train.confusionAxes')}</th>
+          {classes.map(cls => <th key={cls} className="text-slate-400 font-bold px-2">{className(cls)}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {matrix.map((row, i) => (
+          <tr key={classes[i]}>
+            <th className="text-start text-slate-400 font-bold pe-2">{className(classes[i])}</th>
+            {row.map((count, j) => (
+              <td
+                key={classes[j]}
+                className={`text-center py-2 rounded-lg ${i === j ? 'text-emerald-300' : 'text-slate-300'}`}
+                style={{ backgroundColor: `rgba(${i === j ? '16,185,129' : '148,163,184'},${(count / max) * 0.35})` }}
+              >
+                {count}
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+const NumberField = ({ label, value, onChange, step, min, max }) => (
+  <label className="flex flex-col gap-2 text-xs font-bold text-slate-400 uppercase tracking-widest">
+    {label}
+    <input
+      type="number"
+      value={value}
+      step={step}
+      min={min}
+      max={max}
+      onChange={(e) => onChange(Number(e.target.value))}
+      className="px-4 py-3 rounded-xl bg-white/5 border border-white/10 font-mono text-sm text-emerald-400 normal-case"
+    />
+  </label>
+);
+
+/**
+ * Fits the StandardScaler and a multinomial logistic regression from a
+ * labelled CSV entirely in the browser, then hands the parameters to the
+ * live quiz through `onApply`.
+ */
+export default function TrainView({ modelParams, onApply }) {
+  const { t, percent } = useI18n();
+  const [csv, setCsv] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [labelColumn, setLabelColumn] = useState('');
+  const [options, setOptions] = useState({ learningRate: 0.1, epochs: 300, l2: 0.01, valFraction: 0.2 });
+  const [training, setTraining] = useState(false);
+  const [run, setRun] = useState(null);
+  const [error, setError] = useState(null);
+  const [applied, setApplied] = useState(false);
+
+  const labelCandidates = csv ? csv.header.filter(h => !FEATURE_IDS.has(h)) : [];
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setRun(null);
+    setError(null);
+    setApplied(false);
+    try {
+      const parsed = parseCsv(await file.text());
+      const candidates = parsed.header.filter(h => !FEATURE_IDS.has(h));
+      setCsv(parsed);
+      setFileName(file.name);
+      setLabelColumn(candidates.includes('label') ? 'label' : candidates[0] ?? '');
+    } catch (err) {
+      setCsv(null);
+      setError(err.message);
+    }
+  };
+
+  const handleTrain = () => {
+    setApplied(false);
+    const invalid = validateTrainingOptions(options);
+    if (invalid.length) {
+      setError(invalid.join('\n'));
+      return;
+    }
+    setTraining(true);
+    setError(null);
+    // Yield once so the "Training" state paints before the blocking fit.
+    setTimeout(() => {
+      try {
+        const dataset = buildDataset(csv, labelColumn, modelParams?.classes);
+        setRun({ ...trainLogisticRegression(dataset, options), skipped: dataset.skipped, rows: dataset.X.length });
+      } catch (err) {
+        setRun(null);
+        setError(err.message);
+      } finally {
+        setTraining(false);
+      }
+    }, 0);
+  };
+
+  const setOption = key => value => setOptions(prev => ({ ...prev, [key]: value }));
+  const classes = run?.params.classes ?? [];
+  const valAccuracy = run && accuracy(run.validation);
+
+  return (
+    <div className="w-full h-full py-8 animate-in fade-in zoom-in-95 duration-700">
+      <div className="mb-10 text-center">
+        <h2 className="text-3xl font-bold mb-2">{t('train.title')}</h2>
+        <p className="text-slate-500">
+          {t('train.intro', { count: FEATURE_METADATA.length })}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-5 gap-8">
+        <div className="lg:col-span-2 bg-white/5 border border-white/10 backdrop-blur-2xl rounded-[2.5rem] p-8 space-y-6">
+          <label className="flex flex-col items-center justify-center gap-3 p-8 rounded-2xl border border-dashed border-white/20 hover:bg-white/5 cursor-pointer transition-colors">
+            <Upload size={28} className="text-emerald-400" />
+            <span className="text-sm font-bold">{fileName || t('train.chooseFile')}</span>
+            {csv && <span className="text-xs text-slate-500">{t('train.fileSummary', { rows: csv.rows.length, columns: csv.header.length })}</span>}
+            <input type="file" accept=".csv,text/csv" onChange={handleFile} className="hidden" />
+          </label>
+
+          {csv && (
+            <>
+              <label className="flex flex-col gap-2 text-xs font-bold text-slate-400 uppercase tracking-widest">
+                {t('train.labelColumn')}
+                <select
+                  value={labelColumn}
+                  onChange={(e) => setLabelColumn(e.target.value)}
+                  className="px-4 py-3 rounded-xl bg-slate-900 border border-white/10 text-sm text-slate-200 normal-case"
+                >
+                  {labelCandidates.map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+              </label>
+              <div className="grid grid-cols-2 gap-4">
+                <NumberField label={t('train.learningRate')} value={options.learningRate} step={0.01} min={0.001} onChange={setOption('learningRate')} />
+                <NumberField label={t('train.epochs')} value={options.epochs} step={50} min={1} onChange={setOption('epochs')} />
+                <NumberField label={t('train.l2')} value={options.l2} step={0.001} min={0} onChange={setOption('l2')} />
+                <NumberField label={t('train.valFraction')} value={options.valFraction} step={0.05} min={0} max={0.9} onChange={setOption('valFraction')} />
+              </div>
+              <button
+                onClick={handleTrain}
+                disabled={training || !labelColumn}
+                className="w-full py-4 rounded-2xl bg-gradient-to-r from-emerald-500 to-blue-600 font-bold hover:shadow-lg hover:shadow-emerald-500/20 transition-all flex items-center justify-center gap-2 disabled:opacity-50"
+              >
+                <Play size={18} /> {training ? t('train.training') : t('train.fit')}
+              </button>
+            </>
+          )}
+
+          {error && (
+            <div className="flex gap-3 p-4 rounded-2xl bg-red-500/10 border border-red-500/20 text-sm text-red-300 whitespace-pre-wrap">
+              <AlertTriangle size={18} className="shrink-0" /> {error}
+            </div>
+          )}
+        </div>
+
+        <div className="lg:col-span-3 bg-white/5 border border-white/10 backdrop-blur-2xl rounded-[2.5rem] p-8 space-y-8">
+          {!run && <p className="text-slate-500 text-sm">{t('train.placeholder')}</p>}
+          {run && (
+            <>
+              <LossCurve history={run.history} />
+
+              <div className="grid grid-cols-3 gap-4 text-center">
+                <div className="p-4 rounded-2xl bg-white/5">
+                  <div className="text-xs text-slate-500 uppercase tracking-widest mb-1">{t('train.trainAccuracy')}</div>
+                  <div className="text-2xl font-black font-mono">{percent(accuracy(run.train))}</div>
+                </div>
+                <div className="p-4 rounded-2xl bg-white/5">
+                  <div className="text-xs text-slate-500 uppercase tracking-widest mb-1">{t('train.valAccuracy')}</div>
+                  <div className="text-2xl font-black font-mono text-emerald-400">
+                    {valAccuracy === null ? '—' : percent(valAccuracy)}
+                  </div>
+                </div>
+                <div className="p-4 rounded-2xl bg-white/5">
+                  <div className="text-xs text-slate-500 uppercase tracking-widest mb-1">{t('train.rowsUsed')}</div>
+                  <div className="text-2xl font-black font-mono">{run.rows}</div>
+                  {run.skipped > 0 && <div className="text-xs text-amber-400">{t('train.skipped', { count: run.skipped })}</div>}
+                </div>
+              </div>
+
+              {run.validation.actual.length > 0 && (
+                <div>
+                  <h5 className="font-bold text-slate-300 mb-3 text-sm">{t('train.confusion')}</h5>
+                  <ConfusionMatrix matrix={confusionMatrix(run.validation, classes.length)} classes={classes} />
+                </div>
+              )}
+
+              <div className="flex flex-col sm:flex-row gap-4">
+                <button
+                  onClick={() => { onApply(run.params); setApplied(true); }}
+                  className="flex-1 py-4 rounded-2xl bg-white text-black font-bold hover:bg-slate-200 transition-all flex items-center justify-center gap-2"
+                >
+                  <CheckCircle2 size={18} /> {applied ? t('train.applied') : t('train.apply')}
+                </button>
+                <button
+                  onClick={() => downloadJson(`personality-${run.params.version}.json`, serializeModel(run.params))}
+                  className="flex-1 py-4 rounded-2xl bg-white/10 border border-white/10 font-bold hover:bg-white/20 transition-all flex items-center justify-center gap-2"
+                >
+                  <Download size={18} /> {t('train.download')}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="mt-8">
+        <CalibrationPanel modelParams={modelParams} onApply={onApply} />
+      </div>
+    </div>
+  );
+}
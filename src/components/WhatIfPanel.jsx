@@ -0,0 +1,189 @@
+import React, { useState, useMemo, useId } from 'react';
+import { FlaskConical, RotateCcw, Target, Wand2 } from 'lucide-react';
+import { CATEGORIES } from '../categories.js';
+import { FEATURE_METADATA, SLIDER_MIN, SLIDER_MAX } from '../engine/features.js';
+import { predictPersonality } from '../engine/predict.js';
+import { findCounterfactual } from '../engine/counterfactual.js';
+import { useI18n } from '../i18n/context.js';
+import ProbabilityTable from './ProbabilityTable.jsx';
+
+const ComparisonBar = ({ cls, original, simulated, highlight }) => {
+  const { percent, className } = useI18n();
+  const delta = (simulated - original) * 100;
+  return (
+    <div aria-hidden="true">
+      <div className="flex justify-between items-end mb-2 text-xs">
+        <span className={`font-bold uppercase tracking-widest ${highlight ? 'text-white' : 'text-slate-500'}`}>{className(cls)}</span>
+        <span className="font-mono text-slate-400">
+          {percent(original)} <span className="inline-block rtl:rotate-180">→</span> <span className="text-emerald-400">{percent(simulated)}</span>
+          {Math.abs(delta) >= 0.05 && (
+            <span className={delta > 0 ? 'text-emerald-400' : 'text-rose-400'}> ({delta > 0 ? '+' : ''}{delta.toFixed(1)})</span>
+          )}
+        </span>
+      </div>
+      <div className="relative h-2 w-full bg-white/5 rounded-full overflow-hidden">
+        <div className="absolute inset-y-0 start-0 bg-slate-600/60" style={{ width: `${original * 100}%` }} />
+        <div
+          className="absolute inset-y-0 start-0 h-1 top-1/2 -translate-y-1/2 bg-gradient-to-r from-emerald-500 to-blue-500 transition-all duration-300"
+          style={{ width: `${simulated * 100}%` }}
+        />
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Result-screen sandbox: nudges a copy of the submitted answers and re-runs
+ * inference live, and suggests a few slider moves that would flip the
+ * prediction to a chosen archetype (a greedy search, so not always the
+ * fewest possible). The submission itself is never changed.
+ */
+export default function WhatIfPanel({ inputs, modelParams, result }) {
+  const { t, number, feature, category, className } = useI18n();
+  const sliderId = useId();
+  const [simInputs, setSimInputs] = useState(inputs);
+  const [target, setTarget] = useState(
+    () => modelParams.classes.find(cls => cls !== result.label)
+  );
+
+  const simResult = useMemo(() => predictPersonality(simInputs, modelParams), [simInputs, modelParams]);
+  const targetIdx = modelParams.classes.indexOf(target);
+  const counterfactual = useMemo(
+    () => findCounterfactual(simInputs, modelParams, targetIdx),
+    [simInputs, modelParams, targetIdx]
+  );
+  const changedCount = FEATURE_METADATA.filter(f => simInputs[f.id] !== inputs[f.id]).length;
+
+  return (
+    <div className="bg-white/5 border border-white/10 backdrop-blur-2xl rounded-[2.5rem] p-8 md:p-10">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 mb-8">
+        <div>
+          <h5 className="font-bold text-slate-300 flex items-center gap-2">
+            <FlaskConical size={18} className="text-emerald-400" /> {t('whatIf.title')}
+          </h5>
+          <p className="text-sm text-slate-500 mt-1">
+            {t('whatIf.intro')}
+          </p>
+        </div>
+        <button
+          onClick={() => setSimInputs(inputs)}
+          disabled={!changedCount}
+          className="px-5 py-2 rounded-full border border-white/10 bg-white/5 text-sm font-semibold hover:bg-white/10 transition-all flex items-center gap-2 disabled:opacity-40"
+        >
+          <RotateCcw size={14} /> {t('whatIf.reset')} {changedCount > 0 && `(${number(changedCount)})`}
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-5 gap-10">
+        <div className="lg:col-span-3 space-y-8">
+          {CATEGORIES.map(cat => (
+            <div key={cat.id}>
+              <h6 className={`flex items-center gap-2 text-xs font-bold uppercase tracking-[0.2em] mb-4 ${cat.color}`}>
+                <cat.icon size={14} /> {category(cat.id)}
+              </h6>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-8 gap-y-4">
+                {FEATURE_METADATA.filter(f => f.category === cat.id).map(feat => {
+                  const changed = simInputs[feat.id] !== inputs[feat.id];
+                  return (
+                    <div key={feat.id}>
+                      <div className="flex justify-between text-xs mb-1">
+                        <label htmlFor={`${sliderId}-${feat.id}`} className={changed ? 'text-white font-bold' : 'text-slate-400'}>{feature(feat.id)}</label>
+                        <span className="font-mono text-slate-500" aria-hidden="true">
+                          {changed && <span className="line-through me-2">{number(inputs[feat.id])}</span>}
+                          <span className="text-emerald-400">{number(simInputs[feat.id])}</span>
+                        </span>
+                      </div>
+                      <input
+                        id={`${sliderId}-${feat.id}`}
+                        type="range"
+                        min={SLIDER_MIN}
+                        max={SLIDER_MAX}
+                        value={simInputs[feat.id]}
+                        aria-valuetext={changed
+                          ? t('a11y.sliderChanged', { value: simInputs[feat.id], max: SLIDER_MAX, original: inputs[feat.id] })
+                          : t('a11y.sliderValue', { value: simInputs[feat.id], max: SLIDER_MAX })}
+                        onChange={(e) => setSimInputs(prev => ({ ...prev, [feat.id]: parseInt(e.target.value) }))}
+                        className="w-full h-1 bg-slate-800 rounded-full appearance-none cursor-pointer accent-emerald-500"
+                      />
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="lg:col-span-2 space-y-8">
+          <div className="space-y-5">
+            <h6 className="text-xs font-bold uppercase tracking-[0.2em] text-slate-400" aria-hidden="true">{t('whatIf.comparison')}</h6>
+            <ProbabilityTable
+              caption={t('a11y.comparison')}
+              columns={[t('a11y.submitted'), t('a11y.simulated')]}
+              rows={modelParams.classes.map((cls, idx) => ({
+                label: className(cls),
+                values: [result.probabilities[idx], simResult.probabilities[idx]],
+                current: cls === simResult.label,
+              }))}
+            />
+            {modelParams.classes.map((cls, idx) => (
+              <ComparisonBar
+                key={cls}
+                cls={cls}
+                original={result.probabilities[idx]}
+                simulated={simResult.probabilities[idx]}
+                highlight={cls === simResult.label}
+              />
+            ))}
+            {simResult.label !== result.label && (
+              <p className="text-sm text-emerald-400 font-bold">{t('whatIf.flips', { label: className(simResult.label) })}</p>
+            )}
+          </div>
+
+          <div className="p-6 rounded-2xl bg-white/5 border border-white/5">
+            <label className="flex items-center gap-2 text-xs font-bold uppercase tracking-[0.2em] text-slate-400 mb-4">
+              <Target size={14} /> {t('whatIf.pathTo')}
+              <select
+                value={target}
+                onChange={(e) => setTarget(e.target.value)}
+                className="ms-auto px-3 py-2 rounded-xl bg-slate-900 border border-white/10 text-xs text-slate-200 normal-case tracking-normal"
+              >
+                {modelParams.classes.map(cls => <option key={cls} value={cls}>{className(cls)}</option>)}
+              </select>
+            </label>
+
+            {!counterfactual && (
+              <p className="text-sm text-slate-500">{t('whatIf.unreachable', { label: className(target) })}</p>
+            )}
+            {counterfactual && !counterfactual.changes.length && (
+              <p className="text-sm text-slate-500">{t('whatIf.already', { label: className(target) })}</p>
+            )}
+            {counterfactual?.changes.length > 0 && (
+              <>
+                <p className="text-sm text-slate-500 mb-4">
+                  {t('whatIf.smallest', { count: counterfactual.changes.length })}
+                </p>
+                <ul className="space-y-2 mb-6">
+                  {counterfactual.changes.map(change => (
+                    <li key={change.id} className="flex justify-between text-sm">
+                      <span className="text-slate-300">{feature(change.id)}</span>
+                      <span className="font-mono text-slate-400">
+                        {number(change.from)} <span className="inline-block rtl:rotate-180">→</span>{' '}
+                        <span className={change.to > change.from ? 'text-emerald-400' : 'text-rose-400'}>{number(change.to)}</span>
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+                <button
+                  onClick={() => setSimInputs(counterfactual.inputs)}
+                  className="w-full py-3 rounded-xl bg-white/10 border border-white/10 text-sm font-bold hover:bg-white/20 transition-all flex items-center justify-center gap-2"
+                >
+                  <Wand2 size={16} /> {t('whatIf.apply')}
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
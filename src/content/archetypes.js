@@ -0,0 +1,278 @@
+/**
+ * Result-screen writeups, keyed by class name exactly as it appears in the
+ * model files. Every list item carries the CATEGORIES id it speaks to, so the
+ * selection in ./writeup.js can lead with passages about the user's strongest
+ * and weakest categories. `categoryNotes` holds one passage for a high and
+ * one for a low score in each category. Classes without an entry here simply
+ * show the model's one-line description.
+ */
+export const ARCHETYPE_CONTENT = {
+  'Analytical Introvert': {
+    summary: 'You do your best thinking in quiet, build understanding before you act, and prefer a few deep connections to many light ones.',
+    strengths: [
+      { category: 'cognitive', text: 'Sees structure in messy problems and can hold a long chain of reasoning without losing the thread.' },
+      { category: 'social', text: 'A genuinely attentive listener; people feel heard because you are not waiting for your turn to talk.' },
+      { category: 'lifestyle', text: 'Self-directed: needs little supervision once the goal is clear.' },
+      { category: 'behavioral', text: 'Measured under pressure; rarely makes the rash call a crowd is pushing for.' },
+      { category: 'cognitive', text: 'Reads widely and connects ideas from unrelated fields.' },
+    ],
+    blindSpots: [
+      { category: 'social', text: 'Quiet can be read as disinterest. Colleagues may not know what you think unless you tell them.' },
+      { category: 'cognitive', text: 'Analysis can become a place to hide; some decisions need to be made with 70% of the facts.' },
+      { category: 'behavioral', text: 'Avoiding unfamiliar situations keeps risk low but also keeps lucky breaks away.' },
+      { category: 'lifestyle', text: 'Can overlook how much energy visible leadership and self-promotion actually need.' },
+    ],
+    workTips: [
+      { category: 'cognitive', text: 'Protect long blocks of uninterrupted time and guard them like meetings.' },
+      { category: 'social', text: 'Ask for agendas in advance so you can arrive with your thinking already done.' },
+      { category: 'lifestyle', text: 'Write things down: design notes and memos let your ideas travel without you in the room.' },
+      { category: 'behavioral', text: 'Set a decision deadline before starting the research, not after.' },
+    ],
+    communicationTips: [
+      { category: 'social', text: 'Share half-formed thoughts sometimes; people value the window into your reasoning.' },
+      { category: 'cognitive', text: 'Lead with the conclusion, then the analysis. Most listeners want the answer first.' },
+      { category: 'lifestyle', text: 'Follow up in writing after big conversations; it is where you are most precise.' },
+    ],
+    compatible: [
+      { archetype: 'Adaptive Ambivert', reason: 'Bridges you to the wider group without demanding constant socialising.' },
+      { archetype: 'Dynamic Extrovert', reason: 'Opposites that work: they open doors, you make sure what is behind them holds up.' },
+    ],
+    categoryNotes: {
+      social: {
+        high: 'Unusually for your archetype, you score high socially: you enjoy people, just on your own terms and in smaller doses.',
+        low: 'Your social scores are low even for your archetype. Solitude is where you recover, so plan for it rather than apologising for it.',
+      },
+      cognitive: {
+        high: 'Your cognitive scores are the engine of this profile: reflection, curiosity and reading all run high.',
+        low: 'Your cognitive scores are modest, so your introversion is more about energy than about living in your head.',
+      },
+      behavioral: {
+        high: 'You carry more appetite for risk and novelty than most introverts; adventures suit you when you choose them.',
+        low: 'You prefer the known path. Stability is a strength, but schedule the occasional deliberate stretch.',
+      },
+      lifestyle: {
+        high: 'Strong organisation and planning scores mean you turn ideas into finished work, not just notes.',
+        low: 'Structure is your weakest area. Light routines will do more for you than elaborate systems.',
+      },
+    },
+  },
+
+  'Adaptive Ambivert': {
+    summary: 'You shift between sociable and solitary modes with ease, reading the room and adjusting rather than defaulting to one style.',
+    strengths: [
+      { category: 'social', text: 'Comfortable in a crowd and in a one-to-one; you can be the bridge between loud and quiet people.' },
+      { category: 'cognitive', text: 'Balances gut feel with reflection, so decisions tend to be neither rushed nor stalled.' },
+      { category: 'behavioral', text: 'Open to new experiences without needing constant novelty to stay engaged.' },
+      { category: 'lifestyle', text: 'Adapts to other people\'s working styles, which makes you easy to team with.' },
+      { category: 'social', text: 'Picks up on moods quickly and adjusts tone to match.' },
+    ],
+    blindSpots: [
+      { category: 'social', text: 'Adapting to everyone can blur what you actually want. Check in with your own preferences.' },
+      { category: 'cognitive', text: 'Seeing every side of an argument can make it hard to commit to one.' },
+      { category: 'lifestyle', text: 'Without a default routine, energy management can slip until you are suddenly drained.' },
+      { category: 'behavioral', text: 'Middle-of-the-road choices are safe but can leave bold opportunities unclaimed.' },
+    ],
+    workTips: [
+      { category: 'social', text: 'Volunteer for roles that connect teams; translation between groups is a rare skill.' },
+      { category: 'lifestyle', text: 'Alternate collaborative and focus days instead of mixing both into every day.' },
+      { category: 'cognitive', text: 'When stuck between options, set a short time box and pick; you adapt well afterwards anyway.' },
+      { category: 'behavioral', text: 'Take on one stretch project a year that pushes you past comfortable.' },
+    ],
+    communicationTips: [
+      { category: 'social', text: 'Say which mode you are in today. "I need quiet this afternoon" saves misreadings.' },
+      { category: 'cognitive', text: 'State your own view before summarising everyone else\'s.' },
+      { category: 'lifestyle', text: 'Use your flexibility to match the medium to the person: call some, message others.' },
+    ],
+    compatible: [
+      { archetype: 'Analytical Introvert', reason: 'You give them room to think and help their ideas reach the group.' },
+      { archetype: 'Dynamic Extrovert', reason: 'You keep up with their pace while adding a steadying second opinion.' },
+    ],
+    categoryNotes: {
+      social: {
+        high: 'Your social scores lean outgoing, so groups are where you recharge more often than not.',
+        low: 'Your social scores lean reserved; you can do the crowd, but plan recovery time afterwards.',
+      },
+      cognitive: {
+        high: 'High cognitive scores add a reflective streak: you often process experiences after the fact.',
+        low: 'Lower cognitive scores suggest you learn by doing more than by reading and reflecting.',
+      },
+      behavioral: {
+        high: 'Your behavioral scores show a taste for novelty that tips your balance toward the adventurous.',
+        low: 'Your behavioral scores are cautious; you adapt socially more readily than you take risks.',
+      },
+      lifestyle: {
+        high: 'Strong lifestyle scores (organisation, leadership, speaking) give your flexibility a solid backbone.',
+        low: 'Structure is your softer side; flexibility works best when paired with a few fixed anchors.',
+      },
+    },
+  },
+
+  'Dynamic Extrovert': {
+    summary: 'You draw energy from people and momentum, think out loud, and are usually the first to say yes to something new.',
+    strengths: [
+      { category: 'social', text: 'Builds rapport fast and makes newcomers feel part of the group.' },
+      { category: 'behavioral', text: 'Acts quickly and gets things moving while others are still deliberating.' },
+      { category: 'lifestyle', text: 'Comfortable leading and presenting; happy to be the public face of an idea.' },
+      { category: 'cognitive', text: 'Generates ideas rapidly by bouncing them off other people.' },
+      { category: 'behavioral', text: 'Resilient to setbacks; a failed attempt is just the next story.' },
+    ],
+    blindSpots: [
+      { category: 'social', text: 'Energy that lifts a room can also fill it. Leave space for quieter voices.' },
+      { category: 'behavioral', text: 'Speed can outrun the details; the exciting start may need a careful finisher.' },
+      { category: 'cognitive', text: 'Thinking out loud can sound like commitment to people who take words literally.' },
+      { category: 'lifestyle', text: 'Long solo stretches of routine work drain you faster than you expect.' },
+    ],
+    workTips: [
+      { category: 'behavioral', text: 'Pair with a detail-oriented colleague on anything with a long tail of follow-through.' },
+      { category: 'social', text: 'Use your network deliberately: introductions you make are a contribution.' },
+      { category: 'lifestyle', text: 'Break solitary tasks into sprints with a social check-in at the end.' },
+      { category: 'cognitive', text: 'Before a big decision, sleep on it once, even when you are sure.' },
+    ],
+    communicationTips: [
+      { category: 'social', text: 'Ask one more question than feels natural before giving your view.' },
+      { category: 'cognitive', text: 'Flag brainstorming clearly: "thinking out loud here" prevents mixed signals.' },
+      { category: 'lifestyle', text: 'Send a short written recap after energetic meetings so decisions do not get lost.' },
+    ],
+    compatible: [
+      { archetype: 'Adaptive Ambivert', reason: 'Matches your energy when it counts and tells you when to slow down.' },
+      { archetype: 'Analytical Introvert', reason: 'Brings depth and rigour to the ideas you are best at launching.' },
+    ],
+    categoryNotes: {
+      social: {
+        high: 'Your social scores are the centre of this profile: people energise you, full stop.',
+        low: 'Your social scores are modest for an extrovert; your drive comes more from action than from company.',
+      },
+      cognitive: {
+        high: 'High cognitive scores mean your enthusiasm is backed by real curiosity and depth.',
+        low: 'Lower cognitive scores suggest you decide fast and learn on the move; build in the occasional pause.',
+      },
+      behavioral: {
+        high: 'Your risk and novelty scores run hot: you chase experiences and adapt on the fly.',
+        low: 'You are more cautious than most extroverts, preferring familiar ground for your social energy.',
+      },
+      lifestyle: {
+        high: 'Leadership and speaking scores are high, so you are at home in front of a room.',
+        low: 'Planning and routine are your weaker side; simple checklists will keep your momentum pointed somewhere.',
+      },
+    },
+  },
+
+  Strategist: {
+    summary: 'You work by understanding the whole board first, then committing to the few moves that matter most.',
+    strengths: [
+      { category: 'cognitive', text: 'Spots second-order effects and long-term risks others miss.' },
+      { category: 'lifestyle', text: 'Plans carefully and keeps the big picture in view.' },
+      { category: 'social', text: 'Asks the clarifying question that reframes a discussion.' },
+    ],
+    blindSpots: [
+      { category: 'behavioral', text: 'Can wait too long for certainty before acting.' },
+      { category: 'social', text: 'May skip explaining the reasoning that feels obvious to you.' },
+      { category: 'lifestyle', text: 'Plans can become elaborate enough to slow the team down.' },
+    ],
+    workTips: [
+      { category: 'cognitive', text: 'Own the roadmap and the risk register; they suit how you think.' },
+      { category: 'behavioral', text: 'Pick a reversible first step and take it early.' },
+    ],
+    communicationTips: [
+      { category: 'social', text: 'Share the why behind a plan, not just the plan.' },
+      { category: 'cognitive', text: 'Use a one-page summary before the detailed deck.' },
+    ],
+    compatible: [
+      { archetype: 'Executor', reason: 'Turns your plans into shipped work.' },
+      { archetype: 'Connector', reason: 'Gets buy-in for the direction you set.' },
+    ],
+    categoryNotes: {},
+  },
+
+  Executor: {
+    summary: 'You turn plans into results through structure, follow-through and a steady pace.',
+    strengths: [
+      { category: 'lifestyle', text: 'Reliable: commitments get finished, on time and to standard.' },
+      { category: 'behavioral', text: 'Steady under pressure; keeps working while others react.' },
+      { category: 'cognitive', text: 'Decides quickly once the options are clear.' },
+    ],
+    blindSpots: [
+      { category: 'cognitive', text: 'May execute a plan past the point where it should have been questioned.' },
+      { category: 'social', text: 'Focus on tasks can leave relationship-building for later.' },
+      { category: 'behavioral', text: 'Prefers proven methods even when an experiment would pay off.' },
+    ],
+    workTips: [
+      { category: 'lifestyle', text: 'Make your systems visible so others can plug into them.' },
+      { category: 'cognitive', text: 'Schedule a short "should we still do this?" checkpoint on long projects.' },
+    ],
+    communicationTips: [
+      { category: 'social', text: 'Celebrate milestones publicly; progress is motivating for everyone.' },
+      { category: 'lifestyle', text: 'Share status before you are asked for it.' },
+    ],
+    compatible: [
+      { archetype: 'Strategist', reason: 'Gives your execution a direction worth following.' },
+      { archetype: 'Explorer', reason: 'Brings fresh options when the current approach stalls.' },
+    ],
+    categoryNotes: {},
+  },
+
+  Connector: {
+    summary: 'You get work done through people, conversation and shared goals.',
+    strengths: [
+      { category: 'social', text: 'Knows who to ask and how to bring the right people together.' },
+      { category: 'lifestyle', text: 'Builds consensus and keeps collaborative work moving.' },
+      { category: 'cognitive', text: 'Senses where a team is confused before anyone says so.' },
+    ],
+    blindSpots: [
+      { category: 'social', text: 'Keeping everyone happy can delay necessary conflict.' },
+      { category: 'lifestyle', text: 'Time spent coordinating can crowd out your own deep work.' },
+      { category: 'behavioral', text: 'May follow group momentum rather than question it.' },
+    ],
+    workTips: [
+      { category: 'social', text: 'Take roles that span teams, such as liaison or facilitator.' },
+      { category: 'lifestyle', text: 'Block focus time as firmly as you block meetings.' },
+    ],
+    communicationTips: [
+      { category: 'social', text: 'Name disagreements early and frame them as shared problems.' },
+      { category: 'cognitive', text: 'Close conversations with a clear owner and next step.' },
+    ],
+    compatible: [
+      { archetype: 'Strategist', reason: 'Gives your network a clear direction to rally around.' },
+      { archetype: 'Explorer', reason: 'Supplies the new ideas you are best at spreading.' },
+    ],
+    categoryNotes: {},
+  },
+
+  Explorer: {
+    summary: 'You thrive on experiments, change and unfamiliar problems.',
+    strengths: [
+      { category: 'behavioral', text: 'Comfortable with uncertainty and quick to try something new.' },
+      { category: 'cognitive', text: 'Curious across domains; finds unexpected angles.' },
+      { category: 'social', text: 'Brings energy and optimism to early-stage work.' },
+    ],
+    blindSpots: [
+      { category: 'lifestyle', text: 'Interest can fade once the problem is solved but the work is not finished.' },
+      { category: 'behavioral', text: 'Not every change is an improvement; stability has value too.' },
+      { category: 'cognitive', text: 'Many parallel experiments can dilute attention.' },
+    ],
+    workTips: [
+      { category: 'behavioral', text: 'Run small, cheap experiments with clear success criteria.' },
+      { category: 'lifestyle', text: 'Hand finished prototypes to an Executor early.' },
+    ],
+    communicationTips: [
+      { category: 'cognitive', text: 'Separate what you have tested from what you suspect.' },
+      { category: 'social', text: 'Explain how a change helps others, not only why it is interesting.' },
+    ],
+    compatible: [
+      { archetype: 'Executor', reason: 'Finishes what you start and makes it stick.' },
+      { archetype: 'Connector', reason: 'Finds the people who will adopt your ideas.' },
+    ],
+    categoryNotes: {},
+  },
+};
+
+/**
+ * Passages for results that blend two classes, keyed by both class names
+ * joined with " + " in alphabetical order. Pairs without an entry fall back
+ * to a generic sentence built in ./writeup.js.
+ */
+export const BLEND_CONTENT = {
+  'Adaptive Ambivert + Analytical Introvert': 'You sit between the reflective introvert and the flexible ambivert: sociable when it matters, but your default setting is still quiet focus. Expect to enjoy gatherings that have a purpose more than ones that are purely social.',
+  'Adaptive Ambivert + Dynamic Extrovert': 'You blend the ambivert\'s flexibility with an extrovert\'s drive. People energise you, yet you notice when you need to step back, which makes you a sustainable rather than exhausting presence.',
+  'Analytical Introvert + Dynamic Extrovert': 'An unusual split: your answers pull strongly in both directions. You may be outgoing in some arenas (work, hobbies) and deeply private in others. Both sides are real; neither is a mask.',
+};
@@ -0,0 +1,26 @@
+/**
+ * "Did you know?" cards, keyed by CATEGORIES id. The result screen picks from
+ * the user's highest-scoring category so the fact relates to their answers.
+ */
+export const CATEGORY_FACTS = {
+  social: [
+    'Introversion and extraversion describe where people get their energy, not how skilled they are socially. Many introverts are excellent conversationalists.',
+    'Most people sit near the middle of the introversion–extraversion scale; strong types at either end are the exception.',
+    'Good listening is measurable in conversations: people who ask follow-up questions are consistently rated as more likeable.',
+  ],
+  cognitive: [
+    'Curiosity is linked to better learning: information you are curious about is easier to remember, even incidental details around it.',
+    'Deliberating longer does not always improve decisions; for familiar problems, quick intuitive judgements are often as accurate.',
+    'Regular reading of long-form text is associated with stronger sustained attention.',
+  ],
+  behavioral: [
+    'Appetite for risk is domain-specific: someone bold with money can be cautious with physical risk, and vice versa.',
+    'Novelty seeking tends to peak in early adulthood and gradually declines, though it remains a stable trait relative to peers.',
+    'Spontaneous people often plan more than they appear to; they simply leave more room for change.',
+  ],
+  lifestyle: [
+    'Conscientiousness (organisation, planning, follow-through) is one of the most consistent personality predictors of job performance.',
+    'Routines reduce the number of small decisions in a day, which frees attention for the ones that matter.',
+    'Comfort with public speaking is largely learned: practice reliably reduces anxiety for most people.',
+  ],
+};
@@ -0,0 +1,182 @@
+// Arabic result-screen content. Same shape and keys as ../archetypes.js and
+// ../facts.js; classes without an entry here fall back to English.
+export const ARCHETYPE_CONTENT = {
+  'Analytical Introvert': {
+    summary: 'تفكّر بأفضل صورة في الهدوء، وتبني فهمك قبل أن تتصرف، وتفضّل علاقات قليلة عميقة على علاقات كثيرة سطحية.',
+    strengths: [
+      { category: 'cognitive', text: 'يرى البنية في المشكلات المبعثرة ويستطيع متابعة سلسلة طويلة من الاستدلال دون أن يفقد الخيط.' },
+      { category: 'social', text: 'مستمع منتبه حقًا؛ يشعر الناس بأنهم مسموعون لأنك لا تنتظر دورك في الكلام.' },
+      { category: 'lifestyle', text: 'مستقل في عمله: يحتاج إلى القليل من الإشراف متى اتضح الهدف.' },
+      { category: 'behavioral', text: 'متزن تحت الضغط؛ نادرًا ما يتخذ القرار المتسرّع الذي يدفع إليه الجمع.' },
+      { category: 'cognitive', text: 'يقرأ على نطاق واسع ويربط بين أفكار من مجالات لا صلة بينها.' },
+    ],
+    blindSpots: [
+      { category: 'social', text: 'قد يُفهم الهدوء على أنه عدم اهتمام. قد لا يعرف زملاؤك رأيك ما لم تخبرهم به.' },
+      { category: 'cognitive', text: 'قد يصبح التحليل مكانًا للاختباء؛ بعض القرارات يجب اتخاذها بـ70% من المعطيات.' },
+      { category: 'behavioral', text: 'تجنّب المواقف غير المألوفة يُبقي المخاطر منخفضة، لكنه يُبعد الفرص السعيدة أيضًا.' },
+      { category: 'lifestyle', text: 'قد تغفل عن مقدار الطاقة الذي تتطلبه القيادة الظاهرة والترويج للذات فعلًا.' },
+    ],
+    workTips: [
+      { category: 'cognitive', text: 'احجز فترات طويلة من الوقت دون مقاطعة، واحمِها كما تحمي الاجتماعات.' },
+      { category: 'social', text: 'اطلب جداول الأعمال مسبقًا لتصل وقد أنجزت تفكيرك.' },
+      { category: 'lifestyle', text: 'دوّن الأمور: ملاحظات التصميم والمذكرات تنقل أفكارك حتى في غيابك.' },
+      { category: 'behavioral', text: 'حدّد موعدًا نهائيًا للقرار قبل أن تبدأ البحث، لا بعده.' },
+    ],
+    communicationTips: [
+      { category: 'social', text: 'شارك أحيانًا أفكارًا لم تكتمل بعد؛ يقدّر الناس أن يطّلعوا على طريقة تفكيرك.' },
+      { category: 'cognitive', text: 'ابدأ بالخلاصة ثم التحليل. معظم المستمعين يريدون الجواب أولًا.' },
+      { category: 'lifestyle', text: 'تابع كتابيًا بعد المحادثات المهمة؛ فهناك تكون في أدق حالاتك.' },
+    ],
+    compatible: [
+      { archetype: 'Adaptive Ambivert', reason: 'يصلك بالمجموعة الأوسع دون أن يطالبك بالمخالطة الدائمة.' },
+      { archetype: 'Dynamic Extrovert', reason: 'نقيضان يتكاملان: هو يفتح الأبواب، وأنت تتأكد من أن ما وراءها متين.' },
+    ],
+    categoryNotes: {
+      social: {
+        high: 'على غير المعتاد في نمطك، درجتك الاجتماعية مرتفعة: تستمتع بالناس، لكن بشروطك وبجرعات أصغر.',
+        low: 'درجاتك الاجتماعية منخفضة حتى بالنسبة إلى نمطك. العزلة هي حيث تستعيد طاقتك، فخطّط لها بدل أن تعتذر عنها.',
+      },
+      cognitive: {
+        high: 'درجاتك المعرفية هي محرّك هذا الملف: التأمل والفضول والقراءة كلها مرتفعة.',
+        low: 'درجاتك المعرفية متوسطة، لذا فانطواؤك يتعلق بالطاقة أكثر من العيش داخل أفكارك.',
+      },
+      behavioral: {
+        high: 'لديك شهية للمخاطرة والتجديد أكبر من معظم الانطوائيين؛ تناسبك المغامرات حين تختارها بنفسك.',
+        low: 'تفضّل الطريق المعروف. الاستقرار نقطة قوة، لكن خصّص بين حين وآخر تحديًا مقصودًا.',
+      },
+      lifestyle: {
+        high: 'درجاتك العالية في التنظيم والتخطيط تعني أنك تحوّل الأفكار إلى عمل منجز، لا إلى ملاحظات فقط.',
+        low: 'التنظيم هو أضعف مجالاتك. الروتين الخفيف سيفيدك أكثر من الأنظمة المعقدة.',
+      },
+    },
+  },
+
+  'Adaptive Ambivert': {
+    summary: 'تنتقل بسهولة بين الوضع الاجتماعي والانفرادي، تقرأ الأجواء وتتكيّف بدل أن تلتزم بأسلوب واحد.',
+    strengths: [
+      { category: 'social', text: 'مرتاح وسط الجموع وفي الأحاديث الثنائية؛ يمكنك أن تكون الجسر بين الصاخبين والهادئين.' },
+      { category: 'cognitive', text: 'يوازن بين الحدس والتأمل، فلا تأتي قراراته متسرعة ولا متعثرة.' },
+      { category: 'behavioral', text: 'منفتح على التجارب الجديدة دون أن يحتاج إلى تجديد دائم ليبقى متحمسًا.' },
+      { category: 'lifestyle', text: 'يتكيّف مع أساليب عمل الآخرين، مما يجعل العمل معه سهلًا.' },
+      { category: 'social', text: 'يلتقط المزاج العام بسرعة ويضبط نبرته بما يناسبه.' },
+    ],
+    blindSpots: [
+      { category: 'social', text: 'التكيّف مع الجميع قد يطمس ما تريده أنت فعلًا. راجع تفضيلاتك الخاصة.' },
+      { category: 'cognitive', text: 'رؤية كل جوانب المسألة قد تصعّب عليك الالتزام بأحدها.' },
+      { category: 'lifestyle', text: 'من دون روتين افتراضي قد تختل إدارة طاقتك حتى تجد نفسك منهكًا فجأة.' },
+      { category: 'behavioral', text: 'الخيارات الوسطى آمنة، لكنها قد تترك الفرص الجريئة دون أن يغتنمها أحد.' },
+    ],
+    workTips: [
+      { category: 'social', text: 'تطوّع للأدوار التي تربط بين الفرق؛ فالترجمة بين المجموعات مهارة نادرة.' },
+      { category: 'lifestyle', text: 'بدّل بين أيام للتعاون وأيام للتركيز بدل أن تخلط الاثنين في كل يوم.' },
+      { category: 'cognitive', text: 'حين تتردد بين خيارات، حدّد مهلة قصيرة واختر؛ فأنت تتكيّف جيدًا بعد ذلك على أي حال.' },
+      { category: 'behavioral', text: 'تولَّ كل عام مشروعًا واحدًا يدفعك إلى ما بعد منطقة الراحة.' },
+    ],
+    communicationTips: [
+      { category: 'social', text: 'قل في أي وضع أنت اليوم. عبارة "أحتاج إلى الهدوء بعد الظهر" تمنع سوء الفهم.' },
+      { category: 'cognitive', text: 'اذكر رأيك أنت قبل أن تلخّص آراء الآخرين.' },
+      { category: 'lifestyle', text: 'استغل مرونتك لتختار الوسيلة المناسبة لكل شخص: اتصل ببعضهم وراسل آخرين.' },
+    ],
+    compatible: [
+      { archetype: 'Analytical Introvert', reason: 'تمنحه مساحة للتفكير وتساعد أفكاره على الوصول إلى المجموعة.' },
+      { archetype: 'Dynamic Extrovert', reason: 'تجاريه في سرعته وتضيف رأيًا ثانيًا يمنح التوازن.' },
+    ],
+    categoryNotes: {
+      social: {
+        high: 'تميل درجاتك الاجتماعية نحو الانفتاح، لذا فالمجموعات هي حيث تستعيد طاقتك في أغلب الأحيان.',
+        low: 'تميل درجاتك الاجتماعية نحو التحفّظ؛ يمكنك مجاراة الجموع، لكن خطّط لوقت تستعيد فيه طاقتك بعدها.',
+      },
+      cognitive: {
+        high: 'الدرجات المعرفية العالية تضيف نزعة تأملية: كثيرًا ما تعالج التجارب بعد انقضائها.',
+        low: 'الدرجات المعرفية الأدنى تشير إلى أنك تتعلم بالممارسة أكثر من القراءة والتأمل.',
+      },
+      behavioral: {
+        high: 'تُظهر درجاتك السلوكية ميلًا إلى الجديد يرجّح كفّتك نحو المغامرة.',
+        low: 'درجاتك السلوكية حذرة؛ تتكيّف اجتماعيًا بسهولة أكبر مما تُقدم على المخاطرة.',
+      },
+      lifestyle: {
+        high: 'درجاتك القوية في نمط الحياة (التنظيم والقيادة والخطابة) تمنح مرونتك عمودًا فقريًا متينًا.',
+        low: 'التنظيم هو جانبك الألين؛ تعمل المرونة على أفضل وجه حين تقترن ببضع ركائز ثابتة.',
+      },
+    },
+  },
+
+  'Dynamic Extrovert': {
+    summary: 'تستمد طاقتك من الناس ومن الزخم، وتفكّر بصوت عالٍ، وعادةً ما تكون أول من يوافق على أي شيء جديد.',
+    strengths: [
+      { category: 'social', text: 'يبني الألفة بسرعة ويُشعر القادمين الجدد بأنهم جزء من المجموعة.' },
+      { category: 'behavioral', text: 'يتصرف بسرعة ويحرّك الأمور بينما لا يزال الآخرون يتداولون.' },
+      { category: 'lifestyle', text: 'مرتاح في القيادة والعرض؛ يسعده أن يكون الوجه العلني للفكرة.' },
+      { category: 'cognitive', text: 'يولّد الأفكار بسرعة عبر طرحها ومناقشتها مع الآخرين.' },
+      { category: 'behavioral', text: 'صامد أمام الانتكاسات؛ المحاولة الفاشلة مجرد قصة أخرى.' },
+    ],
+    blindSpots: [
+      { category: 'social', text: 'الطاقة التي ترفع معنويات القاعة قد تملؤها أيضًا. اترك مساحة للأصوات الأهدأ.' },
+      { category: 'behavioral', text: 'قد تسبق السرعة التفاصيل؛ البداية المثيرة قد تحتاج إلى من يُتمّها بعناية.' },
+      { category: 'cognitive', text: 'التفكير بصوت عالٍ قد يبدو التزامًا لمن يأخذون الكلام بحرفيته.' },
+      { category: 'lifestyle', text: 'فترات العمل الروتيني الطويلة بمفردك تستنزفك أسرع مما تتوقع.' },
+    ],
+    workTips: [
+      { category: 'behavioral', text: 'اعمل مع زميل يهتم بالتفاصيل في أي مهمة تتطلب متابعة طويلة.' },
+      { category: 'social', text: 'استخدم شبكة علاقاتك عن قصد: التعارف الذي تصنعه هو مساهمة بحد ذاته.' },
+      { category: 'lifestyle', text: 'قسّم المهام الفردية إلى دفعات قصيرة تنتهي بلقاء اجتماعي سريع.' },
+      { category: 'cognitive', text: 'قبل أي قرار كبير، تريّث ليلة واحدة، حتى لو كنت واثقًا.' },
+    ],
+    communicationTips: [
+      { category: 'social', text: 'اطرح سؤالًا إضافيًا واحدًا أكثر مما تعتاد قبل أن تبدي رأيك.' },
+      { category: 'cognitive', text: 'أوضح متى تكون في جلسة عصف ذهني: عبارة "أفكّر بصوت عالٍ" تمنع الإشارات المتضاربة.' },
+      { category: 'lifestyle', text: 'أرسل ملخصًا مكتوبًا قصيرًا بعد الاجتماعات الحماسية كي لا تضيع القرارات.' },
+    ],
+    compatible: [
+      { archetype: 'Adaptive Ambivert', reason: 'يجاري طاقتك حين يلزم، وينبّهك متى تُبطئ.' },
+      { archetype: 'Analytical Introvert', reason: 'يضيف العمق والدقة إلى الأفكار التي تُتقن إطلاقها.' },
+    ],
+    categoryNotes: {
+      social: {
+        high: 'درجاتك الاجتماعية هي قلب هذا الملف: الناس يمنحونك الطاقة، ببساطة.',
+        low: 'درجاتك الاجتماعية متوسطة بالنسبة إلى منفتح؛ دافعك يأتي من الفعل أكثر من الصحبة.',
+      },
+      cognitive: {
+        high: 'الدرجات المعرفية العالية تعني أن حماسك مدعوم بفضول وعمق حقيقيين.',
+        low: 'الدرجات المعرفية الأدنى تشير إلى أنك تقرر بسرعة وتتعلم أثناء الحركة؛ امنح نفسك وقفة بين حين وآخر.',
+      },
+      behavioral: {
+        high: 'درجاتك في المخاطرة والتجديد مرتفعة جدًا: تلاحق التجارب وتتكيّف في الحال.',
+        low: 'أنت أكثر حذرًا من معظم المنفتحين، وتفضّل أرضًا مألوفة لطاقتك الاجتماعية.',
+      },
+      lifestyle: {
+        high: 'درجاتك في القيادة والخطابة مرتفعة، لذا تشعر وكأنك في بيتك أمام جمهور.',
+        low: 'التخطيط والروتين هما جانبك الأضعف؛ قوائم مهام بسيطة ستُبقي زخمك موجّهًا نحو هدف.',
+      },
+    },
+  },
+};
+
+export const BLEND_CONTENT = {
+  'Adaptive Ambivert + Analytical Introvert': 'تقع بين الانطوائي المتأمل والمتوازن المرن: اجتماعي حين يلزم الأمر، لكن وضعك الافتراضي يبقى التركيز الهادئ. ستستمتع على الأرجح بالتجمعات التي لها هدف أكثر من تلك الاجتماعية البحتة.',
+  'Adaptive Ambivert + Dynamic Extrovert': 'تجمع بين مرونة المتوازن واندفاع المنفتح. الناس يمنحونك الطاقة، لكنك تلاحظ متى تحتاج إلى التراجع خطوة، مما يجعل حضورك مستدامًا لا مُرهِقًا.',
+  'Analytical Introvert + Dynamic Extrovert': 'انقسام غير مألوف: إجاباتك تشدّ بقوة في الاتجاهين. قد تكون اجتماعيًا في بعض الميادين (العمل والهوايات) ومتحفظًا جدًا في غيرها. كلا الجانبين حقيقي؛ ولا أحد منهما قناع.',
+};
+
+export const CATEGORY_FACTS = {
+  social: [
+    'يصف الانطواء والانفتاح المصدر الذي يستمد منه الناس طاقتهم، لا مدى مهارتهم الاجتماعية. كثير من الانطوائيين محاورون بارعون.',
+    'يقع معظم الناس قرب منتصف مقياس الانطواء والانفتاح؛ والأنماط الحادة في أي من الطرفين هي الاستثناء.',
+    'يمكن قياس حسن الإصغاء في المحادثات: من يطرحون أسئلة متابعة يُقيَّمون باستمرار على أنهم أكثر جاذبية.',
+  ],
+  cognitive: [
+    'يرتبط الفضول بتعلم أفضل: المعلومات التي تثير فضولك أسهل في التذكر، حتى التفاصيل العرضية المحيطة بها.',
+    'التريّث الأطول لا يحسّن القرارات دائمًا؛ في المشكلات المألوفة تكون الأحكام الحدسية السريعة دقيقة بالقدر نفسه غالبًا.',
+    'ترتبط القراءة المنتظمة للنصوص الطويلة بقدرة أقوى على الانتباه المتواصل.',
+  ],
+  behavioral: [
+    'الشهية للمخاطرة تختلف باختلاف المجال: من يجرؤ في المال قد يحذر من المخاطر الجسدية، والعكس صحيح.',
+    'يبلغ البحث عن الجديد ذروته عادةً في مطلع سن الرشد ثم يتراجع تدريجيًا، مع بقائه سمة ثابتة مقارنةً بالأقران.',
+    'كثيرًا ما يخطط العفويون أكثر مما يبدو؛ لكنهم يتركون مساحة أكبر للتغيير.',
+  ],
+  lifestyle: [
+    'يقظة الضمير (التنظيم والتخطيط والمتابعة) من أكثر سمات الشخصية ثباتًا في التنبؤ بالأداء الوظيفي.',
+    'يقلل الروتين عدد القرارات الصغيرة في اليوم، مما يحرر الانتباه للقرارات المهمة.',
+    'الارتياح في الخطابة مكتسب إلى حد بعيد: الممارسة تخفف القلق بشكل موثوق لدى معظم الناس.',
+  ],
+};
@@ -0,0 +1,182 @@
+// Spanish result-screen content. Same shape and keys as ../archetypes.js and
+// ../facts.js; classes without an entry here fall back to English.
+export const ARCHETYPE_CONTENT = {
+  'Analytical Introvert': {
+    summary: 'Piensas mejor en silencio, construyes comprensión antes de actuar y prefieres pocas conexiones profundas a muchas superficiales.',
+    strengths: [
+      { category: 'cognitive', text: 'Ve estructura en los problemas desordenados y sostiene una larga cadena de razonamiento sin perder el hilo.' },
+      { category: 'social', text: 'Escucha con atención genuina; la gente se siente escuchada porque no estás esperando tu turno para hablar.' },
+      { category: 'lifestyle', text: 'Autónomo: necesita poca supervisión una vez que el objetivo está claro.' },
+      { category: 'behavioral', text: 'Mesurado bajo presión; rara vez toma la decisión precipitada que empuja la multitud.' },
+      { category: 'cognitive', text: 'Lee mucho y conecta ideas de campos que no tienen relación.' },
+    ],
+    blindSpots: [
+      { category: 'social', text: 'El silencio puede interpretarse como desinterés. Tus colegas quizá no sepan lo que piensas si no se lo dices.' },
+      { category: 'cognitive', text: 'El análisis puede convertirse en un escondite; algunas decisiones hay que tomarlas con el 70 % de los datos.' },
+      { category: 'behavioral', text: 'Evitar lo desconocido mantiene bajo el riesgo, pero también aleja los golpes de suerte.' },
+      { category: 'lifestyle', text: 'Puedes subestimar cuánta energía exigen el liderazgo visible y la autopromoción.' },
+    ],
+    workTips: [
+      { category: 'cognitive', text: 'Reserva bloques largos de tiempo sin interrupciones y protégelos como si fueran reuniones.' },
+      { category: 'social', text: 'Pide las agendas con antelación para llegar con la reflexión ya hecha.' },
+      { category: 'lifestyle', text: 'Ponlo por escrito: las notas de diseño y los memorandos llevan tus ideas a donde tú no estás.' },
+      { category: 'behavioral', text: 'Fija un plazo de decisión antes de empezar a investigar, no después.' },
+    ],
+    communicationTips: [
+      { category: 'social', text: 'Comparte de vez en cuando ideas a medio formar; la gente valora asomarse a tu razonamiento.' },
+      { category: 'cognitive', text: 'Empieza por la conclusión y luego el análisis. La mayoría quiere la respuesta primero.' },
+      { category: 'lifestyle', text: 'Haz un seguimiento por escrito tras las conversaciones importantes; ahí eres más preciso.' },
+    ],
+    compatible: [
+      { archetype: 'Adaptive Ambivert', reason: 'Te conecta con el grupo sin exigirte socializar constantemente.' },
+      { archetype: 'Dynamic Extrovert', reason: 'Opuestos que funcionan: ellos abren puertas y tú te aseguras de que lo que hay detrás se sostiene.' },
+    ],
+    categoryNotes: {
+      social: {
+        high: 'Algo poco habitual en tu arquetipo: puntúas alto en lo social. Disfrutas de la gente, pero a tu manera y en dosis pequeñas.',
+        low: 'Tus puntuaciones sociales son bajas incluso para tu arquetipo. La soledad es donde te recuperas, así que planifícala en lugar de disculparte por ella.',
+      },
+      cognitive: {
+        high: 'Tus puntuaciones cognitivas son el motor de este perfil: reflexión, curiosidad y lectura, todas altas.',
+        low: 'Tus puntuaciones cognitivas son modestas, así que tu introversión tiene más que ver con la energía que con vivir en tu cabeza.',
+      },
+      behavioral: {
+        high: 'Tienes más apetito por el riesgo y la novedad que la mayoría de los introvertidos; las aventuras te sientan bien cuando las eliges tú.',
+        low: 'Prefieres el camino conocido. La estabilidad es una fortaleza, pero agenda de vez en cuando un reto deliberado.',
+      },
+      lifestyle: {
+        high: 'Tus altas puntuaciones en organización y planificación hacen que conviertas las ideas en trabajo terminado, no solo en notas.',
+        low: 'La estructura es tu punto más débil. Unas rutinas ligeras te servirán más que sistemas elaborados.',
+      },
+    },
+  },
+
+  'Adaptive Ambivert': {
+    summary: 'Pasas con facilidad del modo sociable al solitario, lees el ambiente y te ajustas en lugar de recurrir siempre al mismo estilo.',
+    strengths: [
+      { category: 'social', text: 'Cómodo tanto en una multitud como en una conversación a solas; puedes ser el puente entre las personas ruidosas y las calladas.' },
+      { category: 'cognitive', text: 'Equilibra intuición y reflexión, así que sus decisiones no suelen ser ni apresuradas ni estancadas.' },
+      { category: 'behavioral', text: 'Abierto a experiencias nuevas sin necesitar novedad constante para mantenerse motivado.' },
+      { category: 'lifestyle', text: 'Se adapta a la forma de trabajar de los demás, lo que lo hace fácil de integrar en un equipo.' },
+      { category: 'social', text: 'Capta los estados de ánimo enseguida y ajusta el tono en consecuencia.' },
+    ],
+    blindSpots: [
+      { category: 'social', text: 'Adaptarte a todos puede desdibujar lo que realmente quieres. Revisa tus propias preferencias.' },
+      { category: 'cognitive', text: 'Ver todos los lados de un argumento puede dificultar comprometerse con uno.' },
+      { category: 'lifestyle', text: 'Sin una rutina por defecto, la gestión de la energía puede fallar hasta que de pronto te quedas sin fuerzas.' },
+      { category: 'behavioral', text: 'Las opciones intermedias son seguras, pero pueden dejar sin reclamar oportunidades audaces.' },
+    ],
+    workTips: [
+      { category: 'social', text: 'Ofrécete para roles que conecten equipos; traducir entre grupos es una habilidad poco común.' },
+      { category: 'lifestyle', text: 'Alterna días de colaboración y días de concentración en lugar de mezclar ambos cada día.' },
+      { category: 'cognitive', text: 'Si dudas entre opciones, ponte un límite de tiempo corto y elige; después te adaptas bien de todos modos.' },
+      { category: 'behavioral', text: 'Asume cada año un proyecto que te lleve más allá de lo cómodo.' },
+    ],
+    communicationTips: [
+      { category: 'social', text: 'Di en qué modo estás hoy. «Esta tarde necesito tranquilidad» evita malentendidos.' },
+      { category: 'cognitive', text: 'Expón tu propia opinión antes de resumir la de los demás.' },
+      { category: 'lifestyle', text: 'Usa tu flexibilidad para adaptar el medio a la persona: a unos llámalos, a otros escríbeles.' },
+    ],
+    compatible: [
+      { archetype: 'Analytical Introvert', reason: 'Les das espacio para pensar y ayudas a que sus ideas lleguen al grupo.' },
+      { archetype: 'Dynamic Extrovert', reason: 'Sigues su ritmo y aportas una segunda opinión que da estabilidad.' },
+    ],
+    categoryNotes: {
+      social: {
+        high: 'Tus puntuaciones sociales se inclinan hacia lo extrovertido, así que los grupos son donde más a menudo te recargas.',
+        low: 'Tus puntuaciones sociales se inclinan hacia la reserva; puedes con la multitud, pero planifica tiempo de recuperación después.',
+      },
+      cognitive: {
+        high: 'Las altas puntuaciones cognitivas añaden una vena reflexiva: a menudo procesas las experiencias después de vivirlas.',
+        low: 'Unas puntuaciones cognitivas más bajas sugieren que aprendes más haciendo que leyendo y reflexionando.',
+      },
+      behavioral: {
+        high: 'Tus puntuaciones de comportamiento muestran un gusto por la novedad que inclina tu equilibrio hacia la aventura.',
+        low: 'Tus puntuaciones de comportamiento son prudentes; te adaptas socialmente con más facilidad de la que asumes riesgos.',
+      },
+      lifestyle: {
+        high: 'Unas puntuaciones altas en estilo de vida (organización, liderazgo, oratoria) dan a tu flexibilidad una base sólida.',
+        low: 'La estructura es tu lado más blando; la flexibilidad funciona mejor acompañada de unos pocos anclajes fijos.',
+      },
+    },
+  },
+
+  'Dynamic Extrovert': {
+    summary: 'Sacas energía de las personas y del impulso, piensas en voz alta y sueles ser el primero en decir que sí a algo nuevo.',
+    strengths: [
+      { category: 'social', text: 'Crea sintonía rápidamente y hace que los recién llegados se sientan parte del grupo.' },
+      { category: 'behavioral', text: 'Actúa rápido y pone las cosas en marcha mientras otros aún deliberan.' },
+      { category: 'lifestyle', text: 'Cómodo liderando y presentando; encantado de ser la cara visible de una idea.' },
+      { category: 'cognitive', text: 'Genera ideas a gran velocidad contrastándolas con otras personas.' },
+      { category: 'behavioral', text: 'Resistente a los reveses; un intento fallido es solo la siguiente anécdota.' },
+    ],
+    blindSpots: [
+      { category: 'social', text: 'La energía que anima una sala también puede llenarla. Deja espacio a las voces más calladas.' },
+      { category: 'behavioral', text: 'La velocidad puede dejar atrás los detalles; un comienzo emocionante quizá necesite a alguien meticuloso que lo termine.' },
+      { category: 'cognitive', text: 'Pensar en voz alta puede sonar a compromiso para quienes se toman las palabras al pie de la letra.' },
+      { category: 'lifestyle', text: 'Los periodos largos de trabajo rutinario en solitario te agotan más rápido de lo que esperas.' },
+    ],
+    workTips: [
+      { category: 'behavioral', text: 'Trabaja con un colega detallista en todo lo que requiera un largo seguimiento.' },
+      { category: 'social', text: 'Usa tu red de contactos de forma deliberada: las presentaciones que haces también son una contribución.' },
+      { category: 'lifestyle', text: 'Divide las tareas solitarias en sprints con un momento social al final.' },
+      { category: 'cognitive', text: 'Antes de una decisión importante, consúltala con la almohada una vez, aunque estés seguro.' },
+    ],
+    communicationTips: [
+      { category: 'social', text: 'Haz una pregunta más de lo que te parece natural antes de dar tu opinión.' },
+      { category: 'cognitive', text: 'Señala claramente cuándo es una lluvia de ideas: «estoy pensando en voz alta» evita señales confusas.' },
+      { category: 'lifestyle', text: 'Envía un breve resumen escrito tras las reuniones intensas para que las decisiones no se pierdan.' },
+    ],
+    compatible: [
+      { archetype: 'Adaptive Ambivert', reason: 'Iguala tu energía cuando importa y te avisa cuándo bajar el ritmo.' },
+      { archetype: 'Analytical Introvert', reason: 'Aporta profundidad y rigor a las ideas que tú mejor sabes lanzar.' },
+    ],
+    categoryNotes: {
+      social: {
+        high: 'Tus puntuaciones sociales son el centro de este perfil: la gente te llena de energía, sin más.',
+        low: 'Tus puntuaciones sociales son modestas para un extrovertido; tu impulso viene más de la acción que de la compañía.',
+      },
+      cognitive: {
+        high: 'Unas puntuaciones cognitivas altas significan que tu entusiasmo se apoya en una curiosidad y una profundidad reales.',
+        low: 'Unas puntuaciones cognitivas más bajas sugieren que decides rápido y aprendes sobre la marcha; introduce alguna pausa de vez en cuando.',
+      },
+      behavioral: {
+        high: 'Tus puntuaciones de riesgo y novedad van a tope: persigues experiencias y te adaptas al vuelo.',
+        low: 'Eres más prudente que la mayoría de los extrovertidos y prefieres terreno conocido para tu energía social.',
+      },
+      lifestyle: {
+        high: 'Tus puntuaciones de liderazgo y oratoria son altas, así que te sientes como en casa frente a una sala.',
+        low: 'La planificación y la rutina son tu lado más débil; unas listas de control sencillas mantendrán tu impulso bien dirigido.',
+      },
+    },
+  },
+};
+
+export const BLEND_CONTENT = {
+  'Adaptive Ambivert + Analytical Introvert': 'Estás entre el introvertido reflexivo y el ambivertido flexible: sociable cuando importa, pero tu modo por defecto sigue siendo la concentración tranquila. Probablemente disfrutes más de los encuentros con un propósito que de los puramente sociales.',
+  'Adaptive Ambivert + Dynamic Extrovert': 'Combinas la flexibilidad del ambivertido con el empuje del extrovertido. La gente te da energía, pero notas cuándo necesitas apartarte, lo que te convierte en una presencia sostenible y no agotadora.',
+  'Analytical Introvert + Dynamic Extrovert': 'Una división poco común: tus respuestas tiran con fuerza en ambas direcciones. Puede que seas extrovertido en algunos ámbitos (trabajo, aficiones) y muy reservado en otros. Ambos lados son reales; ninguno es una máscara.',
+};
+
+export const CATEGORY_FACTS = {
+  social: [
+    'La introversión y la extraversión describen de dónde obtiene la gente su energía, no cuán hábil es socialmente. Muchos introvertidos son excelentes conversadores.',
+    'La mayoría de las personas se sitúa cerca del centro de la escala introversión–extraversión; los tipos extremos son la excepción.',
+    'Saber escuchar se puede medir en las conversaciones: quienes hacen preguntas de seguimiento resultan sistemáticamente más agradables.',
+  ],
+  cognitive: [
+    'La curiosidad está ligada a un mejor aprendizaje: la información que despierta tu curiosidad es más fácil de recordar, incluso los detalles que la rodean.',
+    'Deliberar más tiempo no siempre mejora las decisiones; ante problemas conocidos, los juicios intuitivos rápidos suelen ser igual de acertados.',
+    'Leer textos largos con regularidad se asocia con una mayor capacidad de atención sostenida.',
+  ],
+  behavioral: [
+    'El apetito por el riesgo depende del ámbito: alguien audaz con el dinero puede ser prudente ante el riesgo físico, y viceversa.',
+    'La búsqueda de novedad suele alcanzar su punto máximo al inicio de la edad adulta y decae poco a poco, aunque sigue siendo un rasgo estable respecto a los demás.',
+    'Las personas espontáneas suelen planificar más de lo que parece; simplemente dejan más margen para el cambio.',
+  ],
+  lifestyle: [
+    'La responsabilidad (organización, planificación, constancia) es uno de los predictores de personalidad más consistentes del rendimiento laboral.',
+    'Las rutinas reducen la cantidad de pequeñas decisiones del día, lo que libera atención para las que importan.',
+    'La comodidad al hablar en público se aprende en gran medida: la práctica reduce la ansiedad de forma fiable en la mayoría de las personas.',
+  ],
+};
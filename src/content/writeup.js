@@ -0,0 +1,85 @@
+import { CATEGORIES, categoryAverages } from '../categories.js';
+import { SLIDER_MIN, SLIDER_MAX } from '../engine/features.js';
+import { ARCHETYPE_CONTENT, BLEND_CONTENT } from './archetypes.js';
+import { CATEGORY_FACTS } from './facts.js';
+import * as es from './locales/es.js';
+import * as ar from './locales/ar.js';
+
+// Translated content per locale id. Anything missing falls back to English,
+// one archetype, blend or fact list at a time.
+const LOCALIZED = { es, ar };
+
+// Top two probabilities closer than this count as a blended result.
+export const BLEND_MARGIN = 0.1;
+
+const ITEMS_PER_SECTION = 3;
+
+// Category notes describe a "high" or "low" score, so they are judged
+// against the middle of the answer scale rather than against each other.
+const MIDPOINT = (SLIDER_MIN + SLIDER_MAX) / 2;
+
+// Stable sort: items about earlier categories in `order` come first, and
+// items within a category keep their authored order.
+const pickByCategory = (items = [], order) =>
+  [...items]
+    .sort((a, b) => order.indexOf(a.category) - order.indexOf(b.category))
+    .slice(0, ITEMS_PER_SECTION)
+    .map(item => item.text);
+
+const blendText = (label, other, localized) => {
+  const key = [label, other].sort().join(' + ');
+  return localized?.BLEND_CONTENT?.[key] ?? BLEND_CONTENT[key] ?? null;
+};
+
+/**
+ * Builds the result-screen writeup for a prediction. Category averages
+ * decide which passages lead: strengths and work tips start with the user's
+ * strongest category, blind spots and communication tips with the weakest,
+ * and the category notes describe the highest category if it is above the
+ * scale midpoint and the lowest if it is below it. When the
+ * runner-up is within BLEND_MARGIN of the top class, a blend passage is
+ * added; its `text` is null when no passage exists for that pair, and the
+ * caller words a generic one. `content` is null for classes without an entry
+ * in ARCHETYPE_CONTENT. Passages come from ./locales/<locale>.js when
+ * translated, keyed by the same class names and category ids.
+ */
+export const buildWriteup = ({ label, classes, probabilities, inputs, locale = 'en' }) => {
+  const localized = LOCALIZED[locale];
+  const averages = categoryAverages(inputs);
+  const ranked = [...CATEGORIES].sort((a, b) => averages[b.id] - averages[a.id]);
+  const highest = ranked[0];
+  const lowest = ranked.at(-1);
+  const descending = ranked.map(c => c.id);
+  const ascending = [...descending].reverse();
+
+  const order = probabilities.map((p, idx) => ({ p, idx })).sort((a, b) => b.p - a.p);
+  const runnerUp = order.length > 1 && order[0].p - order[1].p < BLEND_MARGIN
+    ? classes[order[1].idx]
+    : null;
+
+  const facts = localized?.CATEGORY_FACTS?.[highest.id] ?? CATEGORY_FACTS[highest.id];
+  const answerSum = Object.values(inputs).reduce((a, b) => a + b, 0);
+
+  const entry = localized?.ARCHETYPE_CONTENT?.[label] ?? ARCHETYPE_CONTENT[label];
+  const content = entry && {
+    summary: entry.summary,
+    strengths: pickByCategory(entry.strengths, descending),
+    blindSpots: pickByCategory(entry.blindSpots, ascending),
+    workTips: pickByCategory(entry.workTips, descending),
+    communicationTips: pickByCategory(entry.communicationTips, ascending),
+    compatible: entry.compatible ?? [],
+    notes: [
+      averages[highest.id] > MIDPOINT && { category: highest, text: entry.categoryNotes?.[highest.id]?.high },
+      averages[lowest.id] < MIDPOINT && { category: lowest, text: entry.categoryNotes?.[lowest.id]?.low },
+    ].filter(note => note?.text),
+  };
+
+  return {
+    highest,
+    lowest,
+    content,
+    blend: runnerUp && { with: runnerUp, text: blendText(label, runnerUp, localized) },
+    // Indexed by the answers so different profiles see different facts.
+    fact: facts[Math.round(answerSum) % facts.length],
+  };
+};
@@ -0,0 +1,100 @@
+import { FEATURE_METADATA, SLIDER_MIN, SLIDER_MAX } from './features.js';
+import { predictPersonality } from './predict.js';
+
+const SLIDER_VALUES = Array.from({ length: SLIDER_MAX - SLIDER_MIN + 1 }, (_, i) => SLIDER_MIN + i);
+
+// Model mean for a feature, snapped to a slider position.
+const defaultValue = (modelParams, featureIdx) =>
+  Math.min(SLIDER_MAX, Math.max(SLIDER_MIN, Math.round(modelParams.means[featureIdx])));
+
+/**
+ * Full input vector for a partially answered quiz: answered features keep
+ * their value, the rest fall back to the (rounded) training mean.
+ */
+export const fillWithMeans = (answered, modelParams) =>
+  FEATURE_METADATA.reduce((acc, feat, i) => ({
+    ...acc,
+    [feat.id]: answered[feat.id] ?? defaultValue(modelParams, i),
+  }), {});
+
+const klDivergence = (p, q) =>
+  p.reduce((acc, pi, i) => (pi > 0 ? acc + pi * Math.log(pi / Math.max(q[i], 1e-12)) : acc), 0);
+
+/**
+ * Picks the unanswered feature whose answer is expected to move the predicted
+ * distribution the most. Answers are assumed to follow the training
+ * distribution (a normal with the scaler's mean and scale, discretised to
+ * slider positions); the score is the expected KL divergence between the
+ * prediction after answering and the current one. Returns null when every
+ * feature has been answered.
+ */
+export const nextFeature = (answered, modelParams) => {
+  const base = fillWithMeans(answered, modelParams);
+  const current = predictPersonality(base, modelParams).probabilities;
+  let best = null;
+
+  FEATURE_METADATA.forEach((feat, i) => {
+    if (answered[feat.id] !== undefined) return;
+    const { means, scales } = modelParams;
+    const weights = SLIDER_VALUES.map(v => Math.exp(-((v - means[i]) ** 2) / (2 * scales[i] ** 2)));
+    const total = weights.reduce((a, b) => a + b, 0);
+    const gain = SLIDER_VALUES.reduce((acc, v, k) => {
+      const after = predictPersonality({ ...base, [feat.id]: v }, modelParams).probabilities;
+      return acc + (weights[k] / total) * klDivergence(after, current);
+    }, 0);
+    if (!best || gain > best.gain) best = { id: feat.id, gain };
+  });
+
+  return best && best.id;
+};
+
+/**
+ * Whether any combination of answers to the remaining features could still
+ * change the winning class. Scores are linear, so each rival's best case is
+ * found by pushing every unanswered feature independently to whichever end
+ * of the slider favours it over the current winner.
+ */
+export const canStillFlip = (answered, modelParams) => {
+  const { scores } = predictPersonality(fillWithMeans(answered, modelParams), modelParams);
+  const top = scores.indexOf(Math.max(...scores));
+  const open = FEATURE_METADATA
+    .map((feat, i) => ({ feat, i }))
+    .filter(({ feat }) => answered[feat.id] === undefined);
+
+  return scores.some((score, c) => {
+    if (c === top) return false;
+    const bestCase = open.reduce((gap, { i }) => {
+      const slope = (modelParams.weights[c][i] - modelParams.weights[top][i]) / modelParams.scales[i];
+      const current = defaultValue(modelParams, i);
+      const gains = [SLIDER_MIN, SLIDER_MAX].map(v => (v - current) * slope);
+      return gap + Math.max(0, ...gains);
+    }, score - scores[top]);
+    return bestCase > 0;
+  });
+};
+
+/**
+ * Snapshot of an adaptive session: the filled-in inputs, the current
+ * prediction, the next feature to ask and whether to stop. After at least
+ * `minQuestions` answers the quiz stops once the top class reaches
+ * `threshold` or no remaining answer could flip the prediction; it always
+ * stops when everything has been asked.
+ */
+export const adaptiveStatus = (answered, modelParams, { threshold = 0.9, minQuestions = 5 } = {}) => {
+  const inputs = fillWithMeans(answered, modelParams);
+  const result = predictPersonality(inputs, modelParams);
+  const confidence = Math.max(...result.probabilities);
+  const answeredCount = Object.keys(answered).length;
+  const locked = !canStillFlip(answered, modelParams);
+  const canStop = answeredCount >= minQuestions && (confidence >= threshold || locked);
+  const next = canStop ? null : nextFeature(answered, modelParams);
+  return {
+    inputs,
+    result,
+    confidence,
+    locked,
+    next,
+    done: next === null,
+    answeredCount,
+  };
+};
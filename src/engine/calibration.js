@@ -0,0 +1,79 @@
+import { FEATURE_METADATA } from './features.js';
+import { predictPersonality, softmax } from './predict.js';
+
+const rowToInputs = row =>
+  Object.fromEntries(FEATURE_METADATA.map((feat, j) => [feat.id, row[j]]));
+
+const negLogLikelihood = (scoreRows, y, temperature) =>
+  scoreRows.reduce((acc, scores, i) => {
+    const p = softmax(scores.map(s => s / temperature))[y[i]];
+    return acc - Math.log(Math.max(p, 1e-12));
+  }, 0) / scoreRows.length;
+
+/**
+ * Expected calibration error: rows are bucketed by their top probability and
+ * each bucket's |accuracy - mean confidence| is weighted by its share of rows.
+ */
+export const expectedCalibrationError = (probRows, y, bins = 10) => {
+  const buckets = Array.from({ length: bins }, () => ({ n: 0, correct: 0, confidence: 0 }));
+  probRows.forEach((p, i) => {
+    const confidence = Math.max(...p);
+    const bucket = buckets[Math.min(bins - 1, Math.floor(confidence * bins))];
+    bucket.n++;
+    bucket.confidence += confidence;
+    if (p.indexOf(confidence) === y[i]) bucket.correct++;
+  });
+  return buckets.reduce(
+    (acc, b) => (b.n ? acc + (b.n / probRows.length) * Math.abs(b.correct / b.n - b.confidence / b.n) : acc),
+    0
+  );
+};
+
+const summarize = (scoreRows, y, temperature) => ({
+  nll: negLogLikelihood(scoreRows, y, temperature),
+  ece: expectedCalibrationError(scoreRows.map(s => softmax(s.map(v => v / temperature))), y),
+});
+
+/**
+ * Temperature scaling (Guo et al., 2017): finds the single T that minimises
+ * the negative log-likelihood of a held-out labelled set when every score is
+ * divided by T. T > 1 softens over-confident probabilities, T < 1 sharpens
+ * them; the predicted class never changes. `dataset` comes from
+ * `buildDataset` and its labels must all be classes of the model.
+ */
+export const fitTemperature = (dataset, modelParams) => {
+  if ((modelParams.type ?? 'multinomial') !== 'multinomial') {
+    throw new Error('Temperature scaling needs a multinomial model');
+  }
+  const unknown = dataset.classes.filter(c => !modelParams.classes.includes(c));
+  if (unknown.length) throw new Error(`Labels not known to the model: ${unknown.join(', ')}`);
+  if (!dataset.X.length) throw new Error('The calibration set has no usable rows');
+
+  const y = dataset.y.map(i => modelParams.classes.indexOf(dataset.classes[i]));
+  const scoreRows = dataset.X.map(row => predictPersonality(rowToInputs(row), modelParams).scores);
+
+  // NLL is unimodal in log T, so a golden-section search over [1/20, 20] suffices.
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  const loss = logT => negLogLikelihood(scoreRows, y, Math.exp(logT));
+  let lo = Math.log(0.05);
+  let hi = Math.log(20);
+  for (let i = 0; i < 60; i++) {
+    const a = hi - ratio * (hi - lo);
+    const b = lo + ratio * (hi - lo);
+    if (loss(a) < loss(b)) hi = b;
+    else lo = a;
+  }
+  const temperature = Math.exp((lo + hi) / 2);
+
+  return {
+    temperature,
+    rows: scoreRows.length,
+    before: summarize(scoreRows, y, modelParams.temperature ?? 1),
+    after: summarize(scoreRows, y, temperature),
+  };
+};
+
+// Version for a model with a fitted temperature, so downloaded files and
+// exported records can tell it from the uncalibrated original.
+// Recalibrating replaces the suffix rather than stacking it.
+export const calibratedVersion = version => `${version.replace(/-calibrated$/, '')}-calibrated`;
@@ -0,0 +1,58 @@
+import { FEATURE_METADATA, SLIDER_MIN, SLIDER_MAX } from './features.js';
+import { predictPersonality } from './predict.js';
+
+// Target score minus the best rival score; positive means the target wins.
+const marginFor = (inputs, modelParams, targetIdx) => {
+  const { scores } = predictPersonality(inputs, modelParams);
+  const rival = Math.max(...scores.filter((_, c) => c !== targetIdx));
+  return scores[targetIdx] - rival;
+};
+
+/**
+ * Finds a small set of slider changes that makes `targetIdx` the predicted
+ * class. Greedy: repeatedly move the single unchanged feature whose move to
+ * either end of the slider gains the most margin, until the target wins.
+ * Each moved feature is then walked back toward its original value as far as
+ * the flip still holds, so suggestions are as gentle as possible.
+ *
+ * Returns `{ changes: [{ id, from, to }], inputs }`, with `changes` empty if
+ * the target already wins, or null if no combination of slider values can
+ * reach it.
+ */
+export const findCounterfactual = (inputs, modelParams, targetIdx) => {
+  let current = { ...inputs };
+  if (marginFor(current, modelParams, targetIdx) > 0) return { changes: [], inputs: current };
+
+  const moved = [];
+  const remaining = new Set(FEATURE_METADATA.map(f => f.id));
+  while (remaining.size && marginFor(current, modelParams, targetIdx) <= 0) {
+    let best = null;
+    remaining.forEach(id => {
+      [SLIDER_MIN, SLIDER_MAX].forEach(value => {
+        if (value === current[id]) return;
+        const margin = marginFor({ ...current, [id]: value }, modelParams, targetIdx);
+        if (!best || margin > best.margin) best = { id, value, margin };
+      });
+    });
+    if (!best) break;
+    current = { ...current, [best.id]: best.value };
+    remaining.delete(best.id);
+    moved.push(best.id);
+  }
+  if (marginFor(current, modelParams, targetIdx) <= 0) return null;
+
+  // Walk each move back toward the original answer while the target still wins.
+  [...moved].reverse().forEach(id => {
+    const step = Math.sign(inputs[id] - current[id]);
+    while (current[id] !== inputs[id]) {
+      const candidate = { ...current, [id]: current[id] + step };
+      if (marginFor(candidate, modelParams, targetIdx) <= 0) break;
+      current = candidate;
+    }
+  });
+
+  const changes = FEATURE_METADATA
+    .filter(f => current[f.id] !== inputs[f.id])
+    .map(f => ({ id: f.id, from: inputs[f.id], to: current[f.id] }));
+  return { changes, inputs: current };
+};
@@ -0,0 +1,62 @@
+/**
+ * Minimal RFC 4180 CSV parser: quoted fields, escaped quotes ("") and CRLF
+ * line endings. Returns the header row and one object per data row keyed by
+ * header name. Blank lines are skipped.
+ */
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(r => r.length > 1 || r[0].trim() !== '');
+  if (!nonEmpty.length) throw new Error('CSV file is empty');
+
+  const header = nonEmpty[0].map(h => h.trim());
+  const rows = nonEmpty.slice(1).map(r =>
+    Object.fromEntries(header.map((name, i) => [name, (r[i] ?? '').trim()]))
+  );
+  return { header, rows };
+};
+
+const escapeCell = (value) => {
+  const str = String(value ?? '');
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// Inverse of parseCsv for a header and an array of row objects.
+export const toCsv = (header, rows) =>
+  [header, ...rows.map(row => header.map(name => row[name]))]
+    .map(cells => cells.map(escapeCell).join(','))
+    .join('\n') + '\n';
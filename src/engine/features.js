@@ -0,0 +1,40 @@
+// Every feature is answered on the same integer scale.
+export const SLIDER_MIN = 0;
+export const SLIDER_MAX = 10;
+
+/**
+ * The 26 behavioral features the model is trained on. The order here is the
+ * canonical column order used by the inference engine; model files are
+ * re-ordered to match it by feature id when they are loaded.
+ */
+export const FEATURE_METADATA = [
+  { id: 'social_energy', label: 'Social Energy', category: 'social' },
+  { id: 'alone_time_preference', label: 'Isolation Bias', category: 'social' },
+  { id: 'talkativeness', label: 'Verbal Flux', category: 'social' },
+  { id: 'group_comfort', label: 'Collective Sync', category: 'social' },
+  { id: 'party_liking', label: 'External Stimulation', category: 'social' },
+  { id: 'friendliness', label: 'Social Affability', category: 'social' },
+  { id: 'listening_skill', label: 'Input Receptivity', category: 'social' },
+  { id: 'empathy', label: 'Emotional Resonance', category: 'social' },
+  { id: 'online_social_usage', label: 'Digital Footprint', category: 'social' },
+  
+  { id: 'deep_reflection', label: 'Internal Processing', category: 'cognitive' },
+  { id: 'curiosity', label: 'Inquiry Quotient', category: 'cognitive' },
+  { id: 'reading_habit', label: 'Information Intake', category: 'cognitive' },
+  { id: 'decision_speed', label: 'Latency Period', category: 'cognitive' },
+  
+  { id: 'risk_taking', label: 'Variance Tolerance', category: 'behavioral' },
+  { id: 'excitement_seeking', label: 'Dopamine Drive', category: 'behavioral' },
+  { id: 'adventurousness', label: 'Novelty Bias', category: 'behavioral' },
+  { id: 'spontaneity', label: 'Entropy Factor', category: 'behavioral' },
+  { id: 'travel_desire', label: 'Locality Drift', category: 'behavioral' },
+  
+  { id: 'organization', label: 'System Logic', category: 'lifestyle' },
+  { id: 'planning', label: 'Future Projection', category: 'lifestyle' },
+  { id: 'routine_preference', label: 'Cycle Stability', category: 'lifestyle' },
+  { id: 'sports_interest', label: 'Kinetic Drive', category: 'lifestyle' },
+  { id: 'gadget_usage', label: 'Tech Integration', category: 'lifestyle' },
+  { id: 'leadership', label: 'Hierarchy Position', category: 'lifestyle' },
+  { id: 'public_speaking_comfort', label: 'Broadcast Confidence', category: 'lifestyle' },
+  { id: 'work_style_collaborative', label: 'Peer Integration', category: 'lifestyle' },
+];
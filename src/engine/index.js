@@ -0,0 +1,24 @@
+/**
+ * Public API of the inference engine. Plain ES modules with no browser or
+ * React dependencies, so the web app, the unit tests and the batch-scoring
+ * CLI (scripts/score.js) all run exactly the same maths:
+ *
+ *   validate  parseModel(json)                       -> modelParams (throws on bad files)
+ *   scale     scaleInputs(inputs, modelParams, opts) -> standardised feature vector
+ *   score     predictPersonality(inputs, modelParams, opts)
+ *                                                    -> { label, probabilities, scores, contributions, imputed }
+ *   explain   explainPrediction(result, classIdx)    -> features ranked by effect
+ *
+ * `inputs` maps FEATURE_METADATA ids to 0-10 answers. Missing features throw
+ * unless `{ missing: 'mean' }` is passed, which imputes the training mean.
+ */
+export { FEATURE_METADATA, SLIDER_MIN, SLIDER_MAX } from './features.js';
+export { MODEL_FORMAT, MODEL_TYPES, parseModel, serializeModel } from './model.js';
+export {
+  softmax,
+  sigmoid,
+  findMissingFeatures,
+  scaleInputs,
+  predictPersonality,
+  explainPrediction,
+} from './predict.js';
@@ -0,0 +1,192 @@
+import { FEATURE_METADATA } from './features.js';
+
+export const MODEL_FORMAT = 'know-yourself/logreg';
+
+/**
+ * 'multinomial': one softmax over mutually exclusive classes (archetypes).
+ * 'independent': one binary logistic model per class, each read on its own
+ * through a sigmoid (e.g. a set of Big-Five-style traits).
+ */
+export const MODEL_TYPES = ['multinomial', 'independent'];
+
+const isFiniteNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+const checkVector = (errors, name, vec, length) => {
+  if (!Array.isArray(vec)) {
+    errors.push(`"${name}" must be an array`);
+    return false;
+  }
+  if (vec.length !== length) {
+    errors.push(`"${name}" has ${vec.length} entries, expected ${length}`);
+    return false;
+  }
+  const bad = vec.findIndex(v => !isFiniteNumber(v));
+  if (bad !== -1) {
+    errors.push(`"${name}[${bad}]" is not a finite number`);
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Validates an exported model artifact and returns the parameters in the
+ * shape `predictPersonality` expects. Feature columns are matched by id, so
+ * the file may list them in any order; they are re-ordered to follow
+ * FEATURE_METADATA. Throws an Error listing every problem found.
+ */
+export const parseModel = (raw) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Model file is not a JSON object');
+  }
+
+  const errors = [];
+  if (raw.format !== MODEL_FORMAT) {
+    errors.push(`"format" must be "${MODEL_FORMAT}"`);
+  }
+  if (typeof raw.version !== 'string' || !raw.version) {
+    errors.push('"version" must be a non-empty string');
+  }
+
+  const type = raw.type ?? 'multinomial';
+  if (!MODEL_TYPES.includes(type)) {
+    errors.push(`"type" must be one of ${MODEL_TYPES.join(', ')}`);
+  }
+
+  const { classes, features } = raw;
+  const minClasses = type === 'independent' ? 1 : 2;
+  const classesOk = Array.isArray(classes)
+    && classes.length >= minClasses
+    && classes.every(c => typeof c === 'string' && c)
+    && new Set(classes).size === classes.length;
+  if (!classesOk) {
+    errors.push(`"classes" must be an array of at least ${minClasses} unique names`);
+  }
+  const temperature = raw.temperature ?? 1;
+  if (!isFiniteNumber(temperature) || temperature <= 0) {
+    errors.push('"temperature" must be a positive number');
+  }
+  // Optional, but when present it must be a plain object of strings.
+  const descriptions = raw.descriptions === undefined ? {} : raw.descriptions;
+  const descriptionsOk = descriptions !== null && typeof descriptions === 'object' && !Array.isArray(descriptions)
+    && Object.values(descriptions).every(d => typeof d === 'string');
+  if (!descriptionsOk) {
+    errors.push('"descriptions" must map class names to strings');
+  }
+
+  let columnOf = null;
+  if (!Array.isArray(features) || !features.every(f => typeof f === 'string')) {
+    errors.push('"features" must be an array of feature ids');
+  } else {
+    const known = new Set(FEATURE_METADATA.map(f => f.id));
+    const missing = FEATURE_METADATA.filter(f => !features.includes(f.id)).map(f => f.id);
+    const unknown = features.filter(id => !known.has(id));
+    const duplicated = features.filter((id, i) => features.indexOf(id) !== i);
+    if (missing.length) errors.push(`missing features: ${missing.join(', ')}`);
+    if (unknown.length) errors.push(`unknown features: ${unknown.join(', ')}`);
+    if (duplicated.length) errors.push(`duplicated features: ${duplicated.join(', ')}`);
+    if (!missing.length && !unknown.length && !duplicated.length) {
+      columnOf = FEATURE_METADATA.map(f => features.indexOf(f.id));
+    }
+  }
+
+  const nFeatures = FEATURE_METADATA.length;
+  checkVector(errors, 'means', raw.means, nFeatures);
+  if (checkVector(errors, 'scales', raw.scales, nFeatures)) {
+    // Inputs are divided by their scale, which is a standard deviation.
+    const bad = raw.scales.findIndex(s => s <= 0);
+    if (bad !== -1) errors.push(`"scales[${bad}]" is ${raw.scales[bad] === 0 ? 'zero' : 'negative'}`);
+  }
+
+  if (classesOk) {
+    checkVector(errors, 'intercepts', raw.intercepts, classes.length);
+    if (!Array.isArray(raw.weights) || raw.weights.length !== classes.length) {
+      errors.push(`"weights" must have ${classes.length} rows (one per class)`);
+    } else {
+      raw.weights.forEach((row, i) => checkVector(errors, `weights[${i}]`, row, nFeatures));
+    }
+  }
+
+  if (errors.length) {
+    throw new Error(`Invalid model file:\n- ${errors.join('\n- ')}`);
+  }
+
+  const reorder = (vec) => columnOf.map(col => vec[col]);
+  return {
+    type,
+    version: raw.version,
+    trainedAt: raw.trainedAt ?? null,
+    temperature,
+    classes: [...classes],
+    descriptions: { ...descriptions },
+    means: reorder(raw.means),
+    scales: reorder(raw.scales),
+    intercepts: [...raw.intercepts],
+    weights: raw.weights.map(reorder),
+  };
+};
+
+// Inverse of parseModel: the JSON artifact to publish in public/models/.
+export const serializeModel = (params) => ({
+  format: MODEL_FORMAT,
+  type: params.type,
+  version: params.version,
+  trainedAt: params.trainedAt,
+  temperature: params.temperature,
+  classes: params.classes,
+  descriptions: params.descriptions,
+  features: FEATURE_METADATA.map(f => f.id),
+  means: params.means,
+  scales: params.scales,
+  intercepts: params.intercepts,
+  weights: params.weights,
+});
+
+const fetchJson = async (url) => {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Could not load ${url} (HTTP ${res.status})`);
+  try {
+    return await res.json();
+  } catch {
+    throw new Error(`${url} is not valid JSON`);
+  }
+};
+
+/**
+ * Loads every model listed in `models/manifest.json`:
+ *
+ *   { "primary": "<id>", "models": [{ "id", "name", "description", "file" }] }
+ *
+ * All models score the same FEATURE_METADATA inputs. Retrained models are
+ * published by dropping a new versioned file next to the manifest and
+ * pointing the entry at it. The primary model must load; any other model
+ * that fails is kept with an `error` instead of `params` so one experimental
+ * file cannot take the app down.
+ */
+export const loadRegistry = async (baseUrl = `${import.meta.env.BASE_URL}models/`) => {
+  const manifest = await fetchJson(`${baseUrl}manifest.json`);
+  const entries = manifest?.models;
+  if (!Array.isArray(entries) || !entries.length || entries.some(e => typeof e?.id !== 'string' || typeof e?.file !== 'string')) {
+    throw new Error('models/manifest.json must list "models" with an "id" and "file" each');
+  }
+  if (new Set(entries.map(e => e.id)).size !== entries.length) {
+    throw new Error('models/manifest.json lists the same model id twice');
+  }
+  const primary = manifest.primary ?? entries[0].id;
+  if (!entries.some(e => e.id === primary)) {
+    throw new Error(`models/manifest.json names "${primary}" as primary but does not list it`);
+  }
+
+  const models = await Promise.all(entries.map(async (entry) => {
+    const base = { id: entry.id, name: entry.name ?? entry.id, description: entry.description ?? '' };
+    try {
+      return { ...base, params: parseModel(await fetchJson(`${baseUrl}${entry.file}`)) };
+    } catch (err) {
+      if (entry.id === primary) throw new Error(`${entry.file}: ${err.message}`);
+      return { ...base, error: err.message };
+    }
+  }));
+  if (models.find(m => m.id === primary).params.type !== 'multinomial') {
+    throw new Error(`Primary model "${primary}" must be multinomial: the quiz needs one archetype per answer set`);
+  }
+  return { primary, models };
+};
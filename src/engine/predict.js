@@ -0,0 +1,77 @@
+import { FEATURE_METADATA } from './features.js';
+
+// Shifts by the max score so large logits cannot overflow Math.exp.
+export const softmax = (scores) => {
+  const max = Math.max(...scores);
+  const expScores = scores.map(s => Math.exp(s - max));
+  const sumExp = expScores.reduce((a, b) => a + b, 0);
+  return expScores.map(s => s / sumExp);
+};
+
+export const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+// Ids of features that are absent from `inputs` or not a finite number.
+export const findMissingFeatures = (inputs) =>
+  FEATURE_METADATA.filter(f => !Number.isFinite(inputs?.[f.id])).map(f => f.id);
+
+/**
+ * Standardises answers with the model's scaler (StandardScaler.transform),
+ * in FEATURE_METADATA order. Missing features are handled according to
+ * `missing`: 'error' (the default) throws and names them; 'mean' imputes the
+ * training mean, i.e. a scaled value of 0, so the feature adds nothing to
+ * any class score.
+ */
+export const scaleInputs = (inputs, modelParams, { missing = 'error' } = {}) => {
+  const absent = findMissingFeatures(inputs);
+  if (absent.length && missing !== 'mean') {
+    throw new Error(`Missing features: ${absent.join(', ')}`);
+  }
+  const { means, scales } = modelParams;
+  return FEATURE_METADATA.map((feat, i) =>
+    (absent.includes(feat.id) ? 0 : (inputs[feat.id] - means[i]) / scales[i]));
+};
+
+// Logistic Regression Math Implementation. Multinomial models return a
+// softmax distribution; 'independent' models return one sigmoid probability
+// per class, which need not sum to 1. Probabilities are read from the scores
+// divided by the model's calibration temperature; `scores` stay raw.
+// `options` are passed to scaleInputs; `imputed` lists any features that
+// were filled with the training mean.
+export const predictPersonality = (inputs, modelParams, options) => {
+  const { weights, intercepts, classes, type = 'multinomial', temperature = 1 } = modelParams;
+  const scaledInputs = scaleInputs(inputs, modelParams, options);
+  // contributions[classIdx][featureIdx] is that feature's share of the class score.
+  const contributions = weights.map(row => scaledInputs.map((val, featureIdx) => val * row[featureIdx]));
+  const scores = intercepts.map((intercept, classIdx) =>
+    contributions[classIdx].reduce((z, c) => z + c, intercept)
+  );
+  const maxIdx = scores.indexOf(Math.max(...scores));
+  const calibrated = scores.map(s => s / temperature);
+  return {
+    label: classes[maxIdx],
+    probabilities: type === 'independent' ? calibrated.map(sigmoid) : softmax(calibrated),
+    scores,
+    contributions,
+    imputed: findMissingFeatures(inputs),
+  };
+};
+
+/**
+ * Ranks features by how far they push the prediction toward `classIdx`.
+ * Softmax only cares about score differences, so a feature's effect is its
+ * contribution to the class minus its mean contribution to the other classes
+ * (i.e. its share of the log-odds against an average rival). Positive values
+ * push toward the class, negative values away from it. A single-class model
+ * has no rivals, so each effect is just the feature's own contribution.
+ */
+export const explainPrediction = (result, classIdx) => {
+  const { contributions } = result;
+  const rivals = contributions.filter((_, c) => c !== classIdx);
+  const rivalMean = j => (rivals.length ? rivals.reduce((acc, row) => acc + row[j], 0) / rivals.length : 0);
+  return FEATURE_METADATA
+    .map((feat, j) => ({
+      ...feat,
+      effect: contributions[classIdx][j] - rivalMean(j),
+    }))
+    .sort((a, b) => b.effect - a.effect);
+};
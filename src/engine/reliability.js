@@ -0,0 +1,70 @@
+import { FEATURE_METADATA } from './features.js';
+
+/**
+ * Spread of a multinomial prediction. `entropy` is normalised to [0, 1]
+ * (1 = every class equally likely) and `margin` is the probability gap
+ * between the top two classes. The prediction counts as unsure when either
+ * signal crosses its limit.
+ */
+export const assessUncertainty = (probabilities, { minMargin = 0.15, maxEntropy = 0.85 } = {}) => {
+  const entropy = -probabilities.reduce((acc, p) => (p > 0 ? acc + p * Math.log(p) : acc), 0)
+    / Math.log(probabilities.length);
+  const ranked = probabilities.map((p, idx) => ({ p, idx })).sort((a, b) => b.p - a.p);
+  const margin = ranked[0].p - ranked[1].p;
+  return {
+    entropy,
+    margin,
+    runnerUp: ranked[1].idx,
+    unsure: margin < minMargin || entropy > maxEntropy,
+  };
+};
+
+// Wilson-Hilferty approximation of the chi-square quantile with `dof` degrees
+// of freedom at standard-normal quantile `z` (3.09 is the 99.9th percentile).
+const chiSquareQuantile = (dof, z = 3.09) =>
+  dof * (1 - 2 / (9 * dof) + z * Math.sqrt(2 / (9 * dof))) ** 3;
+
+/**
+ * Checks the answers against the training distribution described by the
+ * scaler's means and scales. A bounded slider is rarely far out on its own
+ * (with the shipped models' means of 5 and scales of 2.5, no single answer
+ * can pass |z| = 2), so there is no per-feature limit. Instead the whole
+ * answer vector is tested: treating features as independent, the sum of
+ * squared z-scores is chi-square distributed, and a sum above its 99.9th
+ * percentile marks an unusual pattern. `furthest` then lists the `top`
+ * features that contribute most to it, largest |z| first.
+ */
+export const assessDistribution = (inputs, modelParams, top = 3) => {
+  const z = FEATURE_METADATA.map((feat, i) => ({
+    id: feat.id,
+    label: feat.label,
+    z: (inputs[feat.id] - modelParams.means[i]) / modelParams.scales[i],
+  }));
+  const chiSquare = z.reduce((acc, f) => acc + f.z ** 2, 0);
+  const limit = chiSquareQuantile(z.length);
+  const outOfDistribution = chiSquare > limit;
+  const furthest = outOfDistribution
+    ? [...z].sort((a, b) => Math.abs(b.z) - Math.abs(a.z)).slice(0, top)
+    : [];
+  return { furthest, chiSquare, limit, outOfDistribution };
+};
+
+// Every answer identical, e.g. clicking through the quiz without moving a slider.
+export const isStraightLined = inputs =>
+  new Set(FEATURE_METADATA.map(f => inputs[f.id])).size === 1;
+
+/**
+ * Everything the result screen needs to decide whether to present the
+ * predicted archetype as a confident answer.
+ */
+export const assessReliability = (inputs, result, modelParams) => {
+  const uncertainty = assessUncertainty(result.probabilities);
+  const distribution = assessDistribution(inputs, modelParams);
+  const straightLined = isStraightLined(inputs);
+  return {
+    ...uncertainty,
+    ...distribution,
+    straightLined,
+    confident: !uncertainty.unsure && !straightLined,
+  };
+};
@@ -0,0 +1,192 @@
+import { FEATURE_METADATA } from './features.js';
+import { softmax } from './predict.js';
+
+// Deterministic PRNG (mulberry32) so a given seed always yields the same split.
+const createRandom = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Turns parsed CSV rows into a feature matrix (FEATURE_METADATA order) and
+ * label list. Rows with a blank label or a non-numeric feature are skipped
+ * and counted in `skipped`. Throws if required columns are missing.
+ */
+export const buildDataset = ({ header, rows }, labelColumn, preferredClasses = []) => {
+  const missing = FEATURE_METADATA.filter(f => !header.includes(f.id)).map(f => f.id);
+  if (missing.length) throw new Error(`CSV is missing feature columns: ${missing.join(', ')}`);
+  if (!header.includes(labelColumn)) throw new Error(`CSV has no "${labelColumn}" column`);
+
+  const X = [];
+  const labels = [];
+  let skipped = 0;
+  rows.forEach(row => {
+    const label = row[labelColumn];
+    const values = FEATURE_METADATA.map(f => (row[f.id] === '' ? NaN : Number(row[f.id])));
+    if (!label || values.some(v => !Number.isFinite(v))) {
+      skipped++;
+      return;
+    }
+    X.push(values);
+    labels.push(label);
+  });
+
+  const seen = new Set(labels);
+  const classes = [
+    ...preferredClasses.filter(c => seen.has(c)),
+    ...[...seen].filter(c => !preferredClasses.includes(c)).sort(),
+  ];
+  if (classes.length < 2) throw new Error('Training data needs at least two distinct labels');
+
+  return { X, y: labels.map(l => classes.indexOf(l)), classes, skipped };
+};
+
+// Shuffles row indices and holds out `valFraction` of them for validation.
+export const trainValSplit = (n, valFraction, seed = 42) => {
+  const random = createRandom(seed);
+  const idx = Array.from({ length: n }, (_, i) => i);
+  for (let i = n - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [idx[i], idx[j]] = [idx[j], idx[i]];
+  }
+  const nVal = Math.round(n * valFraction);
+  return { valIdx: idx.slice(0, nVal), trainIdx: idx.slice(nVal) };
+};
+
+/**
+ * Equivalent of scikit-learn's StandardScaler.fit: population standard
+ * deviation, with constant columns given a scale of 1.
+ */
+export const fitScaler = (X) => {
+  const n = X.length;
+  const d = X[0].length;
+  const means = Array(d).fill(0);
+  const scales = Array(d).fill(0);
+  X.forEach(row => row.forEach((v, j) => { means[j] += v / n; }));
+  X.forEach(row => row.forEach((v, j) => { scales[j] += (v - means[j]) ** 2 / n; }));
+  return { means, scales: scales.map(v => (v > 0 ? Math.sqrt(v) : 1)) };
+};
+
+const scoreRow = (row, weights, intercepts) =>
+  intercepts.map((b, k) => row.reduce((z, v, j) => z + v * weights[k][j], b));
+
+const crossEntropy = (Xs, y, weights, intercepts, l2) => {
+  if (!Xs.length) return null;
+  const nll = Xs.reduce((acc, row, i) => {
+    const p = softmax(scoreRow(row, weights, intercepts))[y[i]];
+    return acc - Math.log(Math.max(p, 1e-12));
+  }, 0) / Xs.length;
+  const penalty = weights.reduce((acc, w) => acc + w.reduce((s, v) => s + v * v, 0), 0);
+  return nll + (l2 / 2) * penalty;
+};
+
+// Problems with the fit options, as messages; empty when they are usable.
+export const validateTrainingOptions = ({ learningRate = 0.1, epochs = 300, l2 = 0.01, valFraction = 0.2 } = {}) => {
+  const errors = [];
+  if (!Number.isInteger(epochs) || epochs < 1) errors.push('Epochs must be a whole number of at least 1');
+  if (!Number.isFinite(learningRate) || learningRate <= 0) errors.push('Learning rate must be greater than 0');
+  if (!Number.isFinite(l2) || l2 < 0) errors.push('L2 (λ) must be 0 or more');
+  if (!Number.isFinite(valFraction) || valFraction < 0 || valFraction >= 1) {
+    errors.push('Validation share must be at least 0 and below 1');
+  }
+  return errors;
+};
+
+/**
+ * Multinomial logistic regression fitted with full-batch gradient descent on
+ * the softmax cross-entropy plus an L2 penalty on the weights (intercepts are
+ * not penalised). Fits the scaler on the training split only. Returns model
+ * parameters in the same shape as `parseModel`, along with the per-epoch
+ * train/validation loss history and predictions for the validation rows.
+ */
+export const trainLogisticRegression = (dataset, options = {}) => {
+  const {
+    learningRate = 0.1,
+    epochs = 300,
+    l2 = 0.01,
+    valFraction = 0.2,
+    seed = 42,
+  } = options;
+  const invalid = validateTrainingOptions(options);
+  if (invalid.length) throw new Error(invalid.join('\n'));
+  const { X, y, classes } = dataset;
+  const { trainIdx, valIdx } = trainValSplit(X.length, valFraction, seed);
+  if (!trainIdx.length) throw new Error('No rows left for training after the validation split');
+
+  const { means, scales } = fitScaler(trainIdx.map(i => X[i]));
+  const scale = row => row.map((v, j) => (v - means[j]) / scales[j]);
+  const Xtrain = trainIdx.map(i => scale(X[i]));
+  const ytrain = trainIdx.map(i => y[i]);
+  const Xval = valIdx.map(i => scale(X[i]));
+  const yval = valIdx.map(i => y[i]);
+
+  const k = classes.length;
+  const d = FEATURE_METADATA.length;
+  const n = Xtrain.length;
+  const weights = Array.from({ length: k }, () => Array(d).fill(0));
+  const intercepts = Array(k).fill(0);
+  const history = [];
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    const gradW = Array.from({ length: k }, () => Array(d).fill(0));
+    const gradB = Array(k).fill(0);
+    Xtrain.forEach((row, i) => {
+      const p = softmax(scoreRow(row, weights, intercepts));
+      for (let c = 0; c < k; c++) {
+        const err = (p[c] - (ytrain[i] === c ? 1 : 0)) / n;
+        gradB[c] += err;
+        for (let j = 0; j < d; j++) gradW[c][j] += err * row[j];
+      }
+    });
+    for (let c = 0; c < k; c++) {
+      intercepts[c] -= learningRate * gradB[c];
+      for (let j = 0; j < d; j++) {
+        weights[c][j] -= learningRate * (gradW[c][j] + l2 * weights[c][j]);
+      }
+    }
+    history.push({
+      epoch: epoch + 1,
+      train: crossEntropy(Xtrain, ytrain, weights, intercepts, l2),
+      val: crossEntropy(Xval, yval, weights, intercepts, l2),
+    });
+  }
+
+  const argmax = row => {
+    const z = scoreRow(row, weights, intercepts);
+    return z.indexOf(Math.max(...z));
+  };
+
+  return {
+    params: {
+      type: 'multinomial',
+      version: `local-${new Date().toISOString().replace(/[-:]|\.\d+/g, '')}`,
+      trainedAt: new Date().toISOString(),
+      temperature: 1,
+      classes: [...classes],
+      descriptions: {},
+      means,
+      scales,
+      intercepts,
+      weights,
+    },
+    history,
+    train: { actual: ytrain, predicted: Xtrain.map(argmax) },
+    validation: { actual: yval, predicted: Xval.map(argmax) },
+  };
+};
+
+export const accuracy = ({ actual, predicted }) =>
+  actual.length ? actual.filter((a, i) => a === predicted[i]).length / actual.length : null;
+
+// Rows are actual classes, columns are predicted classes.
+export const confusionMatrix = ({ actual, predicted }, nClasses) => {
+  const matrix = Array.from({ length: nClasses }, () => Array(nClasses).fill(0));
+  actual.forEach((a, i) => { matrix[a][predicted[i]]++; });
+  return matrix;
+};
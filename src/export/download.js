@@ -0,0 +1,14 @@
+// Saves a Blob through a temporary object URL; nothing leaves the device.
+export const downloadBlob = (filename, blob) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  // Some browsers (Firefox, older Safari) start the download after click()
+  // returns, so revoking straight away can cancel it.
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+export const downloadJson = (filename, data) =>
+  downloadBlob(filename, new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
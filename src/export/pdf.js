@@ -0,0 +1,49 @@
+// A4 in PDF points (1/72 inch).
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+const encoder = new TextEncoder();
+
+/**
+ * Wraps a JPEG in a minimal single-page PDF, scaled to fill an A4 page.
+ * PDF readers decode JPEG natively (DCTDecode), so no PDF library is needed
+ * and the whole document is assembled in memory.
+ */
+export const jpegToPdf = (jpegBytes, width, height) => {
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const push = (part) => {
+    const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const object = (id, body, stream) => {
+    offsets[id] = length;
+    push(`${id} 0 obj\n${body}\n`);
+    if (stream) {
+      push('stream\n');
+      push(stream);
+      push('\nendstream\n');
+    }
+    push('endobj\n');
+  };
+
+  const content = `q ${PAGE_WIDTH} 0 0 ${PAGE_HEIGHT} 0 0 cm /Im0 Do Q`;
+
+  push('%PDF-1.4\n');
+  object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  object(2, '<< /Type /Pages /Kids [3 0 R] /Count 1 >>');
+  object(3, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+    + '/Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>');
+  object(4, `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB `
+    + `/BitsPerComponent 8 /Filter /DCTDecode /Length ${jpegBytes.length} >>`, jpegBytes);
+  object(5, `<< /Length ${content.length} >>`, encoder.encode(content));
+
+  const xrefOffset = length;
+  push(`xref\n0 ${offsets.length}\n0000000000 65535 f \n`);
+  offsets.slice(1).forEach(offset => push(`${String(offset).padStart(10, '0')} 00000 n \n`));
+  push(`trailer\n<< /Size ${offsets.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  return new Blob(chunks, { type: 'application/pdf' });
+};
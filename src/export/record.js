@@ -0,0 +1,56 @@
+import { FEATURE_METADATA } from '../engine/features.js';
+import { toCsv } from '../engine/csv.js';
+
+// How the result screen presented the prediction (see assessReliability).
+const verdictOf = reliability => {
+  if (reliability.straightLined) return 'straight-lined';
+  return reliability.confident ? 'confident' : 'inconclusive';
+};
+
+/**
+ * Machine-readable snapshot of one assessment: answers keyed by feature id,
+ * probabilities keyed by class name, plus the registry id (`modelId`, see
+ * loadRegistry) and version of the model that produced them. `verdict` ('confident', 'inconclusive' or 'straight-lined') and
+ * `runnerUp` record how the result screen worded it, so reports can say the
+ * same thing.
+ */
+export const buildExportRecord = ({ inputs, result, modelId, modelParams, reliability, timestamp = new Date() }) => ({
+  timestamp: timestamp.toISOString(),
+  modelId,
+  modelVersion: modelParams.version,
+  prediction: result.label,
+  verdict: verdictOf(reliability),
+  runnerUp: modelParams.classes[reliability.runnerUp],
+  probabilities: Object.fromEntries(modelParams.classes.map((cls, i) => [cls, result.probabilities[i]])),
+  inputs: Object.fromEntries(FEATURE_METADATA.map(f => [f.id, inputs[f.id]])),
+});
+
+// Flattens a record into a single CSV row (with header) for spreadsheets.
+export const recordToCsv = (record) => {
+  const classes = Object.keys(record.probabilities);
+  const header = [
+    'timestamp',
+    'model_id',
+    'model_version',
+    'prediction',
+    'verdict',
+    'runner_up',
+    ...FEATURE_METADATA.map(f => f.id),
+    ...classes.map(cls => `p_${cls}`),
+  ];
+  const row = {
+    timestamp: record.timestamp,
+    model_id: record.modelId,
+    model_version: record.modelVersion,
+    prediction: record.prediction,
+    verdict: record.verdict,
+    runner_up: record.runnerUp,
+    ...record.inputs,
+    ...Object.fromEntries(classes.map(cls => [`p_${cls}`, record.probabilities[cls].toFixed(6)])),
+  };
+  return toCsv(header, [row]);
+};
+
+// Filesystem-safe stem shared by every export format, e.g. "knowyourself-2024-05-01-1530".
+export const exportFileStem = (record) =>
+  `knowyourself-${record.timestamp.slice(0, 16).replace('T', '-').replace(':', '')}`;
@@ -0,0 +1,164 @@
+import { CATEGORIES } from '../categories.js';
+import { FEATURE_METADATA } from '../engine/features.js';
+
+// A4 portrait at 150 dpi, so the same canvas serves the PNG and the PDF page.
+export const REPORT_WIDTH = 1240;
+export const REPORT_HEIGHT = 1754;
+
+const FONT = "'Inter', system-ui, sans-serif";
+const MARGIN = 96;
+const COLORS = {
+  background: '#030712',
+  card: 'rgba(255, 255, 255, 0.05)',
+  track: '#1e293b',
+  text: '#f1f5f9',
+  muted: '#64748b',
+  accent: '#34d399',
+  accentEnd: '#3b82f6',
+};
+
+const roundedRect = (ctx, x, y, w, h, r) => {
+  ctx.beginPath();
+  ctx.roundRect(x, y, w, h, Math.min(r, h / 2));
+  ctx.fill();
+};
+
+// Fills from the start edge: the left in left-to-right locales, the right
+// in right-to-left ones.
+const bar = (ctx, x, y, w, h, fraction, highlight, rtl) => {
+  ctx.fillStyle = COLORS.track;
+  roundedRect(ctx, x, y, w, h, h / 2);
+  if (fraction <= 0) return;
+  if (highlight) {
+    const gradient = rtl ? ctx.createLinearGradient(x + w, 0, x, 0) : ctx.createLinearGradient(x, 0, x + w, 0);
+    gradient.addColorStop(0, COLORS.accent);
+    gradient.addColorStop(1, COLORS.accentEnd);
+    ctx.fillStyle = gradient;
+  } else {
+    ctx.fillStyle = COLORS.muted;
+  }
+  const filled = Math.max(h, w * fraction);
+  roundedRect(ctx, rtl ? x + w - filled : x, y, filled, h, h / 2);
+};
+
+// The result screen's heading: the archetype when confident, otherwise the
+// inconclusive wording.
+const headline = ({ prediction, verdict, runnerUp }, { t, className }) => {
+  if (verdict === 'straight-lined') return t('result.noArchetype');
+  if (verdict === 'inconclusive') return t('result.either', { label: className(prediction), other: className(runnerUp) });
+  return t('result.title', { label: className(prediction) });
+};
+
+// Greedy word wrap at the context's current font.
+const wrapLines = (ctx, value, maxWidth) => value.split(' ').reduce((lines, word) => {
+  const last = lines[lines.length - 1];
+  if (last !== undefined && ctx.measureText(`${last} ${word}`).width <= maxWidth) {
+    lines[lines.length - 1] = `${last} ${word}`;
+  } else {
+    lines.push(word);
+  }
+  return lines;
+}, []);
+
+// Sets the largest headline font (down to HEADLINE_MIN) that fits `value` on
+// one line; anything still too wide at the minimum size wraps onto more.
+const HEADLINE_MAX = 64;
+const HEADLINE_MIN = 44;
+const fitHeadline = (ctx, value, maxWidth) => {
+  for (let size = HEADLINE_MAX; size >= HEADLINE_MIN; size -= 4) {
+    ctx.font = `900 ${size}px ${FONT}`;
+    if (ctx.measureText(value).width <= maxWidth) return { size, lines: [value] };
+  }
+  return { size: HEADLINE_MIN, lines: wrapLines(ctx, value, maxWidth) };
+};
+
+/**
+ * Paints the printable report for an export record (see buildExportRecord):
+ * archetype (or the inconclusive verdict), probability bars, every answer grouped by category, and the
+ * model version. Text comes from `i18n` (a createTranslator result) and the
+ * layout is mirrored for right-to-left locales; the record itself keeps
+ * canonical ids. Returns the canvas so callers can encode it.
+ */
+export const renderReport = (record, i18n, canvas = document.createElement('canvas')) => {
+  const { locale, dir, t, percent, number, feature, category, className } = i18n;
+  const rtl = dir === 'rtl';
+  canvas.width = REPORT_WIDTH;
+  canvas.height = REPORT_HEIGHT;
+  const ctx = canvas.getContext('2d');
+  const contentWidth = REPORT_WIDTH - MARGIN * 2;
+  // Layout is worked out left to right; these mirror it when needed. `at`
+  // maps a text anchor, `box` the left edge of a box `w` wide.
+  const at = x => (rtl ? REPORT_WIDTH - x : x);
+  const box = (x, w) => (rtl ? REPORT_WIDTH - x - w : x);
+  const text = (value, x, y, align = 'start') => {
+    ctx.textAlign = align;
+    ctx.fillText(value, at(x), y);
+  };
+
+  ctx.fillStyle = COLORS.background;
+  ctx.fillRect(0, 0, REPORT_WIDTH, REPORT_HEIGHT);
+  ctx.textBaseline = 'alphabetic';
+  ctx.direction = dir;
+
+  let y = MARGIN;
+  ctx.fillStyle = COLORS.accent;
+  ctx.font = `700 22px ${FONT}`;
+  text(t('export.reportHeading'), MARGIN, y);
+  ctx.fillStyle = COLORS.muted;
+  text(new Date(record.timestamp).toLocaleString(locale), REPORT_WIDTH - MARGIN, y, 'end');
+
+  y += 90;
+  ctx.fillStyle = COLORS.text;
+  const { size, lines } = fitHeadline(ctx, headline(record, i18n), contentWidth);
+  lines.forEach((line, i) => text(line, MARGIN, y + i * size * 1.15));
+  y += (lines.length - 1) * size * 1.15;
+
+  y += 70;
+  ctx.font = `700 20px ${FONT}`;
+  Object.entries(record.probabilities).forEach(([cls, p]) => {
+    const highlight = record.verdict === 'confident' && cls === record.prediction;
+    ctx.fillStyle = highlight ? COLORS.text : COLORS.muted;
+    text(className(cls).toLocaleUpperCase(locale), MARGIN, y);
+    ctx.fillStyle = COLORS.accent;
+    text(percent(p), REPORT_WIDTH - MARGIN, y, 'end');
+    bar(ctx, MARGIN, y + 14, contentWidth, 12, p, highlight, rtl);
+    y += 68;
+  });
+
+  y += 30;
+  const columnWidth = (contentWidth - 48) / 2;
+  const cardHeight = features => 70 + features.length * 42;
+  // Two categories per row; each row is as tall as its longer card.
+  for (let i = 0; i < CATEGORIES.length; i += 2) {
+    const row = CATEGORIES.slice(i, i + 2).map(cat => ({
+      ...cat,
+      features: FEATURE_METADATA.filter(f => f.category === cat.id),
+    }));
+    row.forEach((cat, col) => {
+      const x = MARGIN + col * (columnWidth + 48);
+      ctx.fillStyle = COLORS.card;
+      roundedRect(ctx, box(x, columnWidth), y, columnWidth, cardHeight(cat.features), 28);
+
+      ctx.fillStyle = COLORS.text;
+      ctx.font = `700 22px ${FONT}`;
+      text(category(cat.id), x + 28, y + 44);
+
+      ctx.font = `500 17px ${FONT}`;
+      cat.features.forEach((feat, j) => {
+        const rowY = y + 84 + j * 42;
+        const value = record.inputs[feat.id];
+        ctx.fillStyle = COLORS.muted;
+        text(feature(feat.id), x + 28, rowY);
+        ctx.fillStyle = COLORS.text;
+        text(number(value), x + columnWidth - 28, rowY, 'end');
+        bar(ctx, box(x + 250, columnWidth - 320), rowY - 9, columnWidth - 320, 8, value / 10, true, rtl);
+      });
+    });
+    y += Math.max(...row.map(cat => cardHeight(cat.features))) + 40;
+  }
+
+  ctx.fillStyle = COLORS.muted;
+  ctx.font = `500 18px ${FONT}`;
+  text(t('export.reportFooter', { version: record.modelVersion }), MARGIN, REPORT_HEIGHT - MARGIN / 2);
+  return canvas;
+};
@@ -0,0 +1,47 @@
+/**
+ * On-device assessment history, stored in IndexedDB. Each session is an
+ * export record (see buildExportRecord) plus an auto-incremented `id`.
+ */
+
+const DB_NAME = 'knowyourself';
+const DB_VERSION = 1;
+const STORE = 'sessions';
+
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('timestamp', 'timestamp');
+    };
+    dbPromise = promisify(request).catch(err => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (mode, fn) => {
+  const db = await openDb();
+  return promisify(fn(db.transaction(STORE, mode).objectStore(STORE)));
+};
+
+// Resolves to the new session id.
+export const saveSession = (record) => withStore('readwrite', store => store.add(record));
+
+// Oldest first, so the list doubles as a time series.
+export const listSessions = () =>
+  withStore('readonly', store => store.index('timestamp').getAll());
+
+export const deleteSession = (id) => withStore('readwrite', store => store.delete(id));
+
+export const clearSessions = () => withStore('readwrite', store => store.clear());
@@ -0,0 +1,17 @@
+const sameClasses = (a, b) => a.length === b.length && a.every(cls => b.includes(cls));
+
+/**
+ * Registry id of the model that scored a saved session. Sessions saved before
+ * records carried `modelId` are matched to a registry model by their class
+ * names; null when none matches.
+ */
+export const sessionModelId = (session, models = []) => {
+  if (session.modelId) return session.modelId;
+  const classes = Object.keys(session.probabilities);
+  return models.find(m => m.params && sameClasses(m.params.classes, classes))?.id ?? null;
+};
+
+// Probabilities are only comparable between sessions scored by the same model
+// id and version. Unmatched old sessions are told apart by their class names.
+export const sessionModelKey = (session, models) =>
+  JSON.stringify([sessionModelId(session, models) ?? Object.keys(session.probabilities).sort(), session.modelVersion]);
@@ -0,0 +1,409 @@
+// Arabic interface strings (right-to-left). Keys mirror ./en.js; plural
+// entries use every Arabic Intl.PluralRules category.
+export const ar = {
+  nav: {
+    technology: 'التقنية',
+    privacy: 'الخصوصية',
+    docs: 'التوثيق',
+    history: 'السجل',
+    team: 'الفريق',
+    train: 'التدريب',
+    contact: 'تواصل مع الدعم',
+    language: 'اللغة',
+  },
+  model: {
+    failedTitle: 'تعذّر تحميل النموذج',
+    failedBody: 'رفض محرك الاستدلال ملف النموذج المنشور، لذا لا يمكن إجراء أي تنبؤات.',
+    trainLocally: 'درّب نموذجًا محليًا',
+    loading: 'جارٍ تحميل نموذج الاستدلال...',
+  },
+  hero: {
+    badge: 'مدعوم بتقنية Neural Logic v4.0',
+    titleLead: 'اكتشف',
+    titleHighlight: 'وعيك الرقمي',
+    intro: 'يحلّل محرك التعلّم الآلي لدينا {count} متجهًا سلوكيًا ليبني ملفًا نفسيًا عالي الدقة. فوري ومحلي وخاص.',
+    start: 'ابدأ ملفك الشخصي',
+    adaptive: 'فحص تكيّفي سريع',
+    methodology: 'اطّلع على المنهجية',
+    sync: 'مزامنة عالمية',
+    vault: 'خزنة آمنة',
+    realtime: 'في الوقت الفعلي',
+    insight: 'رؤية معمّقة',
+  },
+  quiz: {
+    step: 'جارٍ معايرة معاملاتك السلوكية (الخطوة {step}/{total})',
+    prev: 'السابق',
+    next: 'المرحلة التالية',
+    compute: 'احسب النتائج',
+    answerMode: 'طريقة الإجابة',
+    questionnaire: 'استبيان',
+    sliders: 'مؤشرات الخبراء',
+    answered: 'أُجيب عن {answered}/{total}',
+  },
+  likert: {
+    1: 'أعارض بشدة',
+    2: 'أعارض',
+    3: 'محايد',
+    4: 'أوافق',
+    5: 'أوافق بشدة',
+  },
+  adaptive: {
+    title: 'الفحص التكيّفي',
+    intro: 'يطرح السؤال الأكثر إفادة أولًا ويتوقف حالما تتضح النتيجة.',
+    leaning: 'الميل نحو: {label}',
+    progress: '{answered} مُجاب · {remaining} لم يُطرح بعد',
+    stopAt: 'توقّف عند',
+    question: 'السؤال {number}',
+    finish: 'أنهِ الآن',
+    next: 'السؤال التالي',
+    locked: 'لا توجد إجابة متبقية يمكنها تغيير النتيجة',
+    reached: 'تم بلوغ مستوى الثقة',
+    summary: {
+      zero: 'أجبت عن {answered} من {total}؛ ولم يُتخطَّ أي سؤال.',
+      one: 'أجبت عن {answered} من {total}؛ وتُخطّي سؤال واحد.',
+      two: 'أجبت عن {answered} من {total}؛ وتُخطّي سؤالان.',
+      few: 'أجبت عن {answered} من {total}؛ وتُخطّيت {count} أسئلة.',
+      many: 'أجبت عن {answered} من {total}؛ وتُخطّي {count} سؤالًا.',
+      other: 'أجبت عن {answered} من {total}؛ وتُخطّي {count} سؤال.',
+    },
+  },
+  loading: {
+    title: 'جارٍ تركيب ملفك العصبي',
+    body: 'يجري استدلال الانحدار اللوجستي محليًا...',
+  },
+  result: {
+    verified: 'تم التحقق من التقييم',
+    title: '{label}',
+    inconclusive: 'نتيجة غير حاسمة',
+    noArchetype: 'لا يوجد نمط واضح',
+    either: '{label} أو {other}',
+    skipped: 'الفحص التكيّفي: أُجيب عن {answered} من {total}، وتُخطّي {skipped} وعُوّضت بمتوسطات النموذج.',
+    reset: 'إعادة ضبط الجلسة',
+    export: 'تصدير النتائج',
+    note: 'ملاحظة سلوكية',
+    straightLined: 'إجاباتك متطابقة في كل الفئات، لذا لا يوجد بعد مجال أقوى أو أضعف يمكن وصفه.',
+    areas: 'أقوى مجالاتك هو {highest}، وأهدؤها هو {lowest}.',
+    blend: 'تقع إجاباتك قريبًا من {label} ومن {other} معًا؛ اقرأ الملفين واحتفظ بما تراه صادقًا.',
+    fact: 'هل تعلم؟',
+    topArea: 'مجالك الأبرز: {area}',
+  },
+  reliability: {
+    margin: 'الفارق بين الأول والثاني',
+    marginHint: '{label} متقدّم على {runnerUp}',
+    entropy: 'الإنتروبيا',
+    entropyHint: '100% تعني أن جميع الأنماط متساوية الاحتمال',
+    straightLined: 'كل الإجابات لها القيمة نفسها، كما يحدث عند تجاوز الاستبيان دون تحريك أي شيء. لا يملك النموذج ما يميّز به بين الأنماط، فاعتبر هذه النتيجة مؤقتة.',
+    unsure: 'لا يستطيع النموذج الفصل بوضوح بين {label} و{runnerUp}. ملفك يقع بين الاثنين.',
+    furthest: 'الإجابات الأبعد عن إجابات التدريب المعتادة هي {list}.',
+    unusual: 'هذا المزيج من الإجابات غير مألوف مقارنةً ببيانات التدريب.',
+    extrapolation: 'التنبؤات هنا استقراء خارج البيانات وأقل موثوقية.',
+  },
+  explanation: {
+    title: 'لماذا {label}؟',
+    intro: 'أثر كل إجابة على لوغاريتم أرجحية {label} مقابل الأنماط الأخرى. الأشرطة الأطول كان تأثيرها أكبر.',
+    toward: 'تدفع نحوه',
+    noneToward: 'لم تُرجّح أي إجابة هذا النمط.',
+    away: 'تُبعد عنه',
+    noneAway: 'لم تعمل أي إجابة ضد هذا النمط.',
+  },
+  profile: {
+    title: 'من داخل نمط {label}',
+    strengths: 'نقاط القوة',
+    blindSpots: 'النقاط العمياء',
+    work: 'في العمل',
+    communicating: 'في التواصل',
+    compatible: 'ينسجم مع',
+  },
+  compare: {
+    title: 'مقارنة النماذج',
+    intro: 'إجاباتك كما يقرؤها كل نموذج مسجَّل.',
+    independent: 'كل شريط هو احتمال الحصول على درجة عالية في تلك السمة، بمعزل عن السمات الأخرى.',
+    active: 'يقود الاستبيان',
+    use: 'استخدمه نموذجًا رئيسيًا',
+  },
+  whatIf: {
+    title: 'محاكي "ماذا لو"',
+    intro: 'عدّل أي إجابة لترى كيف سيتغيّر الملف. تبقى نتيجتك المُرسلة كما هي.',
+    reset: 'إعادة الضبط',
+    comparison: 'المُرسل ← المُحاكى',
+    flips: 'يتحوّل التنبؤ إلى {label}.',
+    pathTo: 'الطريق إلى',
+    unreachable: 'لا يوجد مزيج من الإجابات يصل إلى {label} في هذا النموذج.',
+    already: 'الإجابات المُحاكاة تتنبأ بالفعل بـ{label}.',
+    smallest: {
+      zero: 'تغيير صغير يقلب النتيجة: لا إجابات.',
+      one: 'تغيير صغير يقلب النتيجة: إجابة واحدة.',
+      two: 'تغيير صغير يقلب النتيجة: إجابتان.',
+      few: 'تغيير صغير يقلب النتيجة: {count} إجابات.',
+      many: 'تغيير صغير يقلب النتيجة: {count} إجابةً.',
+      other: 'تغيير صغير يقلب النتيجة: {count} إجابة.',
+    },
+    apply: 'طبّقه على المحاكي',
+  },
+  export: {
+    title: 'تصدير النتائج',
+    close: 'إغلاق',
+    preparing: 'جارٍ التحضير…',
+    pdf: 'تقرير PDF',
+    pdfHint: 'صفحة A4 قابلة للطباعة تضم نمطك واحتمالاتك وإجاباتك.',
+    png: 'صورة PNG',
+    pngHint: 'التقرير نفسه على شكل صورة جاهزة للمشاركة.',
+    json: 'بيانات JSON',
+    jsonHint: 'الإجابات مفهرسة بمعرّف السمة والاحتمالات مفهرسة بالفئة.',
+    csv: 'صف CSV',
+    csvHint: 'صف واحد مع ترويسة لجدول بيانات، لجمع النتائج.',
+    copyLink: 'انسخ رابط النتيجة',
+    copied: 'تم نسخ الرابط',
+    linkHint: 'كل من لديه الرابط يرى هذه الإجابات وهذه النتيجة.',
+    clipboard: 'الحافظة غير متاحة؛ انسخ شريط العنوان بدلًا من ذلك.',
+    local: 'أُنشئ على هذا الجهاز. النموذج v{version}.',
+    reportHeading: 'KNOWYOURSELF · تقرير الشخصية',
+    reportFooter: 'النموذج v{version} · أُنشئ على هذا الجهاز؛ لم تُرسل أي بيانات.',
+  },
+  history: {
+    title: 'سجل التقييمات',
+    saved: {
+      zero: 'محفوظ على هذا الجهاز فقط. لا توجد جلسات محفوظة.',
+      one: 'محفوظ على هذا الجهاز فقط. جلسة واحدة محفوظة.',
+      two: 'محفوظ على هذا الجهاز فقط. جلستان محفوظتان.',
+      few: 'محفوظ على هذا الجهاز فقط. {count} جلسات محفوظة.',
+      many: 'محفوظ على هذا الجهاز فقط. {count} جلسةً محفوظة.',
+      other: 'محفوظ على هذا الجهاز فقط. {count} جلسة محفوظة.',
+    },
+    empty: 'أكمل تقييمًا وسيظهر هنا.',
+    loading: 'جارٍ تحميل السجل...',
+    unavailable: 'السجل غير متاح في هذا المتصفح',
+    probabilities: 'احتمالات الأنماط',
+    categories: 'متوسطات الفئات',
+    compare: 'قارن الجلسات',
+    versus: 'مقابل',
+    sessions: 'الجلسات',
+    deleteAll: 'احذف الكل',
+    confirmClear: 'هل تريد حذف كل التقييمات المحفوظة على هذا الجهاز؟',
+    chartModel: 'النموذج المعروض في المخطط',
+    model: 'النموذج v{version}',
+    modelNamed: '{name} v{version}',
+    delete: 'احذف جلسة {date}',
+  },
+  team: {
+    title: 'تكوين الفريق',
+    intro: 'اجمع نتائج مجموعة: يشارك كل شخص رابط نتيجته أو ملف JSON المُصدَّر. يبقى كل شيء في هذا المتصفح.',
+    add: 'أضف أعضاء',
+    importFiles: 'استورد ملفات JSON المُصدَّرة',
+    codesPlaceholder: 'رابط أو رمز نتيجة في كل سطر، ويمكن كتابة "الاسم: الرابط"',
+    addCodes: 'أضف الرموز',
+    invalidCode: 'ليس رمز نتيجة ولا رابطًا: {line}',
+    unreadable: '{file}: ليس ملف JSON صالحًا للقراءة',
+    notExport: '{file}: ليس تقييمًا مُصدَّرًا؛ يجب أن يحتوي "inputs" على الإجابات الـ{count} كلها',
+    badEntry: '{file}: الإدخال {entry} لا يحتوي على الإجابات الـ{count} كاملة',
+    members: 'الأعضاء ({count})',
+    needTwo: 'أضف عضوين على الأقل لعرض لوحة الفريق.',
+    member: 'العضو {number}',
+    memberName: 'اسم العضو {number} (اختياري)',
+    remove: 'أزل {name}',
+    namesHidden: 'الأسماء مخفية',
+    hideNames: 'أخفِ الأسماء',
+    saveRoster: 'احفظ القائمة',
+    clear: 'امسح',
+    distribution: 'توزيع الأنماط',
+    profile: 'ملف الفئات',
+    teamMean: 'متوسط الفريق',
+    range: 'المظلَّل: من أدنى عضو إلى أعلاه',
+    deviation: '±1 انحراف معياري',
+    gaps: 'الثغرات',
+    noGaps: 'لكل سمة عضو واحد على الأقل بدرجة {score} أو أكثر.',
+    categoryGap: 'لا يبلغ متوسط أحد {score}+ في {category} (الأعلى: {best}).',
+    featureGap: 'لا أحد يحصل على درجة عالية في {feature} (أعلى إجابة: {best}).',
+    similarity: 'التشابه بين كل عضوين',
+    similarityHint: '100 = إجابات متطابقة، 0 = طرفان متعاكسان في كل سؤال.',
+    clusters: 'المجموعات',
+    group: 'المجموعة {number}',
+    standsApart: 'منفرد',
+    strongest: 'الأقوى: {category}',
+  },
+  train: {
+    title: 'درّب نموذجًا',
+    intro: 'ارفع ملف CSV يضم أعمدة السمات الـ{count} وعمودًا للتصنيف. يجري التدريب محليًا؛ لا يغادر شيء هذا المتصفح.',
+    chooseFile: 'اختر ملف CSV مصنَّفًا',
+    fileSummary: '{rows} صف · {columns} عمود',
+    labelColumn: 'عمود التصنيف',
+    learningRate: 'معدل التعلّم',
+    epochs: 'الحِقب',
+    l2: 'L2 (λ)',
+    valFraction: 'حصة التحقق',
+    training: 'جارٍ التدريب…',
+    fit: 'درّب النموذج',
+    placeholder: 'يظهر منحنى الخسارة والدقة ومصفوفة الالتباس هنا بعد التدريب.',
+    train: 'التدريب',
+    validation: 'التحقق',
+    progress: 'الحقبة {epoch} · الخسارة {loss}',
+    trainAccuracy: 'دقة التدريب',
+    valAccuracy: 'دقة التحقق',
+    rowsUsed: 'الصفوف المستخدمة',
+    skipped: 'تُخطّي {count}',
+    confusion: 'مصفوفة الالتباس للتحقق',
+    confusionAxes: 'الفعلي ↓ / المتوقَّع ←',
+    apply: 'استخدمه في الاختبار',
+    applied: 'مستخدَم في الاختبار',
+    download: 'نزّل ملف JSON للنموذج',
+  },
+  calibration: {
+    title: 'معايرة الاحتمالات',
+    intro: 'اختياري. ارفع صفوفًا مصنَّفة لم يرها النموذج لضبط درجة حرارة تعيد قياس ثقته دون تغيير أي تنبؤ.',
+    current: 'درجة الحرارة الحالية: {value}.',
+    needModel: 'حمّل نموذجًا أو درّبه أولًا.',
+    chooseFile: 'اختر ملف CSV محجوزًا',
+    fit: 'اضبط',
+    temperature: 'درجة الحرارة',
+    rows: '{count} صف',
+    logLoss: 'الخسارة اللوغاريتمية',
+    ece: 'ECE',
+  },
+  a11y: {
+    sliderValue: '{value} من {max}',
+    sliderChanged: '{value} من {max}، وكانت {original}',
+    sliderHint: 'كلما ارتفعت القيمة زادت مطابقة هذه العبارة لك: «{statement}»',
+    step: 'الخطوة {step} من {total}: {title}',
+    progress: 'تقدّم الاختبار',
+    shortcuts: 'لوحة المفاتيح: {next} الخطوة التالية · {previous} الخطوة السابقة · {mode} تبديل طريقة الإجابة',
+    adaptiveShortcuts: 'لوحة المفاتيح: {next} السؤال التالي · {mode} تبديل طريقة الإجابة',
+    question: 'السؤال {number}: {label}',
+    result: 'النتيجة: {label}، {value}.',
+    inconclusive: 'نتيجة غير حاسمة: {detail}.',
+    reduceMotion: 'تقليل الحركة',
+    probabilities: 'احتمالات الأنماط',
+    modelProbabilities: 'الاحتمالات وفق {name}',
+    probability: 'الاحتمال',
+    archetype: 'النمط',
+    predicted: '{label} (المتوقَّع)',
+    comparison: 'الاحتمالات المُرسَلة والمُحاكاة',
+    submitted: 'المُرسَل',
+    simulated: 'المُحاكى',
+  },
+  footer: {
+    privacy: 'سياسة الخصوصية',
+    terms: 'شروط الخدمة',
+  },
+
+  features: {
+    social_energy: 'الطاقة الاجتماعية',
+    alone_time_preference: 'الميل إلى العزلة',
+    talkativeness: 'التدفق الكلامي',
+    group_comfort: 'التناغم الجماعي',
+    party_liking: 'التحفيز الخارجي',
+    friendliness: 'الودّ الاجتماعي',
+    listening_skill: 'حسن الإصغاء',
+    empathy: 'الرنين العاطفي',
+    online_social_usage: 'البصمة الرقمية',
+    deep_reflection: 'المعالجة الداخلية',
+    curiosity: 'معامل الفضول',
+    reading_habit: 'استيعاب المعلومات',
+    decision_speed: 'زمن اتخاذ القرار',
+    risk_taking: 'تقبّل المخاطرة',
+    excitement_seeking: 'دافع الإثارة',
+    adventurousness: 'الميل إلى الجديد',
+    spontaneity: 'عامل العفوية',
+    travel_desire: 'نزعة الترحال',
+    organization: 'منطق التنظيم',
+    planning: 'التخطيط المستقبلي',
+    routine_preference: 'ثبات الروتين',
+    sports_interest: 'الدافع الحركي',
+    gadget_usage: 'الاندماج التقني',
+    leadership: 'الموقع القيادي',
+    public_speaking_comfort: 'الثقة في الخطابة',
+    work_style_collaborative: 'الاندماج مع الزملاء',
+  },
+  categories: {
+    social: 'البصمة الاجتماعية',
+    cognitive: 'الأنماط العصبية',
+    behavioral: 'متجه الاندفاع',
+    lifestyle: 'البيئة',
+  },
+  classes: {
+    'Analytical Introvert': 'الانطوائي التحليلي',
+    'Adaptive Ambivert': 'المتوازن المتكيّف',
+    'Dynamic Extrovert': 'المنفتح الديناميكي',
+    Openness: 'الانفتاح',
+    Conscientiousness: 'يقظة الضمير',
+    Extraversion: 'الانبساط',
+    Agreeableness: 'الوداعة',
+    'Emotional Sensitivity': 'الحساسية العاطفية',
+    Strategist: 'الاستراتيجي',
+    Executor: 'المنفِّذ',
+    Connector: 'الموصِّل',
+    Explorer: 'المستكشف',
+  },
+  classDescriptions: {
+    'Analytical Introvert': 'يستعيد طاقته في العزلة ويفضّل العمق والتأمل والتحليل المتأني.',
+    'Adaptive Ambivert': 'ينتقل بسلاسة بين الوضع الاجتماعي والانفرادي بحسب السياق.',
+    'Dynamic Extrovert': 'يستمد طاقته من الناس والتجديد والحركة.',
+    Openness: 'منجذب إلى الأفكار والجديد والتجارب غير المألوفة.',
+    Conscientiousness: 'منظّم ومتأنٍّ وموثوق في التزاماته.',
+    Extraversion: 'يستمد نشاطه من الناس والحديث والحركة.',
+    Agreeableness: 'ودود ومتعاون ومنتبه للآخرين.',
+    'Emotional Sensitivity': 'يشعر بالضغط وعدم اليقين بحدّة؛ حذِر تحت التوتر.',
+    Strategist: 'يفكّر بضع خطوات إلى الأمام ويفضّل الفهم قبل الفعل.',
+    Executor: 'يحوّل الخطط إلى نتائج بالتنظيم والمتابعة.',
+    Connector: 'ينجز العمل عبر الناس والحوار والأهداف المشتركة.',
+    Explorer: 'يزدهر مع التجارب والتغيير والمشكلات غير المألوفة.',
+  },
+  models: {
+    personality: { name: 'نمط الشخصية', description: 'موقعك على الطيف بين الانطواء والانفتاح.' },
+    'big-five': { name: 'السمات الخمس الكبرى', description: 'احتمال مستقل للحصول على درجة عالية في كل سمة من سمات النموذج الخماسي.' },
+    'work-style': { name: 'أسلوب العمل', description: 'الطريقة التي تميل بها إلى المساهمة في عمل الفريق.' },
+  },
+  questions: {
+    'social_energy.1': 'قضاء الوقت مع الناس يملؤني بالطاقة.',
+    'social_energy.2': 'بعد يوم اجتماعي مزدحم أحتاج إلى وقت لأستعيد طاقتي.',
+    'alone_time_preference.1': 'أتطلّع إلى الأمسيات التي أقضيها وحدي.',
+    'alone_time_preference.2': 'أشعر بالضجر عندما أبقى وحدي مدة طويلة.',
+    'talkativeness.1': 'عادةً ما أتولّى معظم الحديث في المحادثات.',
+    'talkativeness.2': 'أميل إلى الصمت ما لم يكن لديّ شيء محدد أقوله.',
+    'group_comfort.1': 'أشعر بالارتياح في المجموعات الكبيرة.',
+    'group_comfort.2': 'أفضّل الأحاديث الثنائية على التجمعات.',
+    'party_liking.1': 'أستمتع بالحفلات والتجمعات الحيوية.',
+    'party_liking.2': 'المناسبات الاجتماعية الصاخبة تُرهقني بسرعة.',
+    'friendliness.1': 'يسهل عليّ بدء حديث مع الغرباء.',
+    'friendliness.2': 'أحتاج إلى بعض الوقت لأنفتح على الأشخاص الجدد.',
+    'listening_skill.1': 'كثيرًا ما يقول لي الناس إنني مستمع جيد.',
+    'listening_skill.2': 'أجد نفسي أحضّر ردّي بينما لا يزال الآخرون يتحدثون.',
+    'empathy.1': 'أستطيع عادةً أن أستشعر ما يشعر به الآخرون دون أن يخبروني.',
+    'empathy.2': 'نادرًا ما يؤثر مزاج الآخرين في مزاجي.',
+    'online_social_usage.1': 'أتفقّد وسائل التواصل الاجتماعي عدة مرات في اليوم.',
+    'online_social_usage.2': 'يمكنني بسهولة قضاء أسبوع دون وسائل التواصل الاجتماعي.',
+    'deep_reflection.1': 'كثيرًا ما أتأمل تجاربي بعد وقوعها بوقت طويل.',
+    'deep_reflection.2': 'أفضّل الفعل على التحليل.',
+    'curiosity.1': 'أحب اكتشاف كيف تعمل الأشياء.',
+    'curiosity.2': 'نادرًا ما أبحث عن الأشياء التي لا أفهمها.',
+    'reading_habit.1': 'أقرأ كتبًا أو مقالات طويلة في معظم الأسابيع.',
+    'reading_habit.2': 'أفضّل مشاهدة ملخص على قراءة الأصل.',
+    'decision_speed.1': 'أتخذ قراراتي بسرعة وأمضي قدمًا.',
+    'decision_speed.2': 'أحب أن أتريّث ليلة قبل القرارات المهمة.',
+    'risk_taking.1': 'أنا مستعد للمخاطرة من أجل مكسب أكبر.',
+    'risk_taking.2': 'أفضّل الخيار الآمن حتى لو كان عائده أقل.',
+    'excitement_seeking.1': 'أبحث عن التجارب المثيرة.',
+    'excitement_seeking.2': 'الأيام الهادئة المتوقعة هي الأنسب لي.',
+    'adventurousness.1': 'أحب تجربة أطعمة وأماكن وأنشطة لم أجرّبها من قبل.',
+    'adventurousness.2': 'ألتزم بما أعرف أنني أحبه.',
+    'spontaneity.1': 'كثيرًا ما أغيّر خططي في اللحظة الأخيرة.',
+    'spontaneity.2': 'تزعجني التغييرات المفاجئة في خططي.',
+    'travel_desire.1': 'أفكّر دائمًا في رحلتي القادمة.',
+    'travel_desire.2': 'أكون في أسعد حالاتي قريبًا من البيت.',
+    'organization.1': 'أحافظ على مساحتي وملفاتي منظمة جيدًا.',
+    'organization.2': 'كثيرًا ما أُضيّع أشياء أحتاجها.',
+    'planning.1': 'أخطط لأسبوعي مسبقًا.',
+    'planning.2': 'أفضّل أن أعيش كل يوم بيومه.',
+    'routine_preference.1': 'أحب أن يكون لي روتين يومي ثابت.',
+    'routine_preference.2': 'القيام بالشيء نفسه كل يوم يُشعرني بالملل.',
+    'sports_interest.1': 'أمارس الرياضة أو أتابعها بانتظام.',
+    'sports_interest.2': 'لا تستهويني الرياضة كثيرًا.',
+    'gadget_usage.1': 'أستمتع بتجربة الأجهزة والتطبيقات الجديدة.',
+    'gadget_usage.2': 'لا أُحدّث أجهزتي إلا عندما تتوقف عن العمل.',
+    'leadership.1': 'أتولّى القيادة بشكل طبيعي عندما تحتاج المجموعة إلى توجيه.',
+    'leadership.2': 'أفضّل أن يتولى شخص آخر القيادة.',
+    'public_speaking_comfort.1': 'أشعر بالارتياح عند التحدث أمام جمهور.',
+    'public_speaking_comfort.2': 'العرض أمام قاعة مليئة بالناس يوترني كثيرًا.',
+    'work_style_collaborative.1': 'أقدّم أفضل ما لديّ عندما أعمل ضمن فريق.',
+    'work_style_collaborative.2': 'أفضّل العمل باستقلالية.',
+  },
+};
@@ -0,0 +1,279 @@
+/**
+ * English interface strings; also the fallback for keys a translation lacks.
+ * Feature labels, category titles, class names and question wording default
+ * to the canonical text in FEATURE_METADATA, CATEGORIES, the model files and
+ * QUESTION_BANK, so they are only listed in the other catalogs.
+ */
+export const en = {
+  nav: {
+    technology: 'Technology',
+    privacy: 'Privacy',
+    docs: 'Docs',
+    history: 'History',
+    team: 'Team',
+    train: 'Train',
+    contact: 'Contact Support',
+    language: 'Language',
+  },
+  model: {
+    failedTitle: 'Model Failed to Load',
+    failedBody: 'The inference engine refused the published model file, so no predictions can be made.',
+    trainLocally: 'Train a Model Locally',
+    loading: 'Loading inference model...',
+  },
+  hero: {
+    badge: 'Powered by Neural Logic v4.0',
+    titleLead: 'Decode Your',
+    titleHighlight: 'Digital Consciousness',
+    intro: 'Our advanced machine learning engine analyzes {count} behavioral vectors to construct a high-fidelity psychological profile. Instant, local, and private.',
+    start: 'Initialize Profile',
+    adaptive: 'Quick Adaptive Scan',
+    methodology: 'View Methodology',
+    sync: 'Global Sync',
+    vault: 'Secure Vault',
+    realtime: 'Real-Time',
+    insight: 'Deep Insight',
+  },
+  quiz: {
+    step: 'Calibrating your behavioral coefficients (Step {step}/{total})',
+    prev: 'Prev',
+    next: 'Next Sequence',
+    compute: 'Compute Results',
+    answerMode: 'Answer mode',
+    questionnaire: 'Questionnaire',
+    sliders: 'Expert sliders',
+    answered: '{answered}/{total} answered',
+  },
+  likert: {
+    1: 'Strongly disagree',
+    2: 'Disagree',
+    3: 'Neutral',
+    4: 'Agree',
+    5: 'Strongly agree',
+  },
+  adaptive: {
+    title: 'Adaptive Scan',
+    intro: 'Asks the most informative question next and stops as soon as the answer is clear.',
+    leaning: 'Leaning {label}',
+    progress: '{answered} answered · {remaining} not asked yet',
+    stopAt: 'Stop at',
+    question: 'Question {number}',
+    finish: 'Finish Now',
+    next: 'Next Question',
+    locked: 'No remaining answer could change the outcome',
+    reached: 'Confidence reached',
+    summary: {
+      one: 'Answered {answered} of {total}; {count} question skipped.',
+      other: 'Answered {answered} of {total}; {count} questions skipped.',
+    },
+  },
+  loading: {
+    title: 'Synthesizing Neural Profile',
+    body: 'Running Logistic Regression inference locally...',
+  },
+  result: {
+    verified: 'Assessment Verified',
+    title: 'The {label}',
+    inconclusive: 'Inconclusive Result',
+    noArchetype: 'No Clear Archetype',
+    either: '{label} or {other}',
+    skipped: 'Adaptive scan: {answered} of {total} answered, {skipped} skipped and filled with model averages.',
+    reset: 'Reset Session',
+    export: 'Export Insights',
+    note: 'Behavioral Note',
+    straightLined: 'Your answers are identical in every category, so there is no strongest or weakest area to describe yet.',
+    areas: 'Your strongest area is {highest}; your quietest is {lowest}.',
+    blend: 'Your answers sit close to both {label} and {other}; read both profiles and keep what rings true.',
+    fact: 'Did you know?',
+    topArea: 'Your top area: {area}',
+  },
+  reliability: {
+    margin: 'Top-two margin',
+    marginHint: '{label} ahead of {runnerUp}',
+    entropy: 'Entropy',
+    entropyHint: '100% means every archetype is equally likely',
+    straightLined: 'Every answer has the same value, as when the quiz is clicked through without moving anything. The model has nothing to tell the archetypes apart, so treat this result as a placeholder.',
+    unsure: 'The model cannot clearly separate {label} from {runnerUp}. Your profile sits between the two.',
+    furthest: 'The answers furthest from typical training answers are {list}.',
+    unusual: 'This combination of answers is unusual compared with the training data.',
+    extrapolation: 'Predictions here are extrapolations and less reliable.',
+  },
+  explanation: {
+    title: 'Why {label}?',
+    intro: "Each answer's push on the log-odds of {label} against the other archetypes. Longer bars mattered more.",
+    toward: 'Pushing toward',
+    noneToward: 'No answer favoured this archetype.',
+    away: 'Pulling away',
+    noneAway: 'No answer worked against this archetype.',
+  },
+  profile: {
+    title: 'Inside the {label}',
+    strengths: 'Strengths',
+    blindSpots: 'Blind Spots',
+    work: 'At Work',
+    communicating: 'Communicating',
+    compatible: 'Works Well With',
+  },
+  compare: {
+    title: 'Model Comparison',
+    intro: 'Your answers, read through every registered model.',
+    independent: 'Each bar is the chance of scoring high on that trait, independently of the others.',
+    active: 'Driving the quiz',
+    use: 'Use as Main Model',
+  },
+  whatIf: {
+    title: 'What-if Simulator',
+    intro: 'Adjust any answer to see how the profile would shift. Your submitted result stays as it is.',
+    reset: 'Reset',
+    comparison: 'Submitted → Simulated',
+    flips: 'Prediction flips to {label}.',
+    pathTo: 'Path to',
+    unreachable: 'No combination of answers reaches {label} under this model.',
+    already: 'The simulated answers already predict {label}.',
+    smallest: {
+      one: 'A small change that flips the result: {count} answer.',
+      other: 'A small change that flips the result: {count} answers.',
+    },
+    apply: 'Apply to Simulator',
+  },
+  export: {
+    title: 'Export Insights',
+    close: 'Close',
+    preparing: 'Preparing…',
+    pdf: 'PDF Report',
+    pdfHint: 'Printable A4 page with your archetype, probabilities and answers.',
+    png: 'PNG Image',
+    pngHint: 'The same report as an image, ready to share.',
+    json: 'JSON Data',
+    jsonHint: 'Answers keyed by feature id and probabilities keyed by class.',
+    csv: 'CSV Row',
+    csvHint: 'One spreadsheet row with a header, for collecting results.',
+    copyLink: 'Copy Result Link',
+    copied: 'Link Copied',
+    linkHint: 'Anyone with the link sees these answers and this result.',
+    clipboard: 'Clipboard unavailable; copy the address bar instead.',
+    local: 'Generated on this device. Model v{version}.',
+    reportHeading: 'KNOWYOURSELF · PERSONALITY REPORT',
+    reportFooter: 'Model v{version} · Generated on this device; no data was sent anywhere.',
+  },
+  history: {
+    title: 'Assessment History',
+    saved: {
+      one: 'Stored only on this device. {count} session saved.',
+      other: 'Stored only on this device. {count} sessions saved.',
+    },
+    empty: 'Complete an assessment and it will appear here.',
+    loading: 'Loading history...',
+    unavailable: 'History is unavailable in this browser',
+    probabilities: 'Archetype probabilities',
+    categories: 'Category averages',
+    compare: 'Compare sessions',
+    versus: 'vs',
+    sessions: 'Sessions',
+    deleteAll: 'Delete All',
+    confirmClear: 'Delete every saved assessment on this device?',
+    chartModel: 'Model shown in the chart',
+    model: 'model v{version}',
+    modelNamed: '{name} v{version}',
+    delete: 'Delete session from {date}',
+  },
+  team: {
+    title: 'Team Composition',
+    intro: 'Collect results from a group: each person shares their result link or exported JSON. Everything stays in this browser.',
+    add: 'Add members',
+    importFiles: 'Import exported JSON files',
+    codesPlaceholder: 'One result link or code per line, optionally "Name: link"',
+    addCodes: 'Add Codes',
+    invalidCode: 'Not a result code or link: {line}',
+    unreadable: '{file}: not a readable JSON file',
+    notExport: '{file}: not an exported assessment; expected "inputs" with all {count} answers',
+    badEntry: '{file}: entry {entry} does not hold a full set of {count} answers',
+    members: 'Members ({count})',
+    needTwo: 'Add at least two members to see the team dashboard.',
+    member: 'Member {number}',
+    memberName: 'Name of member {number} (optional)',
+    remove: 'Remove {name}',
+    namesHidden: 'Names hidden',
+    hideNames: 'Hide names',
+    saveRoster: 'Save Roster',
+    clear: 'Clear',
+    distribution: 'Archetype distribution',
+    profile: 'Category profile',
+    teamMean: 'team mean',
+    range: 'shaded: lowest to highest member',
+    deviation: '±1 standard deviation',
+    gaps: 'Gaps',
+    noGaps: 'Every feature has at least one member scoring {score} or more.',
+    categoryGap: 'Nobody averages {score}+ across {category} (best: {best}).',
+    featureGap: 'No one scores high on {feature} (highest answer: {best}).',
+    similarity: 'Pairwise similarity',
+    similarityHint: '100 = identical answers, 0 = opposite extremes on every question.',
+    clusters: 'Clusters',
+    group: 'Group {number}',
+    standsApart: 'Stands apart',
+    strongest: 'Strongest: {category}',
+  },
+  train: {
+    title: 'Train a Model',
+    intro: 'Upload a CSV with the {count} feature columns and a label column. Training runs locally; nothing leaves this browser.',
+    chooseFile: 'Choose labelled CSV',
+    fileSummary: '{rows} rows · {columns} columns',
+    labelColumn: 'Label column',
+    learningRate: 'Learning rate',
+    epochs: 'Epochs',
+    l2: 'L2 (λ)',
+    valFraction: 'Validation share',
+    training: 'Training…',
+    fit: 'Fit Model',
+    placeholder: 'Loss curve, accuracy and the confusion matrix appear here after fitting.',
+    train: 'train',
+    validation: 'validation',
+    progress: 'epoch {epoch} · loss {loss}',
+    trainAccuracy: 'Train acc.',
+    valAccuracy: 'Validation acc.',
+    rowsUsed: 'Rows used',
+    skipped: '{count} skipped',
+    confusion: 'Validation confusion matrix',
+    confusionAxes: 'actual ↓ / predicted →',
+    apply: 'Use in Live Quiz',
+    applied: 'Live in Quiz',
+    download: 'Download Model JSON',
+  },
+  calibration: {
+    title: 'Calibrate Probabilities',
+    intro: 'Optional. Upload labelled rows the model has not seen to fit a temperature that rescales its confidence without changing any prediction.',
+    current: 'Current temperature: {value}.',
+    needModel: 'Load or train a model first.',
+    chooseFile: 'Choose held-out CSV',
+    fit: 'Fit',
+    temperature: 'Temperature',
+    rows: '{count} rows',
+    logLoss: 'Log loss',
+    ece: 'ECE',
+  },
+  a11y: {
+    sliderValue: '{value} of {max}',
+    sliderChanged: '{value} of {max}, was {original}',
+    sliderHint: 'Higher values mean this fits you better: “{statement}”',
+    step: 'Step {step} of {total}: {title}',
+    progress: 'Quiz progress',
+    shortcuts: 'Keyboard: {next} next step · {previous} previous step · {mode} switch answer mode',
+    adaptiveShortcuts: 'Keyboard: {next} next question · {mode} switch answer mode',
+    question: 'Question {number}: {label}',
+    result: 'Result: {label}, {value}.',
+    inconclusive: 'Inconclusive result: {detail}.',
+    reduceMotion: 'Reduce motion',
+    probabilities: 'Archetype probabilities',
+    modelProbabilities: 'Probabilities under {name}',
+    probability: 'Probability',
+    archetype: 'Archetype',
+    predicted: '{label} (predicted)',
+    comparison: 'Submitted and simulated probabilities',
+    submitted: 'Submitted',
+    simulated: 'Simulated',
+  },
+  footer: {
+    privacy: 'Privacy Policy',
+    terms: 'Terms of Service',
+  },
+};
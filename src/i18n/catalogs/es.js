@@ -0,0 +1,396 @@
+// Spanish interface strings. Keys mirror ./en.js.
+export const es = {
+  nav: {
+    technology: 'Tecnología',
+    privacy: 'Privacidad',
+    docs: 'Documentación',
+    history: 'Historial',
+    team: 'Equipo',
+    train: 'Entrenar',
+    contact: 'Contactar soporte',
+    language: 'Idioma',
+  },
+  model: {
+    failedTitle: 'No se pudo cargar el modelo',
+    failedBody: 'El motor de inferencia rechazó el archivo de modelo publicado, así que no se pueden hacer predicciones.',
+    trainLocally: 'Entrenar un modelo localmente',
+    loading: 'Cargando el modelo de inferencia...',
+  },
+  hero: {
+    badge: 'Impulsado por Neural Logic v4.0',
+    titleLead: 'Descifra tu',
+    titleHighlight: 'Conciencia Digital',
+    intro: 'Nuestro motor de aprendizaje automático analiza {count} vectores de comportamiento para construir un perfil psicológico de alta fidelidad. Instantáneo, local y privado.',
+    start: 'Iniciar perfil',
+    adaptive: 'Escaneo adaptativo rápido',
+    methodology: 'Ver metodología',
+    sync: 'Sincronía global',
+    vault: 'Bóveda segura',
+    realtime: 'Tiempo real',
+    insight: 'Análisis profundo',
+  },
+  quiz: {
+    step: 'Calibrando tus coeficientes de comportamiento (paso {step}/{total})',
+    prev: 'Anterior',
+    next: 'Siguiente secuencia',
+    compute: 'Calcular resultados',
+    answerMode: 'Modo de respuesta',
+    questionnaire: 'Cuestionario',
+    sliders: 'Controles expertos',
+    answered: '{answered}/{total} respondidas',
+  },
+  likert: {
+    1: 'Muy en desacuerdo',
+    2: 'En desacuerdo',
+    3: 'Neutral',
+    4: 'De acuerdo',
+    5: 'Muy de acuerdo',
+  },
+  adaptive: {
+    title: 'Escaneo adaptativo',
+    intro: 'Hace primero la pregunta más informativa y se detiene en cuanto la respuesta está clara.',
+    leaning: 'Tendencia: {label}',
+    progress: '{answered} respondidas · {remaining} sin preguntar aún',
+    stopAt: 'Detener en',
+    question: 'Pregunta {number}',
+    finish: 'Terminar ahora',
+    next: 'Siguiente pregunta',
+    locked: 'Ninguna respuesta restante podría cambiar el resultado',
+    reached: 'Confianza alcanzada',
+    summary: {
+      one: 'Respondiste {answered} de {total}; se omitió {count} pregunta.',
+      other: 'Respondiste {answered} de {total}; se omitieron {count} preguntas.',
+    },
+  },
+  loading: {
+    title: 'Sintetizando el perfil neuronal',
+    body: 'Ejecutando la inferencia de regresión logística localmente...',
+  },
+  result: {
+    verified: 'Evaluación verificada',
+    title: '{label}',
+    inconclusive: 'Resultado no concluyente',
+    noArchetype: 'Sin arquetipo claro',
+    either: '{label} o {other}',
+    skipped: 'Escaneo adaptativo: {answered} de {total} respondidas; {skipped} omitidas y completadas con los promedios del modelo.',
+    reset: 'Reiniciar sesión',
+    export: 'Exportar resultados',
+    note: 'Nota de comportamiento',
+    straightLined: 'Tus respuestas son idénticas en todas las categorías, así que todavía no hay un área más fuerte o más débil que describir.',
+    areas: 'Tu área más fuerte es {highest}; la más tranquila, {lowest}.',
+    blend: 'Tus respuestas están cerca tanto de {label} como de {other}; lee ambos perfiles y quédate con lo que te resulte cierto.',
+    fact: '¿Sabías que…?',
+    topArea: 'Tu área principal: {area}',
+  },
+  reliability: {
+    margin: 'Margen entre los dos primeros',
+    marginHint: '{label} por delante de {runnerUp}',
+    entropy: 'Entropía',
+    entropyHint: '100 % significa que todos los arquetipos son igual de probables',
+    straightLined: 'Todas las respuestas tienen el mismo valor, como cuando se recorre el cuestionario sin mover nada. El modelo no tiene con qué distinguir los arquetipos, así que toma este resultado como provisional.',
+    unsure: 'El modelo no logra separar con claridad {label} de {runnerUp}. Tu perfil está entre los dos.',
+    furthest: 'Las respuestas más alejadas de las habituales en el entrenamiento son {list}.',
+    unusual: 'Esta combinación de respuestas es inusual en comparación con los datos de entrenamiento.',
+    extrapolation: 'Aquí las predicciones son extrapolaciones y menos fiables.',
+  },
+  explanation: {
+    title: '¿Por qué {label}?',
+    intro: 'El empuje de cada respuesta sobre las log-odds de {label} frente a los demás arquetipos. Las barras más largas pesaron más.',
+    toward: 'Empujan hacia',
+    noneToward: 'Ninguna respuesta favoreció este arquetipo.',
+    away: 'Alejan',
+    noneAway: 'Ninguna respuesta jugó en contra de este arquetipo.',
+  },
+  profile: {
+    title: 'Por dentro: {label}',
+    strengths: 'Fortalezas',
+    blindSpots: 'Puntos ciegos',
+    work: 'En el trabajo',
+    communicating: 'Al comunicarte',
+    compatible: 'Funciona bien con',
+  },
+  compare: {
+    title: 'Comparación de modelos',
+    intro: 'Tus respuestas, leídas por cada modelo registrado.',
+    independent: 'Cada barra es la probabilidad de puntuar alto en ese rasgo, de forma independiente de los demás.',
+    active: 'Guía el cuestionario',
+    use: 'Usar como modelo principal',
+  },
+  whatIf: {
+    title: 'Simulador hipotético',
+    intro: 'Ajusta cualquier respuesta para ver cómo cambiaría el perfil. Tu resultado enviado no se modifica.',
+    reset: 'Restablecer',
+    comparison: 'Enviado → Simulado',
+    flips: 'La predicción cambia a {label}.',
+    pathTo: 'Camino hacia',
+    unreachable: 'Ninguna combinación de respuestas llega a {label} con este modelo.',
+    already: 'Las respuestas simuladas ya predicen {label}.',
+    smallest: {
+      one: 'Un cambio pequeño que invierte el resultado: {count} respuesta.',
+      other: 'Un cambio pequeño que invierte el resultado: {count} respuestas.',
+    },
+    apply: 'Aplicar al simulador',
+  },
+  export: {
+    title: 'Exportar resultados',
+    close: 'Cerrar',
+    preparing: 'Preparando…',
+    pdf: 'Informe PDF',
+    pdfHint: 'Página A4 imprimible con tu arquetipo, probabilidades y respuestas.',
+    png: 'Imagen PNG',
+    pngHint: 'El mismo informe como imagen, listo para compartir.',
+    json: 'Datos JSON',
+    jsonHint: 'Respuestas por id de rasgo y probabilidades por clase.',
+    csv: 'Fila CSV',
+    csvHint: 'Una fila de hoja de cálculo con encabezado, para recopilar resultados.',
+    copyLink: 'Copiar enlace al resultado',
+    copied: 'Enlace copiado',
+    linkHint: 'Cualquiera con el enlace verá estas respuestas y este resultado.',
+    clipboard: 'Portapapeles no disponible; copia la barra de direcciones.',
+    local: 'Generado en este dispositivo. Modelo v{version}.',
+    reportHeading: 'KNOWYOURSELF · INFORME DE PERSONALIDAD',
+    reportFooter: 'Modelo v{version} · Generado en este dispositivo; no se envió ningún dato.',
+  },
+  history: {
+    title: 'Historial de evaluaciones',
+    saved: {
+      one: 'Guardado solo en este dispositivo. {count} sesión guardada.',
+      other: 'Guardado solo en este dispositivo. {count} sesiones guardadas.',
+    },
+    empty: 'Completa una evaluación y aparecerá aquí.',
+    loading: 'Cargando el historial...',
+    unavailable: 'El historial no está disponible en este navegador',
+    probabilities: 'Probabilidades por arquetipo',
+    categories: 'Promedios por categoría',
+    compare: 'Comparar sesiones',
+    versus: 'frente a',
+    sessions: 'Sesiones',
+    deleteAll: 'Borrar todo',
+    confirmClear: '¿Borrar todas las evaluaciones guardadas en este dispositivo?',
+    chartModel: 'Modelo mostrado en el gráfico',
+    model: 'modelo v{version}',
+    modelNamed: '{name} v{version}',
+    delete: 'Borrar la sesión del {date}',
+  },
+  team: {
+    title: 'Composición del equipo',
+    intro: 'Reúne los resultados de un grupo: cada persona comparte su enlace de resultado o su JSON exportado. Todo se queda en este navegador.',
+    add: 'Añadir miembros',
+    importFiles: 'Importar archivos JSON exportados',
+    codesPlaceholder: 'Un enlace o código de resultado por línea, opcionalmente "Nombre: enlace"',
+    addCodes: 'Añadir códigos',
+    invalidCode: 'No es un código ni un enlace de resultado: {line}',
+    unreadable: '{file}: no es un archivo JSON legible',
+    notExport: '{file}: no es una evaluación exportada; se esperaba "inputs" con las {count} respuestas',
+    badEntry: '{file}: la entrada {entry} no contiene las {count} respuestas completas',
+    members: 'Miembros ({count})',
+    needTwo: 'Añade al menos dos miembros para ver el panel del equipo.',
+    member: 'Miembro {number}',
+    memberName: 'Nombre del miembro {number} (opcional)',
+    remove: 'Quitar a {name}',
+    namesHidden: 'Nombres ocultos',
+    hideNames: 'Ocultar nombres',
+    saveRoster: 'Guardar lista',
+    clear: 'Vaciar',
+    distribution: 'Distribución de arquetipos',
+    profile: 'Perfil por categoría',
+    teamMean: 'media del equipo',
+    range: 'sombreado: del miembro más bajo al más alto',
+    deviation: '±1 desviación estándar',
+    gaps: 'Carencias',
+    noGaps: 'Cada rasgo tiene al menos un miembro con {score} o más.',
+    categoryGap: 'Nadie promedia {score}+ en {category} (máximo: {best}).',
+    featureGap: 'Nadie puntúa alto en {feature} (respuesta más alta: {best}).',
+    similarity: 'Similitud por parejas',
+    similarityHint: '100 = respuestas idénticas, 0 = extremos opuestos en todas las preguntas.',
+    clusters: 'Grupos',
+    group: 'Grupo {number}',
+    standsApart: 'Va por libre',
+    strongest: 'Más fuerte: {category}',
+  },
+  train: {
+    title: 'Entrenar un modelo',
+    intro: 'Sube un CSV con las {count} columnas de rasgos y una columna de etiqueta. El entrenamiento se ejecuta localmente; nada sale de este navegador.',
+    chooseFile: 'Elegir CSV etiquetado',
+    fileSummary: '{rows} filas · {columns} columnas',
+    labelColumn: 'Columna de etiqueta',
+    learningRate: 'Tasa de aprendizaje',
+    epochs: 'Épocas',
+    l2: 'L2 (λ)',
+    valFraction: 'Proporción de validación',
+    training: 'Entrenando…',
+    fit: 'Ajustar modelo',
+    placeholder: 'La curva de pérdida, la exactitud y la matriz de confusión aparecen aquí tras el ajuste.',
+    train: 'entrenamiento',
+    validation: 'validación',
+    progress: 'época {epoch} · pérdida {loss}',
+    trainAccuracy: 'Exactitud entren.',
+    valAccuracy: 'Exactitud valid.',
+    rowsUsed: 'Filas usadas',
+    skipped: '{count} omitidas',
+    confusion: 'Matriz de confusión de validación',
+    confusionAxes: 'real ↓ / predicho →',
+    apply: 'Usar en el cuestionario',
+    applied: 'En uso en el cuestionario',
+    download: 'Descargar JSON del modelo',
+  },
+  calibration: {
+    title: 'Calibrar probabilidades',
+    intro: 'Opcional. Sube filas etiquetadas que el modelo no haya visto para ajustar una temperatura que reescala su confianza sin cambiar ninguna predicción.',
+    current: 'Temperatura actual: {value}.',
+    needModel: 'Carga o entrena un modelo primero.',
+    chooseFile: 'Elegir CSV reservado',
+    fit: 'Ajustar',
+    temperature: 'Temperatura',
+    rows: '{count} filas',
+    logLoss: 'Pérdida logarítmica',
+    ece: 'ECE',
+  },
+  a11y: {
+    sliderValue: '{value} de {max}',
+    sliderChanged: '{value} de {max}, antes {original}',
+    sliderHint: 'Cuanto más alto, mejor te describe: «{statement}»',
+    step: 'Paso {step} de {total}: {title}',
+    progress: 'Progreso del cuestionario',
+    shortcuts: 'Teclado: {next} paso siguiente · {previous} paso anterior · {mode} cambiar modo de respuesta',
+    adaptiveShortcuts: 'Teclado: {next} siguiente pregunta · {mode} cambiar modo de respuesta',
+    question: 'Pregunta {number}: {label}',
+    result: 'Resultado: {label}, {value}.',
+    inconclusive: 'Resultado no concluyente: {detail}.',
+    reduceMotion: 'Reducir movimiento',
+    probabilities: 'Probabilidades por arquetipo',
+    modelProbabilities: 'Probabilidades según {name}',
+    probability: 'Probabilidad',
+    archetype: 'Arquetipo',
+    predicted: '{label} (predicho)',
+    comparison: 'Probabilidades enviadas y simuladas',
+    submitted: 'Enviado',
+    simulated: 'Simulado',
+  },
+  footer: {
+    privacy: 'Política de privacidad',
+    terms: 'Términos del servicio',
+  },
+
+  features: {
+    social_energy: 'Energía social',
+    alone_time_preference: 'Sesgo de aislamiento',
+    talkativeness: 'Flujo verbal',
+    group_comfort: 'Sincronía colectiva',
+    party_liking: 'Estimulación externa',
+    friendliness: 'Afabilidad social',
+    listening_skill: 'Receptividad',
+    empathy: 'Resonancia emocional',
+    online_social_usage: 'Huella digital',
+    deep_reflection: 'Procesamiento interno',
+    curiosity: 'Cociente de curiosidad',
+    reading_habit: 'Consumo de información',
+    decision_speed: 'Latencia de decisión',
+    risk_taking: 'Tolerancia a la varianza',
+    excitement_seeking: 'Impulso de dopamina',
+    adventurousness: 'Sesgo de novedad',
+    spontaneity: 'Factor de entropía',
+    travel_desire: 'Deriva geográfica',
+    organization: 'Lógica de sistema',
+    planning: 'Proyección futura',
+    routine_preference: 'Estabilidad de ciclos',
+    sports_interest: 'Impulso cinético',
+    gadget_usage: 'Integración tecnológica',
+    leadership: 'Posición jerárquica',
+    public_speaking_comfort: 'Confianza al hablar en público',
+    work_style_collaborative: 'Integración con pares',
+  },
+  categories: {
+    social: 'Firma social',
+    cognitive: 'Patrones neuronales',
+    behavioral: 'Vector de impulso',
+    lifestyle: 'Entorno',
+  },
+  classes: {
+    'Analytical Introvert': 'Introvertido analítico',
+    'Adaptive Ambivert': 'Ambivertido adaptable',
+    'Dynamic Extrovert': 'Extrovertido dinámico',
+    Openness: 'Apertura',
+    Conscientiousness: 'Responsabilidad',
+    Extraversion: 'Extraversión',
+    Agreeableness: 'Amabilidad',
+    'Emotional Sensitivity': 'Sensibilidad emocional',
+    Strategist: 'Estratega',
+    Executor: 'Ejecutor',
+    Connector: 'Conector',
+    Explorer: 'Explorador',
+  },
+  classDescriptions: {
+    'Analytical Introvert': 'Recarga energía en soledad y prefiere la profundidad, la reflexión y el análisis cuidadoso.',
+    'Adaptive Ambivert': 'Se mueve con soltura entre el modo social y el solitario según el contexto.',
+    'Dynamic Extrovert': 'Obtiene energía de las personas, la novedad y la acción.',
+    Openness: 'Atraído por las ideas, la novedad y las experiencias nuevas.',
+    Conscientiousness: 'Organizado, reflexivo y fiable con sus compromisos.',
+    Extraversion: 'Se llena de energía con la gente, la conversación y la actividad.',
+    Agreeableness: 'Cálido, cooperativo y atento a los demás.',
+    'Emotional Sensitivity': 'Siente con intensidad la presión y la incertidumbre; cauteloso bajo estrés.',
+    Strategist: 'Piensa varias jugadas por adelantado y prefiere entender antes de actuar.',
+    Executor: 'Convierte los planes en resultados mediante estructura y constancia.',
+    Connector: 'Saca el trabajo adelante a través de las personas, la conversación y los objetivos compartidos.',
+    Explorer: 'Disfruta de los experimentos, el cambio y los problemas desconocidos.',
+  },
+  models: {
+    personality: { name: 'Arquetipo de personalidad', description: 'Dónde te sitúas en el espectro introvertido-extrovertido.' },
+    'big-five': { name: 'Rasgos de los Cinco Grandes', description: 'Probabilidad independiente de puntuar alto en cada rasgo al estilo de los Cinco Grandes.' },
+    'work-style': { name: 'Estilo de trabajo', description: 'Cómo sueles contribuir al trabajo en equipo.' },
+  },
+  questions: {
+    'social_energy.1': 'Pasar tiempo con otras personas me llena de energía.',
+    'social_energy.2': 'Después de un día social intenso necesito tiempo para recargarme.',
+    'alone_time_preference.1': 'Espero con ganas las tardes a solas.',
+    'alone_time_preference.2': 'Me inquieto cuando paso demasiado tiempo solo.',
+    'talkativeness.1': 'Normalmente soy quien más habla en las conversaciones.',
+    'talkativeness.2': 'Suelo quedarme callado salvo que tenga algo concreto que decir.',
+    'group_comfort.1': 'Me siento a gusto en grupos grandes.',
+    'group_comfort.2': 'Prefiero las conversaciones cara a cara a los encuentros en grupo.',
+    'party_liking.1': 'Disfruto de las fiestas y las reuniones animadas.',
+    'party_liking.2': 'Los eventos sociales ruidosos me agotan enseguida.',
+    'friendliness.1': 'Me resulta fácil entablar conversación con desconocidos.',
+    'friendliness.2': 'Me cuesta un tiempo abrirme con gente nueva.',
+    'listening_skill.1': 'La gente suele decirme que sé escuchar.',
+    'listening_skill.2': 'Me sorprendo preparando mi respuesta mientras los demás siguen hablando.',
+    'empathy.1': 'Normalmente percibo cómo se siente alguien sin que me lo diga.',
+    'empathy.2': 'El estado de ánimo de los demás rara vez afecta al mío.',
+    'online_social_usage.1': 'Miro las redes sociales varias veces al día.',
+    'online_social_usage.2': 'Podría pasar una semana sin redes sociales sin problema.',
+    'deep_reflection.1': 'A menudo le doy vueltas a mis experiencias mucho después de vivirlas.',
+    'deep_reflection.2': 'Prefiero actuar a analizar.',
+    'curiosity.1': 'Me encanta descubrir cómo funcionan las cosas.',
+    'curiosity.2': 'Rara vez busco información sobre lo que no entiendo.',
+    'reading_habit.1': 'Leo libros o artículos largos casi todas las semanas.',
+    'reading_habit.2': 'Prefiero ver un resumen antes que leer el original.',
+    'decision_speed.1': 'Tomo decisiones rápido y sigo adelante.',
+    'decision_speed.2': 'Me gusta consultar con la almohada las decisiones importantes.',
+    'risk_taking.1': 'Estoy dispuesto a arriesgar por una recompensa mayor.',
+    'risk_taking.2': 'Prefiero la opción segura, aunque rinda menos.',
+    'excitement_seeking.1': 'Busco experiencias emocionantes.',
+    'excitement_seeking.2': 'Los días tranquilos y previsibles son los que mejor me sientan.',
+    'adventurousness.1': 'Me gusta probar comidas, lugares y actividades que nunca he probado.',
+    'adventurousness.2': 'Me quedo con lo que sé que me gusta.',
+    'spontaneity.1': 'A menudo cambio de planes sobre la marcha.',
+    'spontaneity.2': 'Me molestan los cambios de última hora en mis planes.',
+    'travel_desire.1': 'Siempre estoy pensando en mi próximo viaje.',
+    'travel_desire.2': 'Donde más feliz estoy es cerca de casa.',
+    'organization.1': 'Mantengo mi espacio y mis archivos bien organizados.',
+    'organization.2': 'A menudo pierdo cosas que necesito.',
+    'planning.1': 'Planifico mi semana con antelación.',
+    'planning.2': 'Prefiero vivir cada día según venga.',
+    'routine_preference.1': 'Me gusta tener una rutina diaria fija.',
+    'routine_preference.2': 'Hacer lo mismo todos los días me aburre.',
+    'sports_interest.1': 'Practico o sigo deportes con regularidad.',
+    'sports_interest.2': 'El deporte no me interesa mucho.',
+    'gadget_usage.1': 'Disfruto probando dispositivos y aplicaciones nuevos.',
+    'gadget_usage.2': 'Solo cambio mis dispositivos cuando dejan de funcionar.',
+    'leadership.1': 'Tomo el mando de forma natural cuando un grupo necesita dirección.',
+    'leadership.2': 'Prefiero que lidere otra persona.',
+    'public_speaking_comfort.1': 'Me siento cómodo hablando ante un público.',
+    'public_speaking_comfort.2': 'Presentar ante una sala me pone muy nervioso.',
+    'work_style_collaborative.1': 'Trabajo mejor como parte de un equipo.',
+    'work_style_collaborative.2': 'Prefiero trabajar de forma independiente.',
+  },
+};
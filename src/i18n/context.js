@@ -0,0 +1,8 @@
+import { createContext, useContext } from 'react';
+import { createTranslator } from './translate.js';
+
+// I18nProvider supplies `{ ...createTranslator(locale), setLocale }`; the
+// default lets components render in English outside the provider.
+export const I18nContext = createContext({ ...createTranslator(), setLocale: () => {} });
+
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,36 @@
+// Languages the interface ships in. `dir` drives the <html dir> attribute,
+// so right-to-left scripts lay out correctly with logical CSS utilities.
+export const LOCALES = [
+  { id: 'en', name: 'English', dir: 'ltr' },
+  { id: 'es', name: 'Español', dir: 'ltr' },
+  { id: 'ar', name: 'العربية', dir: 'rtl' },
+];
+
+export const DEFAULT_LOCALE = 'en';
+
+const STORAGE_KEY = 'knowyourself.locale';
+
+export const localeInfo = id => LOCALES.find(l => l.id === id) ?? LOCALES.find(l => l.id === DEFAULT_LOCALE);
+
+// First supported language among BCP 47 tags such as 'es-MX' or 'ar'.
+export const matchLocale = (tags = []) =>
+  tags
+    .map(tag => String(tag).toLowerCase().split('-')[0])
+    .find(lang => LOCALES.some(l => l.id === lang))
+  ?? DEFAULT_LOCALE;
+
+// The saved choice wins over the browser languages. Storage may be blocked
+// (private browsing, sandboxed iframes), so failures fall through silently.
+export const initialLocale = () => {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    if (LOCALES.some(l => l.id === saved)) return saved;
+  } catch { /* ignore */ }
+  return matchLocale(navigator.languages ?? [navigator.language]);
+};
+
+export const saveLocale = (id) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, id);
+  } catch { /* ignore */ }
+};
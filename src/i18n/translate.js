@@ -0,0 +1,82 @@
+import { FEATURE_METADATA } from '../engine/features.js';
+import { CATEGORIES } from '../categories.js';
+import { DEFAULT_LOCALE, localeInfo } from './locales.js';
+import { en } from './catalogs/en.js';
+import { es } from './catalogs/es.js';
+import { ar } from './catalogs/ar.js';
+
+export const CATALOGS = { en, es, ar };
+
+const lookup = (catalog, key) =>
+  key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+
+/**
+ * Builds the translation helpers for one locale. Catalog keys are dotted
+ * paths ('result.verified'); a key missing from the locale falls back to
+ * English, then to the key itself. `{name}` placeholders are filled from
+ * `params`, with numbers formatted for the locale. A value may be an object
+ * of Intl.PluralRules categories ({ one, other, ... }) chosen by
+ * `params.count`.
+ *
+ * Feature ids, category ids and class names are never translated in data;
+ * `feature`, `category`, `className` and `question` only change what is
+ * displayed, falling back to the canonical English text.
+ */
+export const createTranslator = (locale = DEFAULT_LOCALE) => {
+  const { id, dir } = localeInfo(locale);
+  const catalog = CATALOGS[id];
+  const plurals = new Intl.PluralRules(id);
+  const numberFormat = new Intl.NumberFormat(id, { maximumFractionDigits: 2 });
+  const fixedFormats = {};
+  const percentFormats = {};
+
+  // Up to two decimals by default; `digits` fixes the count ("0.4312", "0,4312").
+  const number = (value, digits) => {
+    if (digits === undefined) return numberFormat.format(value);
+    fixedFormats[digits] ??= new Intl.NumberFormat(id, {
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
+    });
+    return fixedFormats[digits].format(value);
+  };
+
+  // Shares in [0, 1] as locale-formatted percentages ("45.3%", "45,3 %", "45.3‎%‎").
+  const percent = (value, digits = 1) => {
+    percentFormats[digits] ??= new Intl.NumberFormat(id, {
+      style: 'percent',
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
+    });
+    return percentFormats[digits].format(value);
+  };
+
+  const resolve = key => lookup(catalog, key) ?? lookup(en, key);
+
+  const t = (key, params = {}) => {
+    let value = resolve(key);
+    if (value && typeof value === 'object') {
+      value = value[plurals.select(params.count ?? 0)] ?? value.other;
+    }
+    if (typeof value !== 'string') return key;
+    return value.replace(/\{(\w+)\}/g, (match, name) => {
+      const param = params[name];
+      if (param === undefined) return match;
+      return typeof param === 'number' ? number(param) : String(param);
+    });
+  };
+
+  const feature = featureId =>
+    resolve(`features.${featureId}`) ?? FEATURE_METADATA.find(f => f.id === featureId)?.label ?? featureId;
+  const category = categoryId =>
+    resolve(`categories.${categoryId}`) ?? CATEGORIES.find(c => c.id === categoryId)?.title ?? categoryId;
+  const className = name => catalog.classes?.[name] ?? en.classes?.[name] ?? name;
+  const classDescription = (name, fallback) => catalog.classDescriptions?.[name] ?? fallback;
+  const question = item => catalog.questions?.[item.id] ?? item.text;
+  // Registry entries keep their manifest name and description as the fallback.
+  const model = entry => ({
+    name: catalog.models?.[entry.id]?.name ?? entry.name,
+    description: catalog.models?.[entry.id]?.description ?? entry.description,
+  });
+
+  return { locale: id, dir, t, number, percent, feature, category, className, classDescription, question, model };
+};
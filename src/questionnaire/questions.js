@@ -0,0 +1,121 @@
+/**
+ * Plain-language statements for each FEATURE_METADATA id. Users rate each one
+ * on LIKERT_SCALE; `reverse: true` marks items where agreeing means a LOWER
+ * feature value. Item ids are stable so saved responses stay meaningful when
+ * wording changes.
+ */
+
+export const LIKERT_SCALE = [
+  { value: 1, label: 'Strongly disagree' },
+  { value: 2, label: 'Disagree' },
+  { value: 3, label: 'Neutral' },
+  { value: 4, label: 'Agree' },
+  { value: 5, label: 'Strongly agree' },
+];
+
+export const QUESTION_BANK = {
+  social_energy: [
+    { id: 'social_energy.1', text: 'Spending time with people leaves me feeling energised.' },
+    { id: 'social_energy.2', text: 'After a busy social day I need time to recharge.', reverse: true },
+  ],
+  alone_time_preference: [
+    { id: 'alone_time_preference.1', text: 'I look forward to evenings on my own.' },
+    { id: 'alone_time_preference.2', text: 'I get restless when I spend too long by myself.', reverse: true },
+  ],
+  talkativeness: [
+    { id: 'talkativeness.1', text: 'I usually do a lot of the talking in conversations.' },
+    { id: 'talkativeness.2', text: 'I tend to stay quiet unless I have something specific to say.', reverse: true },
+  ],
+  group_comfort: [
+    { id: 'group_comfort.1', text: 'I feel at ease in large groups.' },
+    { id: 'group_comfort.2', text: 'I prefer one-on-one conversations to group settings.', reverse: true },
+  ],
+  party_liking: [
+    { id: 'party_liking.1', text: 'I enjoy parties and lively gatherings.' },
+    { id: 'party_liking.2', text: 'Loud social events wear me out quickly.', reverse: true },
+  ],
+  friendliness: [
+    { id: 'friendliness.1', text: 'I find it easy to strike up a conversation with strangers.' },
+    { id: 'friendliness.2', text: 'It takes me a while to warm up to new people.', reverse: true },
+  ],
+  listening_skill: [
+    { id: 'listening_skill.1', text: 'People often tell me I am a good listener.' },
+    { id: 'listening_skill.2', text: 'I catch myself planning my reply while others are still talking.', reverse: true },
+  ],
+  empathy: [
+    { id: 'empathy.1', text: 'I can usually sense how someone is feeling without being told.' },
+    { id: 'empathy.2', text: "Other people's moods rarely affect mine.", reverse: true },
+  ],
+  online_social_usage: [
+    { id: 'online_social_usage.1', text: 'I check social media several times a day.' },
+    { id: 'online_social_usage.2', text: 'I could easily go a week without social media.', reverse: true },
+  ],
+  deep_reflection: [
+    { id: 'deep_reflection.1', text: 'I often think over my experiences long after they happen.' },
+    { id: 'deep_reflection.2', text: 'I prefer acting to analysing.', reverse: true },
+  ],
+  curiosity: [
+    { id: 'curiosity.1', text: 'I love finding out how things work.' },
+    { id: 'curiosity.2', text: 'I rarely look up things I do not understand.', reverse: true },
+  ],
+  reading_habit: [
+    { id: 'reading_habit.1', text: 'I read books or long articles most weeks.' },
+    { id: 'reading_habit.2', text: 'I would rather watch a summary than read the original.', reverse: true },
+  ],
+  decision_speed: [
+    { id: 'decision_speed.1', text: 'I make decisions quickly and move on.' },
+    { id: 'decision_speed.2', text: 'I like to sleep on important decisions.', reverse: true },
+  ],
+  risk_taking: [
+    { id: 'risk_taking.1', text: 'I am willing to take risks for a bigger reward.' },
+    { id: 'risk_taking.2', text: 'I prefer the safe option, even if it pays less.', reverse: true },
+  ],
+  excitement_seeking: [
+    { id: 'excitement_seeking.1', text: 'I seek out thrilling experiences.' },
+    { id: 'excitement_seeking.2', text: 'Calm, predictable days suit me best.', reverse: true },
+  ],
+  adventurousness: [
+    { id: 'adventurousness.1', text: 'I like trying foods, places and activities I have never tried before.' },
+    { id: 'adventurousness.2', text: 'I stick to what I know I like.', reverse: true },
+  ],
+  spontaneity: [
+    { id: 'spontaneity.1', text: 'I often change plans on the spur of the moment.' },
+    { id: 'spontaneity.2', text: 'Last-minute changes to my plans bother me.', reverse: true },
+  ],
+  travel_desire: [
+    { id: 'travel_desire.1', text: 'I am always thinking about my next trip.' },
+    { id: 'travel_desire.2', text: 'I am happiest close to home.', reverse: true },
+  ],
+  organization: [
+    { id: 'organization.1', text: 'I keep my space and files well organised.' },
+    { id: 'organization.2', text: 'I often misplace things I need.', reverse: true },
+  ],
+  planning: [
+    { id: 'planning.1', text: 'I plan my week in advance.' },
+    { id: 'planning.2', text: 'I prefer to take each day as it comes.', reverse: true },
+  ],
+  routine_preference: [
+    { id: 'routine_preference.1', text: 'I like having a fixed daily routine.' },
+    { id: 'routine_preference.2', text: 'Doing the same thing every day bores me.', reverse: true },
+  ],
+  sports_interest: [
+    { id: 'sports_interest.1', text: 'I regularly play or follow sports.' },
+    { id: 'sports_interest.2', text: 'Sport does not interest me much.', reverse: true },
+  ],
+  gadget_usage: [
+    { id: 'gadget_usage.1', text: 'I enjoy trying out new gadgets and apps.' },
+    { id: 'gadget_usage.2', text: 'I only upgrade my devices when they stop working.', reverse: true },
+  ],
+  leadership: [
+    { id: 'leadership.1', text: 'I naturally take charge when a group needs direction.' },
+    { id: 'leadership.2', text: 'I prefer to let someone else lead.', reverse: true },
+  ],
+  public_speaking_comfort: [
+    { id: 'public_speaking_comfort.1', text: 'I am comfortable speaking in front of an audience.' },
+    { id: 'public_speaking_comfort.2', text: 'Presenting to a room makes me very nervous.', reverse: true },
+  ],
+  work_style_collaborative: [
+    { id: 'work_style_collaborative.1', text: 'I do my best work as part of a team.' },
+    { id: 'work_style_collaborative.2', text: 'I prefer to work independently.', reverse: true },
+  ],
+};
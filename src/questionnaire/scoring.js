@@ -0,0 +1,28 @@
+import { QUESTION_BANK, LIKERT_SCALE } from './questions.js';
+
+const MIN = LIKERT_SCALE[0].value;
+const MAX = LIKERT_SCALE.at(-1).value;
+
+/**
+ * Converts the Likert responses for one feature into the 0-10 value the model
+ * expects: reverse-keyed items are flipped, each response is mapped linearly
+ * onto 0-10 and the item scores are averaged. Returns null when none of the
+ * feature's items have been answered yet.
+ */
+export const featureScore = (featureId, responses) => {
+  const scores = (QUESTION_BANK[featureId] ?? [])
+    .filter(item => responses[item.id] !== undefined)
+    .map(item => {
+      const raw = responses[item.id];
+      const keyed = item.reverse ? MAX + MIN - raw : raw;
+      return ((keyed - MIN) / (MAX - MIN)) * 10;
+    });
+  if (!scores.length) return null;
+  return Math.round(scores.reduce((a, b) => a + b, 0) / scores.length);
+};
+
+// Number of answered items for a feature, out of how many exist.
+export const featureProgress = (featureId, responses) => {
+  const items = QUESTION_BANK[featureId] ?? [];
+  return { answered: items.filter(item => responses[item.id] !== undefined).length, total: items.length };
+};
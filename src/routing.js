@@ -0,0 +1,60 @@
+import { FEATURE_METADATA } from './engine/features.js';
+
+/**
+ * URL state lives in the hash so it never reaches a server:
+ *
+ *   #/                      hero
+ *   #/quiz/2?a=<answers>    quiz step 2 (1-based) with the answers so far
+ *   #/adaptive              adaptive short-form quiz
+ *   #/result?a=<answers>    result for the given answers
+ *   #/train                 training view
+ *   #/history               saved assessments
+ *   #/team                  team composition (workshop) view
+ *
+ * <answers> is one base-11 digit per feature in FEATURE_METADATA order
+ * (0-9, then "a" for 10), so a full answer set is 26 characters.
+ */
+
+const DIGITS = '0123456789a';
+
+export const encodeAnswers = (inputs) =>
+  FEATURE_METADATA.map(f => DIGITS[inputs[f.id]] ?? '0').join('');
+
+// Returns null unless `code` is exactly one valid digit per feature.
+export const decodeAnswers = (code) => {
+  if (typeof code !== 'string' || code.length !== FEATURE_METADATA.length) return null;
+  const values = [...code.toLowerCase()].map(ch => DIGITS.indexOf(ch));
+  if (values.some(v => v === -1)) return null;
+  return FEATURE_METADATA.reduce((acc, feat, i) => ({ ...acc, [feat.id]: values[i] }), {});
+};
+
+/**
+ * Reads a location hash into `{ view, step, inputs }`. `inputs` is null when
+ * the hash carries no (valid) answers; a result link without answers falls
+ * back to the hero view.
+ */
+export const parseHash = (hash, stepCount) => {
+  const [path, query = ''] = hash.replace(/^#/, '').split('?');
+  const inputs = decodeAnswers(new URLSearchParams(query).get('a'));
+  const [, section, stepParam] = path.split('/');
+
+  if (section === 'quiz') {
+    const step = Math.min(Math.max(parseInt(stepParam, 10) || 1, 1), stepCount) - 1;
+    return { view: 'quiz', step, inputs };
+  }
+  if (section === 'result' && inputs) return { view: 'result', step: stepCount - 1, inputs };
+  if (['adaptive', 'train', 'history', 'team'].includes(section)) return { view: section, step: 0, inputs };
+  return { view: 'hero', step: 0, inputs };
+};
+
+// Inverse of parseHash. The transient 'loading' view has no URL of its own.
+export const buildHash = ({ view, step, inputs }) => {
+  const answers = `?a=${encodeAnswers(inputs)}`;
+  if (view === 'quiz') return `#/quiz/${step + 1}${answers}`;
+  if (view === 'result') return `#/result${answers}`;
+  if (['adaptive', 'train', 'history', 'team'].includes(view)) return `#/${view}`;
+  return '#/';
+};
+
+// The part of a hash that identifies a page, ignoring the answers.
+export const routeOf = (hash) => hash.split('?')[0];
@@ -0,0 +1,83 @@
+import { CATEGORIES, categoryAverages } from '../categories.js';
+import { FEATURE_METADATA, SLIDER_MIN, SLIDER_MAX } from '../engine/features.js';
+import { predictPersonality } from '../engine/predict.js';
+
+// Answers at or above this count as "high" when looking for team gaps.
+export const HIGH_SCORE = 7;
+
+// Members at least this similar end up in the same cluster.
+export const CLUSTER_SIMILARITY = 0.75;
+
+const MAX_DISTANCE = Math.sqrt(FEATURE_METADATA.length) * (SLIDER_MAX - SLIDER_MIN);
+
+/**
+ * 1 for identical answers, 0 for opposite extremes on every feature: one
+ * minus the Euclidean distance between the two answer vectors, relative to
+ * the largest possible distance.
+ */
+export const similarity = (a, b) => {
+  const squared = FEATURE_METADATA.reduce((acc, f) => acc + (a[f.id] - b[f.id]) ** 2, 0);
+  return 1 - Math.sqrt(squared) / MAX_DISTANCE;
+};
+
+export const similarityMatrix = members =>
+  members.map(a => members.map(b => similarity(a.inputs, b.inputs)));
+
+// Each member's prediction under the current model, counted per class.
+export const archetypeDistribution = (members, modelParams) => {
+  const counts = Object.fromEntries(modelParams.classes.map(cls => [cls, 0]));
+  members.forEach(m => { counts[predictPersonality(m.inputs, modelParams).label]++; });
+  return modelParams.classes.map(cls => ({ label: cls, count: counts[cls] }));
+};
+
+/**
+ * Mean, spread (standard deviation) and range of the members' category
+ * averages, one entry per CATEGORIES item.
+ */
+export const categorySpread = (members) => {
+  const averages = members.map(m => categoryAverages(m.inputs));
+  return CATEGORIES.map(cat => {
+    const values = averages.map(avg => avg[cat.id]);
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const std = Math.sqrt(values.reduce((acc, v) => acc + (v - mean) ** 2, 0) / values.length);
+    return { ...cat, mean, std, min: Math.min(...values), max: Math.max(...values) };
+  });
+};
+
+/**
+ * Average-linkage agglomerative clustering: starts with every member on
+ * their own and keeps merging the two most similar clusters while their
+ * average pairwise similarity is at least `threshold`. Returns clusters as
+ * lists of member indices, largest first.
+ */
+export const clusterMembers = (matrix, threshold = CLUSTER_SIMILARITY) => {
+  let clusters = matrix.map((_, i) => [i]);
+  const linkage = (a, b) =>
+    a.reduce((acc, i) => acc + b.reduce((s, j) => s + matrix[i][j], 0), 0) / (a.length * b.length);
+
+  for (;;) {
+    let best = null;
+    for (let x = 0; x < clusters.length; x++) {
+      for (let y = x + 1; y < clusters.length; y++) {
+        const score = linkage(clusters[x], clusters[y]);
+        if (score >= threshold && (!best || score > best.score)) best = { x, y, score };
+      }
+    }
+    if (!best) break;
+    const merged = [...clusters[best.x], ...clusters[best.y]].sort((a, b) => a - b);
+    clusters = [...clusters.filter((_, i) => i !== best.x && i !== best.y), merged];
+  }
+  return clusters.sort((a, b) => b.length - a.length || a[0] - b[0]);
+};
+
+/**
+ * What nobody on the team brings: features where no member answered
+ * HIGH_SCORE or more, and categories where no member's average reaches it.
+ */
+export const findGaps = (members) => {
+  const features = FEATURE_METADATA
+    .map(f => ({ ...f, best: Math.max(...members.map(m => m.inputs[f.id])) }))
+    .filter(f => f.best < HIGH_SCORE);
+  const categories = categorySpread(members).filter(cat => cat.max < HIGH_SCORE);
+  return { features, categories };
+};
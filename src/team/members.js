@@ -0,0 +1,77 @@
+import { FEATURE_METADATA, SLIDER_MIN, SLIDER_MAX } from '../engine/features.js';
+import { decodeAnswers, parseHash } from '../routing.js';
+
+const validInputs = inputs =>
+  inputs && typeof inputs === 'object'
+  && FEATURE_METADATA.every(f => Number.isInteger(inputs[f.id]) && inputs[f.id] >= SLIDER_MIN && inputs[f.id] <= SLIDER_MAX);
+
+const pickInputs = inputs => Object.fromEntries(FEATURE_METADATA.map(f => [f.id, inputs[f.id]]));
+
+/**
+ * Thrown by parseMemberJson. `key` names the catalog message and `params`
+ * fills it in, so the team view can word the problem in the interface
+ * language.
+ */
+export class MemberFileError extends Error {
+  constructor(key, params = {}) {
+    super(key);
+    this.key = key;
+    this.params = params;
+  }
+}
+
+/**
+ * Reads an imported JSON file into team members `{ name, inputs }`. Accepts
+ * a single exported assessment (see buildExportRecord), an array of them, or
+ * a saved roster (`{ members: [...] }`). Only the answers are kept: each
+ * member is re-scored with the current model so everyone is compared on the
+ * same footing. `name` is optional and may be blank. Throws a
+ * MemberFileError when the file holds anything else.
+ */
+export const parseMemberJson = (raw) => {
+  const list = Array.isArray(raw) ? raw : Array.isArray(raw?.members) ? raw.members : [raw];
+  const bad = list.findIndex(entry => !validInputs(entry?.inputs));
+  if (!list.length || bad !== -1) {
+    throw list.length > 1
+      ? new MemberFileError('team.badEntry', { entry: bad + 1, count: FEATURE_METADATA.length })
+      : new MemberFileError('team.notExport', { count: FEATURE_METADATA.length });
+  }
+  return list.map(entry => ({
+    name: typeof entry.name === 'string' ? entry.name : '',
+    inputs: pickInputs(entry.inputs),
+  }));
+};
+
+// Answers from a bare code, or from the hash of a result link. Anything else
+// (a longer run of digits, a code buried in other text) is rejected rather
+// than searched for a plausible 26 characters.
+const answersOf = (token) => {
+  const hash = token.indexOf('#');
+  if (hash === -1) return decodeAnswers(token);
+  const route = parseHash(token.slice(hash), 1);
+  return route.view === 'result' ? route.inputs : null;
+};
+
+/**
+ * Reads pasted result codes, one per line. A line may be the bare 26-digit
+ * answer code, a full result link (`…#/result?a=<code>`), or "Name: code"
+ * to attach an optional name. Returns the members found and the lines that
+ * could not be read.
+ */
+export const parseResultCodes = (text) => {
+  const members = [];
+  const invalid = [];
+  text.split(/\r?\n/).map(line => line.trim()).filter(Boolean).forEach(line => {
+    // The name needs whitespace after its colon, so "https:" is not one.
+    const match = line.match(/^(?:(.*?)\s*:\s+)?(\S+)$/);
+    const inputs = match && answersOf(match[2]);
+    if (inputs) members.push({ name: match[1] ?? '', inputs });
+    else invalid.push(line);
+  });
+  return { members, invalid };
+};
+
+// Roster file that parseMemberJson reads back in.
+export const serializeRoster = members => ({
+  members: members.map(m => ({ name: m.name, inputs: pickInputs(m.inputs) })),
+});
@@ -0,0 +1,63 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { FEATURE_METADATA, SLIDER_MIN, SLIDER_MAX } from '../src/engine/features.js';
+import { predictPersonality } from '../src/engine/index.js';
+import { fillWithMeans, nextFeature, canStillFlip, adaptiveStatus } from '../src/engine/adaptive.js';
+import { loadModel, answersOf } from './helpers.js';
+
+const MODEL = loadModel();
+
+// Answers `truth` one question at a time, as the adaptive quiz asks them.
+const runSession = (truth, options) => {
+  const answered = {};
+  let status = adaptiveStatus(answered, MODEL, options);
+  while (!status.done) {
+    answered[status.next] = truth[status.next];
+    status = adaptiveStatus(answered, MODEL, options);
+  }
+  return { answered, status };
+};
+
+describe('fillWithMeans', () => {
+  test('keeps answers and fills the rest with rounded training means', () => {
+    const filled = fillWithMeans({ [FEATURE_METADATA[0].id]: 10 }, MODEL);
+    assert.equal(filled[FEATURE_METADATA[0].id], 10);
+    FEATURE_METADATA.slice(1).forEach((f, i) => {
+      assert.equal(filled[f.id], Math.round(MODEL.means[i + 1]));
+      assert.ok(filled[f.id] >= SLIDER_MIN && filled[f.id] <= SLIDER_MAX);
+    });
+  });
+});
+
+describe('nextFeature', () => {
+  test('asks about an unanswered feature, and nothing once all are answered', () => {
+    const answered = { [FEATURE_METADATA[0].id]: 3, [FEATURE_METADATA[5].id]: 7 };
+    const next = nextFeature(answered, MODEL);
+    assert.ok(FEATURE_METADATA.some(f => f.id === next));
+    assert.ok(!(next in answered));
+    assert.equal(nextFeature(answersOf(() => 5), MODEL), null);
+  });
+});
+
+describe('canStillFlip', () => {
+  test('is open with nothing answered and closed with everything answered', () => {
+    assert.equal(canStillFlip({}, MODEL), true);
+    assert.equal(canStillFlip(answersOf(i => i % 11), MODEL), false);
+  });
+});
+
+describe('adaptiveStatus', () => {
+  test('never stops before the minimum number of questions', () => {
+    const { answered } = runSession(answersOf(i => (i * 3) % 11), { threshold: 0, minQuestions: 4 });
+    assert.equal(Object.keys(answered).length, 4);
+  });
+
+  test('stops early only when the remaining answers cannot change the outcome', () => {
+    [answersOf(() => 0), answersOf(() => 10), answersOf(i => (i * 7) % 11), answersOf(i => (i % 2 ? 9 : 2))]
+      .forEach(truth => {
+        const { answered, status } = runSession(truth, { threshold: 1.1 });
+        assert.equal(status.result.label, predictPersonality(truth, MODEL).label);
+        if (Object.keys(answered).length < FEATURE_METADATA.length) assert.equal(status.locked, true);
+      });
+  });
+});
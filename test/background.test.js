@@ -0,0 +1,71 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { QUALITY_LEVELS, initialQuality, createFrameMonitor } from '../src/background/quality.js';
+import { assignClasses } from '../src/background/palette.js';
+
+// Feeds `windows` full windows of frames taking `ms` each; returns the
+// levels reported along the way.
+const run = (monitor, ms, windows, windowSize = 60) => {
+  const changes = [];
+  for (let i = 0; i < windows * windowSize; i++) {
+    const level = monitor.sample(ms);
+    if (level !== null) changes.push(level);
+  }
+  return changes;
+};
+
+describe('createFrameMonitor', () => {
+  test('steps down one level per slow window, then gives up', () => {
+    const monitor = createFrameMonitor();
+    assert.deepEqual(run(monitor, 40, 6), [1, 2, 3, QUALITY_LEVELS.length]);
+    assert.equal(monitor.level, QUALITY_LEVELS.length);
+  });
+
+  test('holds the level at a steady frame rate', () => {
+    const monitor = createFrameMonitor({ start: 1 });
+    assert.deepEqual(run(monitor, 16, 10), []);
+  });
+
+  test('recovers, but not to a level that was too slow', () => {
+    const monitor = createFrameMonitor({ start: 1 });
+    assert.deepEqual(run(monitor, 30, 1), [2]);
+    assert.deepEqual(run(monitor, 8, 20), []);
+    assert.equal(monitor.level, 2);
+
+    const fresh = createFrameMonitor({ start: 2 });
+    assert.deepEqual(run(fresh, 8, 10), [1, 0]);
+  });
+
+  test('ignores stalls such as a tab switch', () => {
+    const monitor = createFrameMonitor();
+    assert.deepEqual(run(monitor, 5000, 3), []);
+  });
+});
+
+test('initialQuality starts low-end devices one level down', () => {
+  assert.equal(initialQuality({ hardwareConcurrency: 8, deviceMemory: 8 }), 0);
+  assert.equal(initialQuality({ hardwareConcurrency: 4 }), 1);
+  assert.equal(initialQuality({ hardwareConcurrency: 16, deviceMemory: 2 }), 1);
+  assert.equal(initialQuality({}), 0);
+});
+
+describe('assignClasses', () => {
+  const seeds = Array.from({ length: 1000 }, (_, i) => i / 1000);
+
+  test('colours particles in proportion to the probabilities', () => {
+    const classes = assignClasses(seeds, [0.5, 0.3, 0.2]);
+    const counts = [0, 1, 2].map(idx => classes.filter(c => c === idx).length);
+    assert.deepEqual(counts, [500, 300, 200]);
+  });
+
+  test('normalises independent probabilities and defaults to class 0', () => {
+    assert.deepEqual(assignClasses(seeds, [0.9, 0.9]), assignClasses(seeds, [0.5, 0.5]));
+    assert.ok(assignClasses(seeds, null).every(c => c === 0));
+  });
+
+  test('only recolours particles near a moving band edge', () => {
+    const before = assignClasses(seeds, [0.5, 0.5]);
+    const after = assignClasses(seeds, [0.6, 0.4]);
+    assert.equal(before.filter((c, i) => c !== after[i]).length, 100);
+  });
+});
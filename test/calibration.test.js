@@ -0,0 +1,57 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { FEATURE_METADATA } from '../src/engine/features.js';
+import { predictPersonality } from '../src/engine/index.js';
+import { fitTemperature, expectedCalibrationError, calibratedVersion } from '../src/engine/calibration.js';
+import { loadModel, answersOf } from './helpers.js';
+
+const MODEL = loadModel();
+const rowToInputs = row => answersOf(j => row[j]);
+
+// Rows labelled with the model's own prediction, except every third one, so
+// the model is right about two times in three.
+const heldOut = (n = 90) => {
+  const X = Array.from({ length: n }, (_, i) => FEATURE_METADATA.map((_, j) => (i * 7 + j * (i % 5 + 1)) % 11));
+  const y = X.map((row, i) => {
+    const predicted = MODEL.classes.indexOf(predictPersonality(rowToInputs(row), MODEL).label);
+    return i % 3 ? predicted : (predicted + 1) % MODEL.classes.length;
+  });
+  return { X, y, classes: MODEL.classes };
+};
+
+describe('fitTemperature', () => {
+  // Sharpened so it is over-confident on rows it gets wrong a third of the time.
+  const overconfident = { ...MODEL, temperature: 0.25 };
+  const fit = fitTemperature(heldOut(), overconfident);
+
+  test('lowers the negative log-likelihood and the calibration error', () => {
+    assert.equal(fit.rows, 90);
+    assert.ok(fit.after.nll < fit.before.nll, `${fit.before.nll} -> ${fit.after.nll}`);
+    assert.ok(fit.after.ece < fit.before.ece, `${fit.before.ece} -> ${fit.after.ece}`);
+    assert.ok(fit.temperature > overconfident.temperature);
+  });
+
+  test('never changes a prediction', () => {
+    const calibrated = { ...MODEL, temperature: fit.temperature };
+    heldOut().X.map(rowToInputs).forEach(inputs => {
+      assert.equal(predictPersonality(inputs, calibrated).label, predictPersonality(inputs, MODEL).label);
+    });
+  });
+
+  test('rejects sets it cannot use', () => {
+    assert.throws(() => fitTemperature({ ...heldOut(), classes: ['Nobody', ...MODEL.classes.slice(1)] }, MODEL), /Nobody/);
+    assert.throws(() => fitTemperature({ X: [], y: [], classes: MODEL.classes }, MODEL), /no usable rows/);
+    assert.throws(() => fitTemperature(heldOut(), { ...MODEL, type: 'independent' }), /multinomial/);
+  });
+});
+
+test('expectedCalibrationError is zero when confidence matches accuracy', () => {
+  assert.equal(expectedCalibrationError([[1, 0], [0, 1]], [0, 1]), 0);
+  assert.ok(Math.abs(expectedCalibrationError([[0.75, 0.25], [0.75, 0.25], [0.75, 0.25], [0.75, 0.25]], [0, 0, 0, 1])) < 1e-12);
+  assert.equal(expectedCalibrationError([[0.9, 0.1]], [1]), 0.9);
+});
+
+test('calibratedVersion suffixes the version once', () => {
+  assert.equal(calibratedVersion('1.0.0'), '1.0.0-calibrated');
+  assert.equal(calibratedVersion(calibratedVersion('1.0.0')), '1.0.0-calibrated');
+});
@@ -0,0 +1,43 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { FEATURE_METADATA, SLIDER_MIN, SLIDER_MAX } from '../src/engine/features.js';
+import { predictPersonality } from '../src/engine/index.js';
+import { findCounterfactual } from '../src/engine/counterfactual.js';
+import { loadModel, answersOf } from './helpers.js';
+
+const MODEL = loadModel();
+
+describe('findCounterfactual', () => {
+  const inputs = answersOf(i => (i * 7) % 11);
+  const predicted = MODEL.classes.indexOf(predictPersonality(inputs, MODEL).label);
+  const targets = MODEL.classes.map((_, idx) => idx).filter(idx => idx !== predicted);
+
+  test('flips the prediction to every other class', () => {
+    targets.forEach(targetIdx => {
+      const found = findCounterfactual(inputs, MODEL, targetIdx);
+      assert.ok(found, MODEL.classes[targetIdx]);
+      assert.ok(found.changes.length > 0);
+      assert.equal(predictPersonality(found.inputs, MODEL).label, MODEL.classes[targetIdx]);
+    });
+  });
+
+  test('lists exactly the answers it changed, within the slider range', () => {
+    const found = findCounterfactual(inputs, MODEL, targets[0]);
+    const changed = FEATURE_METADATA.filter(f => found.inputs[f.id] !== inputs[f.id]).map(f => f.id);
+    assert.deepEqual(found.changes.map(c => c.id), changed);
+    found.changes.forEach(({ id, from, to }) => {
+      assert.equal(from, inputs[id]);
+      assert.equal(to, found.inputs[id]);
+      assert.ok(Number.isInteger(to) && to >= SLIDER_MIN && to <= SLIDER_MAX);
+    });
+  });
+
+  test('changes nothing when the target already wins', () => {
+    assert.deepEqual(findCounterfactual(inputs, MODEL, predicted), { changes: [], inputs });
+  });
+
+  test('returns null when no answers can reach the target', () => {
+    const hopeless = { ...MODEL, intercepts: MODEL.intercepts.map((b, c) => (c === targets[0] ? b - 1000 : b)) };
+    assert.equal(findCounterfactual(inputs, hopeless, targets[0]), null);
+  });
+});
@@ -0,0 +1,175 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  FEATURE_METADATA,
+  parseModel,
+  serializeModel,
+  scaleInputs,
+  predictPersonality,
+  explainPrediction,
+  findMissingFeatures,
+} from '../src/engine/index.js';
+
+const readJson = path => JSON.parse(readFileSync(new URL(path, import.meta.url), 'utf8'));
+const rawModel = name => readJson(`../public/models/${name}`);
+// decision_function / predict_proba / predict from scikit-learn itself
+// (scripts/make_sklearn_fixture.py).
+const reference = readJson('./fixtures/sklearn-reference.json');
+
+const PERSONALITY = parseModel(rawModel('personality-1.0.0.json'));
+const ALL_FIVES = Object.fromEntries(FEATURE_METADATA.map(f => [f.id, 5]));
+
+const assertClose = (actual, expected, tolerance = 1e-9) => {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((v, i) => assert.ok(Math.abs(v - expected[i]) <= tolerance, `[${i}] ${v} != ${expected[i]}`));
+};
+
+describe('matches the scikit-learn reference outputs', () => {
+  reference.cases.forEach(({ model, rows, decision_function: scores, predict_proba: proba, predict: labels }) => {
+    test(model, () => {
+      const params = parseModel(rawModel(model));
+      rows.forEach((row, i) => {
+        const result = predictPersonality(row, params);
+        assertClose(result.scores, scores[i]);
+        assertClose(result.probabilities, proba[i]);
+        assert.equal(result.label, labels[i]);
+      });
+    });
+  });
+});
+
+describe('parseModel', () => {
+  test('accepts every published model', () => {
+    const { models } = readJson('../public/models/manifest.json');
+    models.forEach(entry => assert.doesNotThrow(() => parseModel(rawModel(entry.file)), entry.file));
+  });
+
+  test('matches feature columns by id, not position', () => {
+    const raw = rawModel('personality-1.0.0.json');
+    const order = raw.features.map((_, i) => i).reverse();
+    const shuffled = {
+      ...raw,
+      features: order.map(i => raw.features[i]),
+      means: order.map(i => raw.means[i]),
+      scales: order.map(i => raw.scales[i]),
+      weights: raw.weights.map(row => order.map(i => row[i])),
+    };
+    const inputs = Object.fromEntries(FEATURE_METADATA.map((f, i) => [f.id, i % 11]));
+    assert.deepEqual(
+      predictPersonality(inputs, parseModel(shuffled)).probabilities,
+      predictPersonality(inputs, PERSONALITY).probabilities
+    );
+  });
+
+  test('lists every problem in one error', () => {
+    const raw = rawModel('personality-1.0.0.json');
+    const broken = {
+      ...raw,
+      features: raw.features.slice(1),
+      scales: raw.scales.map((s, i) => (i === 3 ? 0 : s)),
+      weights: raw.weights.slice(1),
+    };
+    assert.throws(() => parseModel(broken), (err) => {
+      assert.match(err.message, /missing features: social_energy/);
+      assert.match(err.message, /"scales\[3\]" is zero/);
+      assert.match(err.message, /"weights" must have 3 rows/);
+      return true;
+    });
+  });
+
+  test('requires descriptions to be an object of strings when present', () => {
+    const raw = rawModel('personality-1.0.0.json');
+    [null, 'text', ['a'], { [raw.classes[0]]: 1 }].forEach(descriptions => {
+      assert.throws(() => parseModel({ ...raw, descriptions }), /"descriptions" must map class names to strings/, String(descriptions));
+    });
+    const { descriptions, ...withoutDescriptions } = raw;
+    assert.ok(descriptions);
+    assert.deepEqual(parseModel(withoutDescriptions).descriptions, {});
+  });
+
+  test('requires every scale to be finite and positive', () => {
+    const raw = rawModel('personality-1.0.0.json');
+    const withScale = value => ({ ...raw, scales: raw.scales.map((s, i) => (i === 5 ? value : s)) });
+    assert.throws(() => parseModel(withScale(-1.5)), /"scales\[5\]" is negative/);
+    assert.throws(() => parseModel(withScale(0)), /"scales\[5\]" is zero/);
+    assert.throws(() => parseModel(withScale(Infinity)), /"scales\[5\]" is not a finite number/);
+    assert.throws(() => parseModel(withScale(NaN)), /"scales\[5\]" is not a finite number/);
+  });
+
+  test('round-trips through serializeModel', () => {
+    assert.deepEqual(parseModel(serializeModel(PERSONALITY)), PERSONALITY);
+  });
+});
+
+describe('missing features', () => {
+  const partial = { ...ALL_FIVES };
+  delete partial.empathy;
+  partial.curiosity = '';
+
+  test('are reported by id', () => {
+    assert.deepEqual(findMissingFeatures(partial), ['empathy', 'curiosity']);
+  });
+
+  test('throw by default instead of being read as 0', () => {
+    assert.throws(() => predictPersonality(partial, PERSONALITY), /Missing features: empathy, curiosity/);
+  });
+
+  test("are imputed with the training mean when missing is 'mean'", () => {
+    const scaled = scaleInputs(partial, PERSONALITY, { missing: 'mean' });
+    assert.equal(scaled[FEATURE_METADATA.findIndex(f => f.id === 'empathy')], 0);
+    const result = predictPersonality(partial, PERSONALITY, { missing: 'mean' });
+    assert.deepEqual(result.imputed, ['empathy', 'curiosity']);
+  });
+
+  test('a genuine 0 answer is not treated as missing', () => {
+    const zeros = Object.fromEntries(FEATURE_METADATA.map(f => [f.id, 0]));
+    assert.deepEqual(findMissingFeatures(zeros), []);
+    assert.deepEqual(predictPersonality(zeros, PERSONALITY).imputed, []);
+  });
+});
+
+describe('temperature', () => {
+  test('softens probabilities without changing the prediction', () => {
+    const plain = predictPersonality(ALL_FIVES, PERSONALITY);
+    const softened = predictPersonality(ALL_FIVES, { ...PERSONALITY, temperature: 2 });
+    assert.equal(softened.label, plain.label);
+    assert.deepEqual(softened.scores, plain.scores);
+    assert.ok(Math.max(...softened.probabilities) < Math.max(...plain.probabilities));
+  });
+});
+
+describe('explainPrediction', () => {
+  test('effects add up to the score gap against the average rival', () => {
+    const inputs = Object.fromEntries(FEATURE_METADATA.map((f, i) => [f.id, (i * 7) % 11]));
+    const result = predictPersonality(inputs, PERSONALITY);
+    const k = PERSONALITY.classes.indexOf(result.label);
+    const total = explainPrediction(result, k).reduce((acc, f) => acc + f.effect, 0);
+    const withoutIntercept = result.scores.map((s, c) => s - PERSONALITY.intercepts[c]);
+    const rivals = withoutIntercept.filter((_, c) => c !== k);
+    const gap = withoutIntercept[k] - rivals.reduce((a, b) => a + b, 0) / rivals.length;
+    assert.ok(Math.abs(total - gap) < 1e-9);
+  });
+
+  test('uses the own contribution for a single-class model', () => {
+    const raw = rawModel('big-five-1.0.0.json');
+    const single = parseModel({
+      ...raw,
+      classes: raw.classes.slice(0, 1),
+      weights: raw.weights.slice(0, 1),
+      intercepts: raw.intercepts.slice(0, 1),
+      descriptions: {},
+    });
+    const inputs = Object.fromEntries(FEATURE_METADATA.map((f, i) => [f.id, (i * 7) % 11]));
+    const result = predictPersonality(inputs, single);
+    const explained = explainPrediction(result, 0);
+    assert.ok(explained.every(f => Number.isFinite(f.effect)));
+    assert.deepEqual(explained.map(f => f.effect).sort(), [...result.contributions[0]].sort());
+  });
+
+  test('ranks features from most to least supportive', () => {
+    const result = predictPersonality(ALL_FIVES, PERSONALITY);
+    const effects = explainPrediction(result, 0).map(f => f.effect);
+    assert.deepEqual(effects, [...effects].sort((a, b) => b - a));
+  });
+});
@@ -0,0 +1,80 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { FEATURE_METADATA } from '../src/engine/index.js';
+import { parseCsv } from '../src/engine/csv.js';
+import { recordToCsv } from '../src/export/record.js';
+import { jpegToPdf } from '../src/export/pdf.js';
+
+const ids = FEATURE_METADATA.map(f => f.id);
+
+const record = {
+  timestamp: '2024-05-01T15:30:00.000Z',
+  modelId: 'personality',
+  modelVersion: '1.0.0',
+  prediction: 'Calm, "steady"',
+  verdict: 'inconclusive',
+  runnerUp: 'Driven',
+  probabilities: { 'Calm, "steady"': 0.52, Driven: 0.48 },
+  inputs: Object.fromEntries(ids.map((id, i) => [id, i % 11])),
+};
+
+describe('recordToCsv', () => {
+  test('writes the result columns, every answer and one probability per class', () => {
+    const { header, rows } = parseCsv(recordToCsv(record));
+    assert.deepEqual(header, [
+      'timestamp', 'model_id', 'model_version', 'prediction', 'verdict', 'runner_up',
+      ...ids,
+      'p_Calm, "steady"', 'p_Driven',
+    ]);
+    assert.equal(rows.length, 1);
+    const [row] = rows;
+    assert.equal(row.model_id, 'personality');
+    assert.equal(row.model_version, '1.0.0');
+    assert.equal(row.verdict, 'inconclusive');
+    assert.equal(row.runner_up, 'Driven');
+    ids.forEach(id => assert.equal(row[id], String(record.inputs[id])));
+    assert.equal(row.p_Driven, '0.480000');
+  });
+
+  test('quotes cells holding commas or quotes', () => {
+    const [headerLine, rowLine] = recordToCsv(record).split(/\r?\n/);
+    assert.ok(headerLine.endsWith('"p_Calm, ""steady""",p_Driven'));
+    assert.match(rowLine, /,"Calm, ""steady""",inconclusive,Driven,/);
+    assert.equal(parseCsv(recordToCsv(record)).rows[0].prediction, 'Calm, "steady"');
+  });
+});
+
+describe('jpegToPdf', () => {
+  // Not a real JPEG: the PDF only wraps the bytes, so any payload with a few
+  // high bytes shows whether they are copied verbatim.
+  const jpeg = new Uint8Array([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x0a, 0xff, 0xd9]);
+  const pdfText = async () => Buffer.from(await jpegToPdf(jpeg, 1240, 1754).arrayBuffer()).toString('latin1');
+
+  test('starts with a PDF header and ends with the trailer', async () => {
+    const pdf = await pdfText();
+    assert.ok(pdf.startsWith('%PDF-1.4\n'));
+    assert.ok(pdf.endsWith('%%EOF\n'));
+    assert.match(pdf, /trailer\n<< \/Size 6 \/Root 1 0 R >>/);
+  });
+
+  test('points startxref and every xref entry at the right byte', async () => {
+    const pdf = await pdfText();
+    const startxref = Number(pdf.match(/startxref\n(\d+)\n/)[1]);
+    assert.ok(pdf.startsWith('xref\n0 6\n', startxref));
+    const entries = pdf.slice(startxref).split('\n').slice(3, 8);
+    entries.forEach((entry, i) => {
+      assert.match(entry, /^\d{10} 00000 n $/);
+      assert.ok(pdf.startsWith(`${i + 1} 0 obj\n`, Number(entry.slice(0, 10))), `object ${i + 1}`);
+    });
+  });
+
+  test('embeds the JPEG unchanged with a matching stream length', async () => {
+    const pdf = await pdfText();
+    assert.match(pdf, /\/Width 1240 \/Height 1754 /);
+    assert.match(pdf, new RegExp(`/Filter /DCTDecode /Length ${jpeg.length} >>`));
+    const start = pdf.indexOf('stream\n', pdf.indexOf('4 0 obj')) + 'stream\n'.length;
+    const end = pdf.indexOf('\nendstream', start);
+    assert.equal(end - start, jpeg.length);
+    assert.deepEqual(Buffer.from(pdf.slice(start, end), 'latin1'), Buffer.from(jpeg));
+  });
+});
@@ -0,0 +1,12 @@
+// Shared by the test files; holds no tests of its own.
+import { readFileSync } from 'node:fs';
+import { FEATURE_METADATA, parseModel } from '../src/engine/index.js';
+
+// Paths are relative to this directory.
+export const readJson = path => JSON.parse(readFileSync(new URL(path, import.meta.url), 'utf8'));
+
+// A published model from public/models, parsed as the app would.
+export const loadModel = (file = 'personality-1.0.0.json') => parseModel(readJson(`../public/models/${file}`));
+
+// A full set of answers, `fn(i)` for the i-th feature.
+export const answersOf = fn => Object.fromEntries(FEATURE_METADATA.map((f, i) => [f.id, fn(i)]));
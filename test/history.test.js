@@ -0,0 +1,54 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { sessionModelId, sessionModelKey } from '../src/history/sessions.js';
+import { loadModel } from './helpers.js';
+
+const models = [
+  { id: 'personality', params: loadModel() },
+  { id: 'work-style', params: loadModel('work-style-0.3.0.json') },
+  { id: 'broken', error: 'Could not load' },
+];
+const session = (params, extra = {}) => ({
+  modelVersion: params.version,
+  probabilities: Object.fromEntries(params.classes.map(cls => [cls, 1 / params.classes.length])),
+  ...extra,
+});
+
+describe('sessionModelId', () => {
+  test('uses the id the record carries', () => {
+    assert.equal(sessionModelId(session(models[0].params, { modelId: 'local' }), models), 'local');
+  });
+
+  test('matches older records to a registry model by class names', () => {
+    assert.equal(sessionModelId(session(models[1].params), models), 'work-style');
+    const reordered = { ...session(models[0].params) };
+    reordered.probabilities = Object.fromEntries(Object.entries(reordered.probabilities).reverse());
+    assert.equal(sessionModelId(reordered, models), 'personality');
+  });
+
+  test('is null when no registry model has those classes', () => {
+    assert.equal(sessionModelId({ modelVersion: '1.0.0', probabilities: { A: 0.5, B: 0.5 } }, models), null);
+  });
+});
+
+describe('sessionModelKey', () => {
+  test('separates models that share a version number', () => {
+    const personality = session(models[0].params, { modelId: 'personality', modelVersion: '1.0.0' });
+    const bigFive = session(loadModel('big-five-1.0.0.json'), { modelId: 'big-five', modelVersion: '1.0.0' });
+    assert.notEqual(sessionModelKey(personality, models), sessionModelKey(bigFive, models));
+  });
+
+  test('groups an older record with newer ones from the same model', () => {
+    const old = session(models[0].params);
+    const current = session(models[0].params, { modelId: 'personality' });
+    assert.equal(sessionModelKey(old, models), sessionModelKey(current, models));
+    assert.notEqual(sessionModelKey(old, models), sessionModelKey({ ...current, modelVersion: '2.0.0' }, models));
+  });
+
+  test('keeps unmatched older records apart by their classes', () => {
+    const a = { modelVersion: '1.0.0', probabilities: { A: 0.5, B: 0.5 } };
+    const b = { modelVersion: '1.0.0', probabilities: { C: 0.5, D: 0.5 } };
+    assert.notEqual(sessionModelKey(a, models), sessionModelKey(b, models));
+    assert.equal(sessionModelKey(a, []), sessionModelKey({ ...a, probabilities: { B: 0.5, A: 0.5 } }, []));
+  });
+});
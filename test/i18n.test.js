@@ -0,0 +1,98 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { FEATURE_METADATA } from '../src/engine/index.js';
+import { CATEGORIES } from '../src/categories.js';
+import { QUESTION_BANK } from '../src/questionnaire/questions.js';
+import { LOCALES, matchLocale } from '../src/i18n/locales.js';
+import { CATALOGS, createTranslator } from '../src/i18n/translate.js';
+
+const readJson = path => JSON.parse(readFileSync(new URL(path, import.meta.url), 'utf8'));
+const { models } = readJson('../public/models/manifest.json');
+const CLASSES = models.flatMap(m => readJson(`../public/models/${m.file}`).classes);
+
+// Dotted paths of every string (or plural set) in a catalog section.
+const keysOf = (node, prefix = '') =>
+  Object.entries(node).flatMap(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    return typeof value === 'object' && !('other' in value) ? keysOf(value, path) : [path];
+  });
+
+const TRANSLATED = ['features', 'categories', 'classes', 'classDescriptions', 'models', 'questions'];
+
+describe('catalogs', () => {
+  const { en } = CATALOGS;
+  const uiKeys = keysOf(Object.fromEntries(Object.entries(en).filter(([k]) => !TRANSLATED.includes(k))));
+
+  LOCALES.filter(l => l.id !== 'en').forEach(({ id }) => {
+    test(`${id} translates every interface string`, () => {
+      const translated = keysOf(CATALOGS[id]);
+      assert.deepEqual(uiKeys.filter(key => !translated.includes(key)), []);
+    });
+
+    test(`${id} names every feature, category, class and question`, () => {
+      const catalog = CATALOGS[id];
+      assert.deepEqual(FEATURE_METADATA.filter(f => !catalog.features[f.id]).map(f => f.id), []);
+      assert.deepEqual(CATEGORIES.filter(c => !catalog.categories[c.id]).map(c => c.id), []);
+      assert.deepEqual(CLASSES.filter(cls => !catalog.classes[cls]), []);
+      const items = Object.values(QUESTION_BANK).flat();
+      assert.deepEqual(items.filter(item => !catalog.questions[item.id]).map(item => item.id), []);
+    });
+
+    test(`${id} only uses placeholders English provides`, () => {
+      const lookup = (catalog, key) => key.split('.').reduce((node, part) => node?.[part], catalog);
+      const forms = value => (typeof value === 'object' ? Object.values(value) : [value]);
+      const placeholders = text => [...text.matchAll(/\{(\w+)\}/g)].map(m => m[1]);
+      uiKeys.forEach(key => {
+        const allowed = forms(lookup(en, key)).flatMap(placeholders);
+        // Plural forms may spell the count out ("one question"), so only
+        // unknown placeholders are an error.
+        const used = forms(lookup(CATALOGS[id], key)).flatMap(placeholders);
+        assert.deepEqual(used.filter(name => !allowed.includes(name)), [], `${id}: ${key}`);
+      });
+    });
+  });
+});
+
+describe('createTranslator', () => {
+  test('falls back to English, then to the key', () => {
+    const t = createTranslator('xx').t;
+    assert.equal(t('result.reset'), 'Reset Session');
+    assert.equal(t('no.such.key'), 'no.such.key');
+  });
+
+  test('fills placeholders and picks plural forms', () => {
+    const { t } = createTranslator('en');
+    assert.equal(t('whatIf.smallest', { count: 1 }), 'A small change that flips the result: 1 answer.');
+    assert.equal(t('whatIf.smallest', { count: 3 }), 'A small change that flips the result: 3 answers.');
+    assert.equal(createTranslator('ar').t('whatIf.smallest', { count: 2 }), 'تغيير صغير يقلب النتيجة: إجابتان.');
+  });
+
+  test('formats percentages for the locale', () => {
+    assert.equal(createTranslator('en').percent(0.4567), '45.7%');
+    assert.equal(createTranslator('es').percent(0.4567), new Intl.NumberFormat('es', {
+      style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1,
+    }).format(0.4567));
+    assert.notEqual(createTranslator('es').percent(0.4567), '45.7%');
+  });
+
+  test('fixes decimals on request', () => {
+    const { number } = createTranslator('en');
+    assert.equal(number(0.43125), '0.43');
+    assert.equal(number(0.43125, 4), '0.4313');
+    assert.equal(number(2, 1), '2.0');
+  });
+
+  test('translates display names but keeps ids stable', () => {
+    const { feature, className, dir } = createTranslator('ar');
+    assert.equal(dir, 'rtl');
+    assert.equal(feature('empathy'), CATALOGS.ar.features.empathy);
+    assert.equal(createTranslator('en').feature('empathy'), 'Emotional Resonance');
+    assert.equal(className('Unknown Class'), 'Unknown Class');
+  });
+
+  test('matches browser languages by prefix', () => {
+    assert.equal(matchLocale(['fr-FR', 'es-MX']), 'es');
+    assert.equal(matchLocale(['fr']), 'en');
+  });
+});
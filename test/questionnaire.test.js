@@ -0,0 +1,47 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { SLIDER_MIN, SLIDER_MAX } from '../src/engine/features.js';
+import { featureScore, featureProgress } from '../src/questionnaire/scoring.js';
+
+// social_energy.1 is keyed forward; social_energy.2 ("I need time to
+// recharge") is reverse-keyed.
+const FORWARD = 'social_energy.1';
+const REVERSE = 'social_energy.2';
+const score = responses => featureScore('social_energy', responses);
+
+describe('featureScore', () => {
+  test('maps the ends of the Likert scale onto the slider range', () => {
+    assert.equal(score({ [FORWARD]: 1 }), SLIDER_MIN);
+    assert.equal(score({ [FORWARD]: 5 }), SLIDER_MAX);
+    assert.equal(score({ [FORWARD]: 3 }), 5);
+  });
+
+  test('flips reverse-keyed items', () => {
+    assert.equal(score({ [REVERSE]: 5 }), SLIDER_MIN);
+    assert.equal(score({ [REVERSE]: 1 }), SLIDER_MAX);
+    assert.equal(score({ [FORWARD]: 5, [REVERSE]: 1 }), SLIDER_MAX);
+    assert.equal(score({ [FORWARD]: 1, [REVERSE]: 5 }), SLIDER_MIN);
+  });
+
+  test('averages mixed answers and rounds to a whole slider value', () => {
+    // 10 and 0: agreeing with both statements contradicts itself.
+    assert.equal(score({ [FORWARD]: 5, [REVERSE]: 5 }), 5);
+    // 7.5 and 5.
+    assert.equal(score({ [FORWARD]: 4, [REVERSE]: 3 }), 6);
+    // 7.5 and 7.5.
+    assert.equal(score({ [FORWARD]: 4, [REVERSE]: 2 }), 8);
+  });
+
+  test('returns null until one of the feature\'s items is answered', () => {
+    assert.equal(score({}), null);
+    assert.equal(score({ 'empathy.1': 5 }), null);
+    assert.equal(featureScore('not_a_feature', { [FORWARD]: 5 }), null);
+  });
+});
+
+describe('featureProgress', () => {
+  test('counts answered items out of the feature\'s total', () => {
+    assert.deepEqual(featureProgress('social_energy', {}), { answered: 0, total: 2 });
+    assert.deepEqual(featureProgress('social_energy', { [REVERSE]: 2 }), { answered: 1, total: 2 });
+  });
+});
@@ -0,0 +1,62 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { predictPersonality } from '../src/engine/index.js';
+import { assessUncertainty, assessDistribution, isStraightLined, assessReliability } from '../src/engine/reliability.js';
+import { loadModel, answersOf } from './helpers.js';
+
+const MODEL = loadModel();
+
+describe('assessUncertainty', () => {
+  test('is sure of a clear winner', () => {
+    const { margin, runnerUp, unsure } = assessUncertainty([0.05, 0.85, 0.1]);
+    assert.ok(Math.abs(margin - 0.75) < 1e-12);
+    assert.equal(runnerUp, 2);
+    assert.equal(unsure, false);
+  });
+
+  test('is unsure of a close race or an even spread', () => {
+    assert.equal(assessUncertainty([0.5, 0.4, 0.1]).unsure, true);
+    const even = assessUncertainty([0.25, 0.25, 0.25, 0.25]);
+    assert.ok(Math.abs(even.entropy - 1) < 1e-12);
+    assert.equal(even.unsure, true);
+  });
+});
+
+describe('assessDistribution', () => {
+  test('accepts typical answers', () => {
+    const { outOfDistribution, furthest } = assessDistribution(answersOf(i => 4 + (i % 3)), MODEL);
+    assert.equal(outOfDistribution, false);
+    assert.deepEqual(furthest, []);
+  });
+
+  test('flags an extreme pattern and names the answers furthest out', () => {
+    const extreme = answersOf(i => (i % 2 ? 10 : 0));
+    extreme.empathy = 5;
+    const { outOfDistribution, furthest, chiSquare, limit } = assessDistribution(extreme, MODEL);
+    assert.ok(chiSquare > limit);
+    assert.equal(outOfDistribution, true);
+    assert.equal(furthest.length, 3);
+    assert.ok(!furthest.some(f => f.id === 'empathy'));
+  });
+});
+
+describe('assessReliability', () => {
+  const reliabilityOf = inputs => assessReliability(inputs, predictPersonality(inputs, MODEL), MODEL);
+
+  test('flags a straight-lined pattern, whatever the model says', () => {
+    [0, 5, 10].forEach(value => {
+      const inputs = answersOf(() => value);
+      assert.equal(isStraightLined(inputs), true);
+      const reliability = reliabilityOf(inputs);
+      assert.equal(reliability.straightLined, true);
+      assert.equal(reliability.confident, false);
+    });
+  });
+
+  test('does not flag answers that vary', () => {
+    const inputs = answersOf(() => 5);
+    inputs.empathy = 6;
+    assert.equal(isStraightLined(inputs), false);
+    assert.equal(reliabilityOf(inputs).straightLined, false);
+  });
+});
@@ -0,0 +1,74 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeAnswers, decodeAnswers, parseHash, buildHash, routeOf } from '../src/routing.js';
+import { answersOf } from './helpers.js';
+
+const STEPS = 4;
+const inputs = answersOf(i => i % 11);
+const code = encodeAnswers(inputs);
+
+describe('answer codes', () => {
+  test('round-trip every slider value', () => {
+    assert.equal(code.length, 26);
+    assert.deepEqual(decodeAnswers(code), inputs);
+    [0, 5, 10].forEach(value => assert.deepEqual(decodeAnswers(encodeAnswers(answersOf(() => value))), answersOf(() => value)));
+  });
+
+  test('write 10 as "a" and read it in either case', () => {
+    assert.equal(encodeAnswers(answersOf(() => 10)), 'a'.repeat(26));
+    assert.deepEqual(decodeAnswers('A'.repeat(26)), answersOf(() => 10));
+  });
+
+  test('reject codes of the wrong length', () => {
+    assert.equal(decodeAnswers(code.slice(1)), null);
+    assert.equal(decodeAnswers(`${code}0`), null);
+    assert.equal(decodeAnswers(''), null);
+    assert.equal(decodeAnswers(null), null);
+  });
+
+  test('reject codes with characters outside base 11', () => {
+    ['b', '-', ' ', '.'].forEach(ch => assert.equal(decodeAnswers(ch + code.slice(1)), null, ch));
+  });
+});
+
+describe('parseHash', () => {
+  test('reads quiz steps as 0-based and clamps them to the quiz', () => {
+    assert.deepEqual(parseHash(`#/quiz/2?a=${code}`, STEPS), { view: 'quiz', step: 1, inputs });
+    assert.equal(parseHash('#/quiz/0', STEPS).step, 0);
+    assert.equal(parseHash('#/quiz/-3', STEPS).step, 0);
+    assert.equal(parseHash('#/quiz/99', STEPS).step, STEPS - 1);
+    assert.equal(parseHash('#/quiz/abc', STEPS).step, 0);
+    assert.equal(parseHash('#/quiz', STEPS).step, 0);
+  });
+
+  test('ignores invalid answers instead of failing', () => {
+    assert.deepEqual(parseHash('#/quiz/1?a=zz', STEPS), { view: 'quiz', step: 0, inputs: null });
+  });
+
+  test('sends a result link without answers to the hero view', () => {
+    assert.deepEqual(parseHash(`#/result?a=${code}`, STEPS), { view: 'result', step: STEPS - 1, inputs });
+    assert.equal(parseHash('#/result', STEPS).view, 'hero');
+    assert.equal(parseHash('#/result?a=123', STEPS).view, 'hero');
+  });
+
+  test('recognises the other pages and falls back to the hero', () => {
+    ['adaptive', 'train', 'history', 'team'].forEach(view => assert.equal(parseHash(`#/${view}`, STEPS).view, view));
+    ['', '#', '#/', '#/nowhere'].forEach(hash => assert.equal(parseHash(hash, STEPS).view, 'hero', hash));
+  });
+});
+
+describe('buildHash', () => {
+  test('is the inverse of parseHash', () => {
+    [
+      { view: 'quiz', step: 2, inputs },
+      { view: 'result', step: STEPS - 1, inputs },
+    ].forEach(state => assert.deepEqual(parseHash(buildHash(state), STEPS), state));
+  });
+
+  test('writes 1-based quiz steps and leaves answers off the other pages', () => {
+    assert.equal(buildHash({ view: 'quiz', step: 0, inputs }), `#/quiz/1?a=${code}`);
+    assert.equal(buildHash({ view: 'history', step: 0, inputs }), '#/history');
+    assert.equal(buildHash({ view: 'loading', step: 0, inputs }), '#/');
+    assert.equal(routeOf(buildHash({ view: 'quiz', step: 3, inputs })), '#/quiz/4');
+  });
+});
@@ -0,0 +1,154 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { FEATURE_METADATA, predictPersonality } from '../src/engine/index.js';
+import { parseCsv } from '../src/engine/csv.js';
+import { loadModel, answersOf } from './helpers.js';
+
+const CLI = fileURLToPath(new URL('../scripts/score.js', import.meta.url));
+const MODEL = loadModel();
+const ids = FEATURE_METADATA.map(f => f.id);
+const answers = seed => answersOf(i => (i * seed) % 11);
+
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+
+describe('scripts/score.js', () => {
+  let dir;
+  before(() => { dir = mkdtempSync(join(tmpdir(), 'score-cli-')); });
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  test('scores a CSV with the same maths as the website', () => {
+    const input = join(dir, 'in.csv');
+    const rows = [answers(3), answers(7)];
+    writeFileSync(input, ['respondent,' + ids.join(','), ...rows.map((r, i) => `p${i},` + ids.map(id => r[id]).join(','))].join('\n'));
+
+    const { status, stdout } = run(input);
+    assert.equal(status, 0);
+    const out = parseCsv(stdout);
+    assert.equal(out.rows.length, 2);
+    out.rows.forEach((row, i) => {
+      const expected = predictPersonality(rows[i], MODEL);
+      assert.equal(row.respondent, `p${i}`);
+      assert.equal(row.prediction, expected.label);
+      MODEL.classes.forEach((cls, c) => assert.equal(row[`p_${cls}`], expected.probabilities[c].toFixed(6)));
+    });
+  });
+
+  test('reads exported JSONL records and flags rows it cannot score', () => {
+    const input = join(dir, 'in.jsonl');
+    const incomplete = answers(5);
+    delete incomplete.empathy;
+    writeFileSync(input, [
+      JSON.stringify({ timestamp: 't1', inputs: answers(5) }),
+      JSON.stringify({ timestamp: 't2', inputs: incomplete }),
+    ].join('\n'));
+
+    const { status, stdout, stderr } = run(input);
+    assert.equal(status, 1);
+    assert.match(stderr, /Row 2: Missing features: empathy/);
+    const [ok, failed] = stdout.trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(ok.prediction, predictPersonality(answers(5), MODEL).label);
+    assert.equal(failed.prediction, null);
+    assert.equal(failed.probabilities, null);
+    assert.match(failed.error, /empathy/);
+  });
+
+  test('flattens exported records into feature columns for CSV output', () => {
+    const input = join(dir, 'export.jsonl');
+    writeFileSync(input, JSON.stringify({
+      timestamp: 't1', modelVersion: '0.9.0', prediction: 'Old', probabilities: { Old: 1 }, inputs: answers(4),
+    }));
+
+    const { status, stdout } = run(input, '-f', 'csv');
+    assert.equal(status, 0);
+    const { header, rows: [row] } = parseCsv(stdout);
+    assert.ok(!header.includes('inputs') && !header.includes('probabilities'));
+    assert.doesNotMatch(stdout, /\[object Object\]/);
+    ids.forEach(id => assert.equal(row[id], String(answers(4)[id])));
+    assert.equal(row.timestamp, 't1');
+    assert.equal(row.prediction, predictPersonality(answers(4), MODEL).label);
+  });
+
+  test('rescores exported records with another model, dropping the old result', () => {
+    const input = join(dir, 'rescore.jsonl');
+    writeFileSync(input, JSON.stringify({
+      timestamp: 't1', modelId: 'personality', modelVersion: '1.0.0', prediction: 'Extrovert', verdict: 'confident', runnerUp: 'Ambivert',
+      probabilities: { Extrovert: 0.9, Ambivert: 0.1 }, inputs: answers(8),
+    }));
+    const model = fileURLToPath(new URL('../public/models/work-style-0.3.0.json', import.meta.url));
+    const workStyle = loadModel('work-style-0.3.0.json');
+    const expected = predictPersonality(answers(8), workStyle);
+
+    const jsonl = run(input, '--model', model);
+    assert.equal(jsonl.status, 0);
+    const scored = JSON.parse(jsonl.stdout);
+    assert.equal(scored.modelVersion, workStyle.version);
+    assert.equal(scored.prediction, expected.label);
+    assert.deepEqual(Object.keys(scored.probabilities), workStyle.classes);
+    assert.ok(!('modelId' in scored) && !('verdict' in scored) && !('runnerUp' in scored));
+    assert.equal(scored.timestamp, 't1');
+
+    const csv = run(input, '--model', model, '-f', 'csv');
+    assert.equal(csv.status, 0);
+    const { header, rows: [row] } = parseCsv(csv.stdout);
+    assert.equal(row.model_version, workStyle.version);
+    assert.ok(!header.includes('modelVersion') && !header.includes('verdict') && !header.includes('runnerUp'));
+    assert.deepEqual(header.filter(name => name.startsWith('p_')), workStyle.classes.map(cls => `p_${cls}`));
+
+    const traits = run(input, '--model', fileURLToPath(new URL('../public/models/big-five-1.0.0.json', import.meta.url)));
+    assert.equal(traits.status, 0);
+    const perTrait = JSON.parse(traits.stdout);
+    assert.ok(!('prediction' in perTrait));
+    assert.equal(perTrait.modelVersion, '1.0.0');
+    assert.equal(Object.keys(perTrait.probabilities).length, 5);
+  });
+
+  test('writes the scoring model\'s version on every CSV row', () => {
+    const input = join(dir, 'versioned.csv');
+    writeFileSync(input, ['model_version,' + ids.join(','), '0.1.0,' + ids.map(id => answers(2)[id]).join(',')].join('\n'));
+
+    const { status, stdout } = run(input);
+    assert.equal(status, 0);
+    const { header, rows: [row] } = parseCsv(stdout);
+    assert.equal(header.filter(name => name === 'model_version').length, 1);
+    assert.equal(row.model_version, MODEL.version);
+  });
+
+  test('imputes missing answers when asked to', () => {
+    const input = join(dir, 'partial.jsonl');
+    const partial = answers(2);
+    delete partial.curiosity;
+    writeFileSync(input, JSON.stringify(partial));
+
+    const { status, stdout } = run(input, '--missing', 'mean', '--explain', '2');
+    assert.equal(status, 0);
+    const scored = JSON.parse(stdout);
+    assert.deepEqual(scored.imputed, ['curiosity']);
+    assert.equal(scored.topFeatures.length, 2);
+  });
+
+  test('scores independent models per trait, without a prediction', () => {
+    const input = join(dir, 'traits.jsonl');
+    writeFileSync(input, JSON.stringify(answers(6)));
+    const model = fileURLToPath(new URL('../public/models/big-five-1.0.0.json', import.meta.url));
+
+    const { status, stdout } = run(input, '--model', model);
+    assert.equal(status, 0);
+    const scored = JSON.parse(stdout);
+    assert.ok(!('prediction' in scored));
+    assert.equal(Object.keys(scored.probabilities).length, 5);
+
+    const explained = run(input, '--model', model, '--explain', '3');
+    assert.equal(explained.status, 2);
+    assert.match(explained.stderr, /--explain needs a multinomial model/);
+  });
+
+  test('rejects bad usage with exit code 2', () => {
+    assert.equal(run().status, 2);
+    assert.equal(run(join(dir, 'in.txt')).status, 2);
+  });
+});
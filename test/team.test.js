@@ -0,0 +1,64 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { FEATURE_METADATA } from '../src/engine/index.js';
+import { encodeAnswers } from '../src/routing.js';
+import { MemberFileError, parseMemberJson, parseResultCodes } from '../src/team/members.js';
+import { createTranslator } from '../src/i18n/translate.js';
+
+const inputs = Object.fromEntries(FEATURE_METADATA.map((f, i) => [f.id, i % 11]));
+const code = encodeAnswers(inputs);
+
+describe('parseResultCodes', () => {
+  test('reads bare codes, result links and named lines', () => {
+    const { members, invalid } = parseResultCodes([
+      code,
+      `https://example.com/app/#/result?a=${code}`,
+      `Ana: https://example.com/#/result?a=${code}`,
+      `Team lead: ${code}`,
+    ].join('\n'));
+    assert.deepEqual(invalid, []);
+    assert.deepEqual(members.map(m => m.name), ['', '', 'Ana', 'Team lead']);
+    members.forEach(m => assert.deepEqual(m.inputs, inputs));
+  });
+
+  test('does not pick a 26-character window out of other text', () => {
+    const lines = [
+      `1${code}`,
+      `${code}0`,
+      `https://example.com/${code}`,
+      `https://example.com/#/quiz/2?a=${code}`,
+      `see ${code}`,
+    ];
+    const { members, invalid } = parseResultCodes(lines.join('\n'));
+    assert.deepEqual(members, []);
+    assert.deepEqual(invalid, lines);
+  });
+});
+
+describe('parseMemberJson', () => {
+  test('reads single records, arrays and rosters', () => {
+    assert.deepEqual(parseMemberJson({ timestamp: 't', inputs }), [{ name: '', inputs }]);
+    assert.deepEqual(parseMemberJson({ members: [{ name: 'Ana', inputs }, { inputs }] }).map(m => m.name), ['Ana', '']);
+  });
+
+  test('reports problems as catalog keys the team view can translate', () => {
+    const failure = raw => {
+      try {
+        parseMemberJson(raw);
+      } catch (err) {
+        assert.ok(err instanceof MemberFileError);
+        return err;
+      }
+      assert.fail('expected parseMemberJson to throw');
+    };
+
+    const single = failure({ prediction: 'Dynamic Extrovert' });
+    assert.deepEqual([single.key, single.params], ['team.notExport', { count: FEATURE_METADATA.length }]);
+
+    const list = failure([{ inputs }, { inputs: { ...inputs, empathy: 11 } }]);
+    assert.deepEqual([list.key, list.params], ['team.badEntry', { entry: 2, count: FEATURE_METADATA.length }]);
+
+    const { t } = createTranslator('es');
+    assert.equal(t(list.key, { ...list.params, file: 'a.json' }), 'a.json: la entrada 2 no contiene las 26 respuestas completas');
+  });
+});
@@ -0,0 +1,85 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { FEATURE_METADATA, parseModel, serializeModel, predictPersonality } from '../src/engine/index.js';
+import {
+  buildDataset, trainValSplit, fitScaler, trainLogisticRegression, validateTrainingOptions, accuracy, confusionMatrix,
+} from '../src/engine/train.js';
+
+// Two classes split on the first feature; every other answer is noise-free.
+const toyDataset = (n = 40) => {
+  const X = Array.from({ length: n }, (_, i) =>
+    FEATURE_METADATA.map((_, j) => (j === 0 ? (i % 2 ? 8 + (i % 3) : 1 + (i % 3)) : (i * (j + 1)) % 11)));
+  return { X, y: X.map(row => (row[0] > 5 ? 1 : 0)), classes: ['Low', 'High'] };
+};
+
+describe('validateTrainingOptions', () => {
+  test('accepts the defaults', () => {
+    assert.deepEqual(validateTrainingOptions({}), []);
+  });
+
+  test('rejects options that cannot train', () => {
+    assert.equal(validateTrainingOptions({ epochs: 0 }).length, 1);
+    assert.equal(validateTrainingOptions({ learningRate: 0 }).length, 1);
+    assert.equal(validateTrainingOptions({ valFraction: 1 }).length, 1);
+    assert.equal(validateTrainingOptions({ valFraction: -0.1, l2: -1 }).length, 2);
+  });
+
+  test('trainLogisticRegression refuses an empty run instead of returning no history', () => {
+    assert.throws(() => trainLogisticRegression(toyDataset(), { epochs: 0 }), /Epochs/);
+  });
+});
+
+describe('trainLogisticRegression', () => {
+  const run = trainLogisticRegression(toyDataset(), { epochs: 200 });
+
+  test('lowers the loss on a separable toy set', () => {
+    const first = run.history[0];
+    const last = run.history.at(-1);
+    assert.equal(run.history.length, 200);
+    assert.ok(last.train < first.train / 2, `${first.train} -> ${last.train}`);
+    assert.ok(last.val < first.val);
+  });
+
+  test('separates the classes and returns a model that survives a download', () => {
+    assert.equal(accuracy(run.train), 1);
+    assert.equal(accuracy(run.validation), 1);
+    const model = parseModel(serializeModel(run.params));
+    const inputs = Object.fromEntries(FEATURE_METADATA.map(f => [f.id, 5]));
+    assert.equal(predictPersonality({ ...inputs, [FEATURE_METADATA[0].id]: 9 }, model).label, 'High');
+    assert.equal(predictPersonality({ ...inputs, [FEATURE_METADATA[0].id]: 1 }, model).label, 'Low');
+  });
+
+  test('is deterministic for a given seed', () => {
+    const again = trainLogisticRegression(toyDataset(), { epochs: 200 });
+    assert.deepEqual(again.params.weights, run.params.weights);
+  });
+});
+
+describe('training helpers', () => {
+  test('buildDataset skips unusable rows and keeps preferred class order', () => {
+    const header = [...FEATURE_METADATA.map(f => f.id), 'label'];
+    const row = label => ({ ...Object.fromEntries(FEATURE_METADATA.map(f => [f.id, '5'])), label });
+    const rows = [row('b'), row('a'), row(''), { ...row('c'), [FEATURE_METADATA[3].id]: 'x' }, row('c')];
+    const dataset = buildDataset({ header, rows }, 'label', ['c']);
+    assert.deepEqual(dataset.classes, ['c', 'a', 'b']);
+    assert.deepEqual(dataset.y, [2, 1, 0]);
+    assert.equal(dataset.skipped, 2);
+    assert.throws(() => buildDataset({ header: ['label'], rows }, 'label'), /missing feature columns/);
+  });
+
+  test('trainValSplit holds out the requested share, the same way every time', () => {
+    const { trainIdx, valIdx } = trainValSplit(50, 0.2);
+    assert.equal(valIdx.length, 10);
+    assert.deepEqual([...trainIdx, ...valIdx].sort((a, b) => a - b), Array.from({ length: 50 }, (_, i) => i));
+    assert.deepEqual(trainValSplit(50, 0.2).valIdx, valIdx);
+  });
+
+  test('fitScaler uses the population deviation and leaves constant columns unscaled', () => {
+    assert.deepEqual(fitScaler([[1, 4], [3, 4]]), { means: [2, 4], scales: [1, 1] });
+  });
+
+  test('confusionMatrix counts actual rows against predicted columns', () => {
+    assert.deepEqual(confusionMatrix({ actual: [0, 0, 1], predicted: [0, 1, 1] }, 2), [[1, 1], [0, 1]]);
+    assert.equal(accuracy({ actual: [], predicted: [] }), null);
+  });
+});
@@ -0,0 +1,67 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { FEATURE_METADATA } from '../src/engine/index.js';
+import { ARCHETYPE_CONTENT, BLEND_CONTENT } from '../src/content/archetypes.js';
+import { buildWriteup, BLEND_MARGIN } from '../src/content/writeup.js';
+import { answersOf } from './helpers.js';
+
+const inputs = answersOf(i => i % 11);
+const classes = ['Analytical Introvert', 'Adaptive Ambivert', 'Dynamic Extrovert'];
+const args = { label: classes[0], classes, probabilities: [0.9, 0.05, 0.05], inputs };
+
+describe('buildWriteup', () => {
+  test('only calls a category high or low relative to the scale midpoint', () => {
+    // Social one point above every other category.
+    const notesFor = value => buildWriteup({
+      ...args,
+      inputs: Object.fromEntries(FEATURE_METADATA.map(f => [f.id, f.category === 'social' ? value + 1 : value])),
+    }).content.notes;
+    const { categoryNotes } = ARCHETYPE_CONTENT[args.label];
+
+    const high = notesFor(7);
+    assert.deepEqual(high.map(n => n.text), [categoryNotes.social.high]);
+
+    const low = notesFor(2);
+    assert.equal(low.length, 1);
+    assert.notEqual(low[0].category.id, 'social');
+    assert.equal(low[0].text, categoryNotes[low[0].category.id].low);
+  });
+
+  test('adds no notes when every category sits on the midpoint', () => {
+    assert.deepEqual(buildWriteup({ ...args, inputs: answersOf(() => 5) }).content.notes, []);
+  });
+
+  test('blends with a runner-up just inside the margin', () => {
+    const top = 0.5;
+    const { blend } = buildWriteup({ ...args, label: classes[2], probabilities: [0.05, top - BLEND_MARGIN + 0.01, top] });
+    assert.equal(blend.with, classes[1]);
+    assert.equal(blend.text, BLEND_CONTENT['Adaptive Ambivert + Dynamic Extrovert']);
+  });
+
+  test('does not blend with a runner-up just outside the margin', () => {
+    const top = 0.5;
+    const { blend } = buildWriteup({ ...args, label: classes[2], probabilities: [0.05, top - BLEND_MARGIN - 0.01, top] });
+    assert.equal(blend, null);
+  });
+
+  test('leaves the blend text to the caller for pairs without a passage', () => {
+    const workStyle = { ...args, label: 'Strategist', classes: ['Strategist', 'Executor'], probabilities: [0.52, 0.48] };
+    assert.deepEqual(buildWriteup(workStyle).blend, { with: 'Executor', text: null });
+  });
+});
+
+describe('localized writeups', () => {
+  test('keep the English category order and structure', () => {
+    const english = buildWriteup(args);
+    const spanish = buildWriteup({ ...args, locale: 'es' });
+    assert.notEqual(spanish.content.summary, english.content.summary);
+    assert.equal(spanish.content.strengths.length, english.content.strengths.length);
+    assert.deepEqual(spanish.content.notes.map(n => n.category.id), english.content.notes.map(n => n.category.id));
+    assert.deepEqual(spanish.content.compatible.map(c => c.archetype), english.content.compatible.map(c => c.archetype));
+  });
+
+  test('fall back to English for untranslated archetypes', () => {
+    const workStyle = { ...args, label: 'Strategist', classes: ['Strategist', 'Executor'], probabilities: [0.9, 0.1] };
+    assert.equal(buildWriteup({ ...workStyle, locale: 'ar' }).content.summary, buildWriteup(workStyle).content.summary);
+  });
+});